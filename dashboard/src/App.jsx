@@ -43,6 +43,9 @@ import {
 } from 'recharts';
 import { supabase } from './supabase';
 
+// V1.369: Tipos de documento da base de conhecimento (coluna kind de ai_knowledge_documents)
+const KNOWLEDGE_KIND_LABELS = { PDF: 'PDF', DOCX: 'Word', TXT: 'Texto', CSV: 'CSV', XLSX: 'Planilha', NOTE: 'Nota' };
+
 export default function App() {
   const [user, setUser] = useState(null);
   const [loginId, setLoginId] = useState('');
@@ -55,12 +58,14 @@ export default function App() {
   const [instances, setInstances] = useState([]);
   const [selectedInstId, setSelectedInstId] = useState('');
   const [prompt, setPrompt] = useState('');
-  const [knowledgeBase, setKnowledgeBase] = useState('');
   const [saving, setSaving] = useState(false);
   const [promptsOpen, setPromptsOpen] = useState(false);
   const [knowledgeOpen, setKnowledgeOpen] = useState(false);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
-  const [importingPdf, setImportingPdf] = useState(false);
+  const [importingFile, setImportingFile] = useState(false);
+  const [knowledgeUsage, setKnowledgeUsage] = useState([]);
+  const [knowledgeDocs, setKnowledgeDocs] = useState([]);
+  const [docForm, setDocForm] = useState(null);
 
   // States para Corretores
   const [brokerModalOpen, setBrokerModalOpen] = useState(false);
@@ -181,7 +186,7 @@ export default function App() {
         if (mappedInsts.length > 0) {
           setSelectedInstId(mappedInsts[0].id);
           setPrompt(mappedInsts[0].ai_prompt || '');
-          setKnowledgeBase(mappedInsts[0].ai_knowledge_base || '');
+          fetchKnowledgeDocs(mappedInsts[0].id);
         }
       }
 
@@ -207,7 +212,6 @@ export default function App() {
         const instIndex = updatedData.whatsapp.instances.findIndex(i => i.id === selectedInstId);
         if (instIndex !== -1) {
           updatedData.whatsapp.instances[instIndex].ai_prompt = prompt;
-          updatedData.whatsapp.instances[instIndex].ai_knowledge_base = knowledgeBase;
 
           await supabase
             .from('bot_sessions')
@@ -225,40 +229,171 @@ export default function App() {
     }
   };
 
-  const handleFileUpload = async (event) => {
+  // V1.369: Base de conhecimento com vários documentos (tabela ai_knowledge_documents).
+  // O servidor reindexa os trechos de um documento quando o conteúdo muda.
+  const fetchKnowledgeDocs = async (instId) => {
+    if (!instId) return;
+    const { data } = await supabase
+      .from('ai_knowledge_documents')
+      .select('id, name, kind, enabled, content, updated_at')
+      .eq('instance_id', instId)
+      .order('created_at', { ascending: true });
+    setKnowledgeDocs(data || []);
+  };
+
+  // Planilhas viram uma linha por registro ("Coluna: valor | Coluna: valor"), igual ao bot
+  const sheetToText = (workbook) => workbook.SheetNames.map(sheetName => {
+    const rows = window.XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '', raw: false })
+      .filter(r => r.some(v => String(v).trim()));
+    if (rows.length === 0) return '';
+    const [header, ...data] = rows;
+    const lines = data.map(r => r
+      .map((v, i) => String(v).trim() ? `${String(header[i] || `Coluna ${i + 1}`).trim()}: ${String(v).trim()}` : '')
+      .filter(Boolean)
+      .join(' | '));
+    return `${workbook.SheetNames.length > 1 ? `## ${sheetName}\n\n` : ''}${lines.join('\n\n')}`;
+  }).filter(Boolean).join('\n\n');
+
+  const readKnowledgeFile = async (file) => {
+    const ext = file.name.toLowerCase().split('.').pop();
+    if (ext === 'pdf' || file.type === 'application/pdf') {
+      const pdf = await window.pdfjsLib.getDocument(await file.arrayBuffer()).promise;
+      const pages = [];
+      for (let i = 1; i <= pdf.numPages; i++) {
+        const page = await pdf.getPage(i);
+        const textContent = await page.getTextContent();
+        pages.push(textContent.items.map(item => item.str).join(' '));
+      }
+      return { kind: 'PDF', content: pages.join('\n\n') };
+    }
+    if (ext === 'docx') {
+      const result = await window.mammoth.extractRawText({ arrayBuffer: await file.arrayBuffer() });
+      return { kind: 'DOCX', content: result.value };
+    }
+    if (ext === 'xlsx' || ext === 'xls' || ext === 'csv') {
+      const workbook = window.XLSX.read(await file.arrayBuffer(), { type: 'array', codepage: 65001 });
+      return { kind: ext === 'csv' ? 'CSV' : 'XLSX', content: sheetToText(workbook) };
+    }
+    return { kind: 'TXT', content: await file.text() };
+  };
+
+  // Sem "doc" cria um documento novo; com "doc" substitui o conteúdo mantendo o nome
+  const handleFileUpload = async (event, doc = null) => {
     const file = event.target.files[0];
-    if (!file) return;
-
-    if (file.type === 'application/pdf') {
-      try {
-        setImportingPdf(true);
-        const arrayBuffer = await file.arrayBuffer();
-        const pdf = await window.pdfjsLib.getDocument(arrayBuffer).promise;
-        let fullText = '';
-
-        for (let i = 1; i <= pdf.numPages; i++) {
-          const page = await pdf.getPage(i);
-          const textContent = await page.getTextContent();
-          const pageText = textContent.items.map(item => item.str).join(' ');
-          fullText += `\n--- Página ${i} ---\n${pageText}\n`;
-        }
+    event.target.value = '';
+    if (!file || !selectedInstId) return;
 
-        setKnowledgeBase(prev => prev + (prev ? '\n\n' : '') + fullText);
-        alert("✅ PDF Importado! O texto foi adicionado à Base de Conhecimento.");
-      } catch (err) {
-        alert("❌ Erro ao ler PDF. Verifique se o arquivo é válido.");
-        console.error(err);
-      } finally {
-        setImportingPdf(false);
+    try {
+      setImportingFile(true);
+      const { kind, content } = await readKnowledgeFile(file);
+      if (content.trim().length < 10) {
+        alert("⚠️ O arquivo parece estar vazio ou não foi possível extrair o texto.");
+        return;
       }
-    } else {
-      // Tentar ler como texto (TXT, MD, CSV)
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        setKnowledgeBase(prev => prev + (prev ? '\n\n' : '') + e.target.result);
-        alert("✅ Arquivo Importado!");
-      };
-      reader.readAsText(file);
+
+      const now = new Date().toISOString();
+      const { error } = doc
+        ? await supabase.from('ai_knowledge_documents').update({ kind, content, updated_at: now }).eq('id', doc.id)
+        : await supabase.from('ai_knowledge_documents').insert([{
+          instance_id: selectedInstId,
+          name: file.name.replace(/\.[^.]+$/, '').substring(0, 60),
+          kind,
+          content,
+          enabled: true,
+          created_at: now,
+          updated_at: now
+        }]);
+      if (error) throw error;
+
+      await fetchKnowledgeDocs(selectedInstId);
+      alert(doc ? "✅ Documento substituído!" : "✅ Documento adicionado à Base de Conhecimento!");
+    } catch (err) {
+      alert("❌ Erro ao ler o arquivo. Verifique se ele é válido e não está protegido por senha.");
+      console.error(err);
+    } finally {
+      setImportingFile(false);
+    }
+  };
+
+  // Notas digitadas (e edição do texto de qualquer documento)
+  const handleSaveDocForm = async () => {
+    if (!docForm.name.trim() || !docForm.content.trim() || !selectedInstId) return;
+    setSaving(true);
+    try {
+      const now = new Date().toISOString();
+      const { error } = docForm.id
+        ? await supabase.from('ai_knowledge_documents').update({ name: docForm.name, content: docForm.content, updated_at: now }).eq('id', docForm.id)
+        : await supabase.from('ai_knowledge_documents').insert([{
+          instance_id: selectedInstId,
+          name: docForm.name.substring(0, 60),
+          kind: 'NOTE',
+          content: docForm.content,
+          enabled: true,
+          created_at: now,
+          updated_at: now
+        }]);
+      if (error) throw error;
+
+      setDocForm(null);
+      await fetchKnowledgeDocs(selectedInstId);
+    } catch (e) {
+      console.error(e);
+      alert("❌ Erro ao salvar documento.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleDoc = async (doc) => {
+    try {
+      const { error } = await supabase
+        .from('ai_knowledge_documents')
+        .update({ enabled: !doc.enabled, updated_at: new Date().toISOString() })
+        .eq('id', doc.id);
+      if (error) throw error;
+      setKnowledgeDocs(prev => prev.map(d => d.id === doc.id ? { ...d, enabled: !doc.enabled } : d));
+    } catch (e) {
+      console.error(e);
+      alert("❌ Erro ao alterar status.");
+    }
+  };
+
+  const handleDeleteDoc = async (doc) => {
+    if (!confirm(`Tem certeza que deseja excluir "${doc.name}" da base de conhecimento?`)) return;
+    try {
+      await supabase.from('ai_knowledge_chunks').delete().eq('document_id', doc.id);
+      const { error } = await supabase.from('ai_knowledge_documents').delete().eq('id', doc.id);
+      if (error) throw error;
+      setKnowledgeDocs(prev => prev.filter(d => d.id !== doc.id));
+    } catch (e) {
+      console.error(e);
+      alert("❌ Erro ao excluir.");
+    }
+  };
+
+  // V1.368: Últimas respostas da IA com os trechos da base usados em cada uma (RAG)
+  const fetchKnowledgeUsage = async (instId) => {
+    if (!instId) return;
+    try {
+      const { data: usage } = await supabase
+        .from('ai_knowledge_usage')
+        .select('id, lead_jid, question, answer, chunk_ids, scores, created_at')
+        .eq('instance_id', instId)
+        .order('created_at', { ascending: false })
+        .limit(10);
+
+      const chunkIds = [...new Set((usage || []).flatMap(u => u.chunk_ids || []))];
+      const { data: chunks } = chunkIds.length > 0
+        ? await supabase.from('ai_knowledge_chunks').select('id, document_id, chunk_index, content').in('id', chunkIds)
+        : { data: [] };
+      const byId = new Map((chunks || []).map(c => [c.id, c]));
+
+      setKnowledgeUsage((usage || []).map(u => ({
+        ...u,
+        chunks: (u.chunk_ids || []).map((id, i) => ({ id, score: u.scores?.[i], chunk: byId.get(id) }))
+      })));
+    } catch (e) {
+      console.error("Erro ao carregar trechos usados:", e);
     }
   };
 
@@ -594,7 +729,7 @@ export default function App() {
                     const id = e.target.value;
                     setSelectedInstId(id);
                     setPrompt(instances.find(i => i.id === id)?.ai_prompt || '');
-                    setKnowledgeBase(instances.find(i => i.id === id)?.ai_knowledge_base || '');
+                    fetchKnowledgeDocs(id);
                   }}
                 >
                   {instances.map(inst => (
@@ -652,12 +787,14 @@ export default function App() {
 
                 <div className="w-full bg-black/20 rounded-xl p-4 text-left border border-white/5">
                   <p className="text-[11px] font-mono text-white/50 line-clamp-3">
-                    {knowledgeBase || "// Nenhuma base de conhecimento..."}
+                    {knowledgeDocs.length > 0
+                      ? knowledgeDocs.map(d => `${d.enabled ? '●' : '○'} ${d.name}`).join('  ')
+                      : "// Nenhum documento na base de conhecimento..."}
                   </p>
                 </div>
 
                 <button
-                  onClick={() => setKnowledgeOpen(true)}
+                  onClick={() => { setKnowledgeOpen(true); fetchKnowledgeDocs(selectedInstId); fetchKnowledgeUsage(selectedInstId); }}
                   className="w-full py-4 rounded-xl bg-white/5 hover:bg-white/10 border border-white/5 hover:border-white/20 text-white font-bold text-xs tracking-wider transition-all flex items-center justify-center gap-2 group-hover:bg-success group-hover:border-success group-hover:text-white"
                 >
                   GERENCIAR BASE (RAG)
@@ -701,47 +838,145 @@ export default function App() {
             </Modal>
 
             {/* MODAL KNOWLEDGE */}
-            <Modal isOpen={knowledgeOpen} onClose={() => setKnowledgeOpen(false)} title="Base de Conhecimento (RAG)">
+            <Modal isOpen={knowledgeOpen} onClose={() => { setKnowledgeOpen(false); setDocForm(null); }} title="Base de Conhecimento (RAG)">
               <div className="space-y-6">
                 <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4 bg-emerald-500/10 p-4 rounded-xl border border-emerald-500/20">
                   <div className="flex gap-3">
                     <div className="mt-1"><FileText size={18} className="text-emerald-400" /></div>
                     <div>
                       <h4 className="text-sm font-bold text-emerald-100">Conteúdo de Referência</h4>
-                      <p className="text-xs text-emerald-200/60 mt-1">A IA usará este texto para responder dúvidas específicas.</p>
+                      <p className="text-xs text-emerald-200/60 mt-1">PDF, Word, TXT, CSV/Excel e notas. Os documentos ativos são divididos em trechos e, a cada pergunta, a IA consulta só os mais relacionados.</p>
                     </div>
                   </div>
 
-                  <label className="cursor-pointer bg-emerald-500/20 hover:bg-emerald-500/30 px-4 py-2 rounded-lg text-[10px] font-bold text-emerald-300 flex items-center gap-2 transition-all border border-emerald-500/20">
-                    {importingPdf ? <RefreshCw className="animate-spin" size={12} /> : <Upload size={12} />}
-                    {importingPdf ? "PROCESSANDO..." : "IMPORTAR PDF/TXT"}
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => setDocForm({ name: '', content: '' })}
+                      className="bg-emerald-500/20 hover:bg-emerald-500/30 px-4 py-2 rounded-lg text-[10px] font-bold text-emerald-300 flex items-center gap-2 transition-all border border-emerald-500/20"
+                    >
+                      <Pencil size={12} />
+                      NOVA NOTA
+                    </button>
+                    <label className="cursor-pointer bg-emerald-500/20 hover:bg-emerald-500/30 px-4 py-2 rounded-lg text-[10px] font-bold text-emerald-300 flex items-center gap-2 transition-all border border-emerald-500/20">
+                      {importingFile ? <RefreshCw className="animate-spin" size={12} /> : <Upload size={12} />}
+                      {importingFile ? "PROCESSANDO..." : "IMPORTAR ARQUIVO"}
+                      <input
+                        type="file"
+                        accept=".pdf,.docx,.txt,.md,.csv,.xlsx,.xls"
+                        className="hidden"
+                        onChange={(e) => handleFileUpload(e)}
+                        disabled={importingFile}
+                      />
+                    </label>
+                  </div>
+                </div>
+
+                {docForm && (
+                  <div className="space-y-3 bg-black/20 rounded-xl p-4 border border-emerald-500/20">
                     <input
-                      type="file"
-                      accept=".pdf,.txt,.md,.csv"
-                      className="hidden"
-                      onChange={handleFileUpload}
-                      disabled={importingPdf}
+                      type="text"
+                      value={docForm.name}
+                      onChange={(e) => setDocForm({ ...docForm, name: e.target.value })}
+                      placeholder="Nome do documento (ex: Horário de atendimento)"
+                      className="w-full bg-[#0B0E14] border border-white/10 rounded-xl px-4 py-3 text-sm focus:ring-2 focus:ring-emerald-500/50 outline-none text-white/80"
+                    />
+                    <textarea
+                      className="w-full h-[30vh] bg-[#0B0E14] border border-white/10 rounded-xl p-6 font-mono text-sm leading-relaxed focus:ring-2 focus:ring-emerald-500/50 outline-none transition-all text-white/80 resize-none"
+                      value={docForm.content}
+                      onChange={(e) => setDocForm({ ...docForm, content: e.target.value })}
+                      placeholder="Cole aqui a tabela de preços, diferenciais, etc..."
                     />
-                  </label>
+                    <div className="flex justify-end gap-3">
+                      <button onClick={() => setDocForm(null)} className="px-6 py-3 rounded-xl text-xs font-bold text-white/50 hover:text-white hover:bg-white/5 transition-colors">CANCELAR</button>
+                      <button
+                        onClick={handleSaveDocForm}
+                        disabled={saving}
+                        className="bg-emerald-600 hover:bg-emerald-500 text-white px-8 py-3 rounded-xl font-bold text-xs shadow-lg shadow-emerald-600/20 flex items-center gap-2 transition-all"
+                      >
+                        {saving ? <RefreshCw className="animate-spin" size={16} /> : <CheckCircle2 size={16} />}
+                        SALVAR DOCUMENTO
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                <div className="space-y-2">
+                  {knowledgeDocs.length === 0 ? (
+                    <p className="text-xs text-white/20 italic text-center py-6">Nenhum documento na base. Importe um arquivo ou crie uma nota.</p>
+                  ) : knowledgeDocs.map(doc => (
+                    <div key={doc.id} className={`flex items-center justify-between gap-4 bg-black/20 rounded-xl p-4 border border-white/5 ${doc.enabled ? '' : 'opacity-50'}`}>
+                      <div className="min-w-0">
+                        <p className="text-sm font-bold text-white truncate">{doc.name}</p>
+                        <p className="text-[10px] text-white/30 mt-1">
+                          {KNOWLEDGE_KIND_LABELS[doc.kind] || doc.kind} · {(doc.content || '').length} caracteres · {new Date(doc.updated_at).toLocaleString('pt-BR')}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-1 shrink-0">
+                        <button
+                          onClick={() => handleToggleDoc(doc)}
+                          title={doc.enabled ? "Desativar" : "Ativar"}
+                          className={`p-2 rounded-lg hover:bg-white/5 transition-colors ${doc.enabled ? 'text-success' : 'text-white/30'}`}
+                        >
+                          <Power size={14} />
+                        </button>
+                        <button
+                          onClick={() => setDocForm({ id: doc.id, name: doc.name, content: doc.content || '' })}
+                          title="Editar"
+                          className="p-2 rounded-lg text-white/50 hover:text-white hover:bg-white/5 transition-colors"
+                        >
+                          <Pencil size={14} />
+                        </button>
+                        <label title="Substituir arquivo" className="cursor-pointer p-2 rounded-lg text-white/50 hover:text-white hover:bg-white/5 transition-colors">
+                          <Upload size={14} />
+                          <input
+                            type="file"
+                            accept=".pdf,.docx,.txt,.md,.csv,.xlsx,.xls"
+                            className="hidden"
+                            onChange={(e) => handleFileUpload(e, doc)}
+                            disabled={importingFile}
+                          />
+                        </label>
+                        <button
+                          onClick={() => handleDeleteDoc(doc)}
+                          title="Excluir"
+                          className="p-2 rounded-lg text-red-400/70 hover:text-red-400 hover:bg-red-500/10 transition-colors"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </div>
+                    </div>
+                  ))}
                 </div>
 
-                <textarea
-                  className="w-full h-[50vh] bg-[#0B0E14] border border-white/10 rounded-xl p-6 font-mono text-sm leading-relaxed focus:ring-2 focus:ring-emerald-500/50 outline-none transition-all text-white/80 resize-none"
-                  value={knowledgeBase}
-                  onChange={(e) => setKnowledgeBase(e.target.value)}
-                  placeholder="Cole aqui a tabela de preços, diferenciais, etc..."
-                />
+                <div className="space-y-3">
+                  <h4 className="text-[10px] font-bold text-white/30 uppercase tracking-wider">Trechos usados nas últimas respostas</h4>
+                  {knowledgeUsage.length === 0 ? (
+                    <p className="text-xs text-white/20 italic">Nenhuma resposta usou a base de conhecimento ainda.</p>
+                  ) : knowledgeUsage.map(u => (
+                    <div key={u.id} className="bg-black/20 rounded-xl p-4 border border-white/5 space-y-2">
+                      <div className="flex justify-between gap-4 text-[10px] text-white/30">
+                        <span className="font-bold">{u.lead_jid?.split('@')[0]}</span>
+                        <span>{new Date(u.created_at).toLocaleString('pt-BR')}</span>
+                      </div>
+                      <p className="text-xs text-white/80"><span className="text-white/30">Pergunta:</span> {u.question}</p>
+                      {u.answer && <p className="text-xs text-white/50"><span className="text-white/30">Resposta:</span> {u.answer}</p>}
+                      <div className="space-y-1 pt-1">
+                        {u.chunks.map(({ id, score, chunk }) => (
+                          <p key={id} className="text-[11px] font-mono text-emerald-200/60 line-clamp-2">
+                            <span className="font-bold text-emerald-300">
+                              {chunk ? `${knowledgeDocs.find(d => d.id === chunk.document_id)?.name || 'Documento'} · Trecho ${chunk.chunk_index + 1}` : 'Trecho removido'}
+                              {typeof score === 'number' ? ` (${Math.round(score * 100)}%)` : ''}:
+                            </span>{' '}
+                            {chunk ? chunk.content : 'o documento foi atualizado depois desta resposta.'}
+                          </p>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </div>
 
                 <div className="flex justify-end gap-3 pt-2">
-                  <button onClick={() => setKnowledgeOpen(false)} className="px-6 py-3 rounded-xl text-xs font-bold text-white/50 hover:text-white hover:bg-white/5 transition-colors">CANCELAR</button>
-                  <button
-                    onClick={() => { savePrompt(); setKnowledgeOpen(false); }}
-                    disabled={saving}
-                    className="bg-emerald-600 hover:bg-emerald-500 text-white px-8 py-3 rounded-xl font-bold text-xs shadow-lg shadow-emerald-600/20 flex items-center gap-2 transition-all"
-                  >
-                    {saving ? <RefreshCw className="animate-spin" size={16} /> : <CheckCircle2 size={16} />}
-                    SALVAR BASE
-                  </button>
+                  <button onClick={() => { setKnowledgeOpen(false); setDocForm(null); }} className="px-6 py-3 rounded-xl text-xs font-bold text-white/50 hover:text-white hover:bg-white/5 transition-colors">FECHAR</button>
                 </div>
               </div>
             </Modal>
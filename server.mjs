@@ -7,10 +7,12 @@ import { Telegraf, Markup } from "telegraf";
 import QRCode from "qrcode";
 import dotenv from "dotenv";
 import fs from "fs";
+import crypto from "crypto";
 import OpenAI from "openai";
 import cors from "cors";
 import { createClient } from "@supabase/supabase-js";
 import { PDFParse } from "pdf-parse";
+import XLSX from "xlsx";
 
 dotenv.config();
 
@@ -149,7 +151,7 @@ async function syncSession(ctx, session) {
     await saveSession(ctx.chat.id, session);
 }
 
-const SERVER_VERSION = "1.344";
+const SERVER_VERSION = "1.369";
 let isAiFollowupRunning = false;
 
 async function checkOwnership(ctx, instId) {
@@ -819,7 +821,8 @@ bot.action("cmd_shortcuts_disparos", async (ctx) => {
     const session = await getSession(ctx.chat.id);
     if (session.whatsapp.instances.length === 0) return ctx.reply("❌ Você não tem nenhuma instância conectada.");
 
-    const buttons = session.whatsapp.instances.map(inst => [Markup.button.callback(`📢 Campanhas: ${inst.name}`, `wa_mass_init_${inst.id}`)]);
+    const buttons = session.whatsapp.instances.map(inst => [Markup.button.callback(`${activeCampaigns.has(inst.id) ? "🟢" : "📢"} Campanhas: ${inst.name}`, `wa_mass_init_${inst.id}`)]);
+    buttons.push([Markup.button.callback("📊 Campanhas em Andamento", "wa_mass_overview")]);
     buttons.push([Markup.button.callback("🔙 Voltar", "start")]);
     ctx.editMessageText("📢 *Escolha uma instância para gerenciar Disparos:*", { parse_mode: "Markdown", ...Markup.inlineKeyboard(buttons) });
 });
@@ -1053,7 +1056,8 @@ bot.command("disparos", async (ctx) => {
     }
     const session = await getSession(ctx.chat.id);
     if (session.whatsapp.instances.length === 0) return ctx.reply("❌ Você não tem nenhuma instância conectada.");
-    const buttons = session.whatsapp.instances.map(inst => [Markup.button.callback(`📢 Campanhas: ${inst.name}`, `wa_mass_init_${inst.id}`)]);
+    const buttons = session.whatsapp.instances.map(inst => [Markup.button.callback(`${activeCampaigns.has(inst.id) ? "🟢" : "📢"} Campanhas: ${inst.name}`, `wa_mass_init_${inst.id}`)]);
+    buttons.push([Markup.button.callback("📊 Campanhas em Andamento", "wa_mass_overview")]);
     buttons.push([Markup.button.callback("🔙 Voltar", "start")]);
     await safeEdit(ctx, "📢 *Módulo de Disparos em Massa*\n\nEscolha uma instância:", Markup.inlineKeyboard(buttons));
 });
@@ -1239,11 +1243,14 @@ async function renderManageMenu(ctx, id) {
 
     buttons.push([Markup.button.callback("👥 Rodízio de Atendimento", `wa_brokers_menu_${id}`)]);
     buttons.push([Markup.button.callback("📋 Leads em Atendimento", `wa_list_paused_leads_${id}`)]);
+    buttons.push([Markup.button.callback("📶 Limites de Envio", `wa_quota_${id}`)]);
 
     buttons.push([Markup.button.callback("🚪 Logout", `wa_logout_${id}`), Markup.button.callback("🗑️ Deletar", `wa_del_${id}`)]);
     buttons.push([Markup.button.callback("🔙 Voltar", "cmd_instancias")]);
 
     let title = isOnline ? `✅ *Painel da Instância: ${id}*\n📱 *Número:* \`${phone}\`` : `🛠️ *Painel da Instância: ${id}*`;
+    // V1.358: Uso da cota de envio
+    title += `\n📶 *Envios:* ${describeQuotaUsage(await getQuotaStatus(id, session))}`;
 
     await safeEdit(ctx, title, Markup.inlineKeyboard(buttons));
 }
@@ -1279,12 +1286,38 @@ bot.action(/^wa_api_(.+)$/, async (ctx) => {
 
     const buttons = [
         [Markup.button.callback("📜 Ver Endpoints de Mensagem", `wa_endpoints_${id}`)],
+        [Markup.button.callback("📢 API de Campanhas", `wa_apicamp_${id}`)],
         [Markup.button.callback("🔙 Voltar", `manage_${id}`)]
     ];
 
     await safeEdit(ctx, message, Markup.inlineKeyboard(buttons));
 });
 
+// V1.360: Chave e endpoints da API REST de campanhas
+bot.action(/^wa_apicamp_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const id = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, id);
+    if (!inst) return;
+
+    const key = ensureApiKey(session, ctx.chat.id);
+    await syncSession(ctx, session);
+    const base = getPublicBaseUrl();
+
+    const message = `📢 <b>API de Campanhas</b>\n\n` +
+        `Envie o header <code>x-api-key</code> em todas as chamadas:\n<code>${escapeHtml(key)}</code>\n\n` +
+        `➕ <code>POST ${escapeHtml(base)}/api/campaigns</code>\n` +
+        `<code>{"instId": "${escapeHtml(id)}", "contacts": [{"phone": "5511...", "name": "Ana"}], "messages": ["Oi {{nome}}!"], "minDelay": 10, "maxDelay": 30, "scheduledFor": "2026-01-31T09:00:00-03:00"}</code>\n\n` +
+        `📋 <code>GET /api/campaigns</code> (lista)\n` +
+        `📊 <code>GET /api/campaigns/:id</code> (progresso e funil)\n` +
+        `⏸️ <code>POST /api/campaigns/:id/pause</code> | ▶️ <code>/resume</code> | 🛑 <code>/cancel</code>\n` +
+        `📥 <code>GET /api/campaigns/:id/report?format=csv</code>\n\n` +
+        `Mídia: <code>"media": {"type": "photo", "url": "https://..."}</code> ou <code>"base64"</code> (também <code>sticker</code>).\n` +
+        `Interativas: <code>"interactive": {"type": "poll", "question": "...", "options": ["A", "B"]}</code> — também <code>location</code>, <code>contact</code> e <code>list</code>. ⚠️ Não compartilhe a chave.`;
+
+    await safeEdit(ctx, message, Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_api_${id}`)]]));
+});
+
 // Handler para listar endpoints de mensagem
 bot.action(/^wa_endpoints_(.+)$/, async (ctx) => {
     safeAnswer(ctx);
@@ -1309,455 +1342,3663 @@ bot.action(/^wa_endpoints_(.+)$/, async (ctx) => {
 });
 
 
-// --- Módulo de Disparo em Massa ---
-const activeCampaigns = new Map();
+// --- Cotas de Envio por Instância ---
+// V1.358: Limite diário/por hora e aquecimento gradual de números novos (inst.quota = { daily, hourly, warmup }).
+// Valem para disparos, follow-ups da IA e avisos do rodízio. O uso fica em instance_send_quota
+// (inst_id, day, day_count, hour, hour_count, updated_at) para sobreviver a reinícios.
+const quotaUsage = new Map();
 
-// This block was likely part of a bot.action handler that was removed or misplaced.
-// The user's instruction implies it should be part of a `wa_mass_init_` handler.
-// Assuming it's the start of `wa_mass_init_`
-bot.action(/^wa_mass_init_(.+)$/, async (ctx) => {
-    safeAnswer(ctx);
-    const id = ctx.match[1];
-    const isVip = await checkVip(ctx.chat.id);
-    const config = await getSystemConfig();
+function getWarmupDay(warmup, now = new Date()) {
+    const start = new Date(warmup.startedAt);
+    start.setHours(0, 0, 0, 0);
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    return Math.round((today - start) / (24 * 60 * 60 * 1000)) + 1;
+}
 
-    // V1.291: Segunda camada de proteção
-    if (!isVip && !isAdmin(ctx.chat.id, config)) {
-        return safeEdit(ctx, "❌ *Módulo Pro Bloqueado*\n\nSua assinatura Connect Pro expirou. Renove para continuar usando os disparos.",
-            Markup.inlineKeyboard([[Markup.button.callback("💎 Renovar Agora", "cmd_planos_menu")], [Markup.button.callback("🔙 Voltar", "cmd_instancias_menu")]])
-        );
+// O aquecimento sobe linearmente de "start" (dia 1) até "target" (dia "days"); vale o menor entre ele e o limite diário
+function getDailyQuotaLimit(quota, now = new Date()) {
+    if (!quota) return 0;
+    let limit = quota.daily || 0;
+    if (quota.warmup) {
+        const { start, target, days } = quota.warmup;
+        const day = getWarmupDay(quota.warmup, now);
+        const ramp = day >= days ? target : Math.round(start + (target - start) * (day - 1) / (days - 1));
+        limit = limit > 0 ? Math.min(limit, ramp) : ramp;
     }
+    return limit;
+}
 
-    const { inst, session } = await checkOwnership(ctx, id);
-    if (!inst) return;
+async function loadQuotaUsage(instId) {
+    let usage = quotaUsage.get(instId);
+    if (!usage) {
+        const { data } = await supabase.from('instance_send_quota')
+            .select('day, day_count, hour, hour_count')
+            .eq('inst_id', instId)
+            .maybeSingle();
+        usage = { day: data?.day || null, dayCount: data?.day_count || 0, hour: data?.hour || null, hourCount: data?.hour_count || 0 };
+        quotaUsage.set(instId, usage);
+    }
+    const now = new Date();
+    const day = now.toLocaleDateString('pt-BR');
+    const hour = `${day} ${now.getHours()}h`;
+    if (usage.day !== day) {
+        usage.day = day;
+        usage.dayCount = 0;
+    }
+    if (usage.hour !== hour) {
+        usage.hour = hour;
+        usage.hourCount = 0;
+    }
+    return usage;
+}
 
-    if (activeCampaigns.has(ctx.chat.id)) {
-        return ctx.reply("⚠️ Você já tem um disparo em andamento. Aguarde a conclusão ou cancele.", {
-            ...Markup.inlineKeyboard([[Markup.button.callback("🛑 Parar Disparo Atual", `wa_stop_mass`)]])
-        });
+// Uso e limites atuais; "blockedUntil" vem preenchido quando a cota está esgotada
+async function getQuotaStatus(instId, session = null) {
+    if (!session) {
+        // Só leitura: getSession criaria uma sessão padrão para um dono inexistente
+        const ownerId = instId.split("_")[1];
+        const cached = sessionCache.get(ownerId);
+        if (cached) {
+            session = cached.data;
+        } else {
+            const { data } = await supabase.from('bot_sessions').select('data').eq('chat_id', ownerId).maybeSingle();
+            session = data?.data || {};
+        }
+    }
+    const quota = (session.whatsapp?.instances || []).find(i => i.id === instId)?.quota || null;
+    const usage = await loadQuotaUsage(instId);
+    const status = {
+        dailyLimit: getDailyQuotaLimit(quota),
+        hourlyLimit: quota?.hourly || 0,
+        dayCount: usage.dayCount,
+        hourCount: usage.hourCount,
+        warmup: quota?.warmup || null,
+        blockedUntil: null,
+        reason: null
+    };
+    if (status.dailyLimit > 0 && usage.dayCount >= status.dailyLimit) {
+        status.blockedUntil = new Date();
+        status.blockedUntil.setDate(status.blockedUntil.getDate() + 1);
+        status.blockedUntil.setHours(CAMPAIGN_CAP_RESUME_HOUR, 0, 0, 0);
+        status.reason = 'DAILY';
+    } else if (status.hourlyLimit > 0 && usage.hourCount >= status.hourlyLimit) {
+        status.blockedUntil = new Date();
+        status.blockedUntil.setHours(status.blockedUntil.getHours() + 1, 0, 0, 0);
+        status.reason = 'HOURLY';
     }
+    return status;
+}
 
-    session.stage = `WA_WAITING_MASS_CONTACTS_${id}`;
-    await syncSession(ctx, session);
+async function consumeQuota(instId) {
+    const usage = await loadQuotaUsage(instId);
+    usage.dayCount++;
+    usage.hourCount++;
+    const { error } = await supabase.from('instance_send_quota').upsert({
+        inst_id: instId,
+        day: usage.day,
+        day_count: usage.dayCount,
+        hour: usage.hour,
+        hour_count: usage.hourCount,
+        updated_at: new Date().toISOString()
+    }, { onConflict: 'inst_id' });
+    if (error) log(`[QUOTA ERR] ${error.message}`);
+}
 
-    const text = "🚀 <b>Configuração de Disparo em Massa</b>\n\nO que deseja fazer?";
-    const extra = {
-        parse_mode: "HTML",
-        ...Markup.inlineKeyboard([
-            [Markup.button.callback("🆕 Novo Disparo", `wa_mass_new_start_${id}`)],
-            [Markup.button.callback("📂 Campanhas Pausadas / Pendentes", `wa_mass_list_paused_${id}`)],
-            [Markup.button.callback("🔙 Voltar", `manage_${id}`)]
-        ])
-    };
+function describeQuotaUsage(status) {
+    const fmt = (count, limit) => `${count}/${limit > 0 ? limit : "∞"}`;
+    let text = `Hoje: ${fmt(status.dayCount, status.dailyLimit)} | Nesta hora: ${fmt(status.hourCount, status.hourlyLimit)}`;
+    if (status.warmup) {
+        const day = getWarmupDay(status.warmup);
+        if (day < status.warmup.days) text += ` | 🔥 Aquecimento dia ${day}/${status.warmup.days}`;
+    }
+    return text;
+}
 
-    if (ctx.callbackQuery) {
-        try { await ctx.editMessageText(text, extra); } catch (e) { await ctx.reply(text, extra); }
-    } else {
-        await ctx.reply(text, extra);
+async function renderQuotaMenu(ctx, instId) {
+    const session = await getSession(ctx.chat.id);
+    const inst = session.whatsapp.instances.find(i => i.id === instId);
+    const quota = inst?.quota || {};
+    const status = await getQuotaStatus(instId, session);
+
+    let warmupText = "desativado";
+    if (quota.warmup) {
+        const day = getWarmupDay(quota.warmup);
+        warmupText = `${quota.warmup.start} → ${quota.warmup.target}/dia em ${quota.warmup.days} dias ` +
+            (day >= quota.warmup.days ? "(concluído)" : `(dia ${day}, hoje ${getDailyQuotaLimit({ warmup: quota.warmup })}/dia)`);
     }
-});
 
-bot.action(/^wa_mass_new_start_(.+)$/, async (ctx) => {
+    const text = `📶 <b>Limites de Envio</b>\n\n` +
+        `Valem para disparos, follow-ups da IA e avisos do rodízio. Quando a cota acaba, o disparo pausa e continua sozinho quando ela libera.\n\n` +
+        `📅 Limite diário: <b>${quota.daily > 0 ? quota.daily : "sem limite"}</b>\n` +
+        `⏰ Limite por hora: <b>${quota.hourly > 0 ? quota.hourly : "sem limite"}</b>\n` +
+        `🔥 Aquecimento: <b>${warmupText}</b>\n\n` +
+        `📊 <b>Uso:</b> ${escapeHtml(describeQuotaUsage(status))}` +
+        (status.blockedUntil ? `\n⛔ Cota esgotada até ${status.blockedUntil.toLocaleString('pt-BR')}` : "");
+
+    const buttons = [
+        [Markup.button.callback("✏️ Limite Diário / por Hora", `wa_quota_set_${instId}`)],
+        [Markup.button.callback("🔥 Configurar Aquecimento", `wa_quota_warm_${instId}`)]
+    ];
+    if (quota.warmup) buttons.push([Markup.button.callback("🚫 Desativar Aquecimento", `wa_quota_warmoff_${instId}`)]);
+    buttons.push([Markup.button.callback("🔙 Voltar", `manage_${instId}`)]);
+    await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+}
+
+bot.action(/^wa_quota_set_(.+)$/, async (ctx) => {
     safeAnswer(ctx);
-    const id = ctx.match[1];
-    const { inst, session } = await checkOwnership(ctx, id);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
     if (!inst) return;
 
-    ctx.editMessageText("📢 <b>Módulo de Disparo em Massa</b>\n\nSelecione o tipo de destinatário:", {
-        parse_mode: "HTML",
-        ...Markup.inlineKeyboard([
-            [Markup.button.callback("👤 Contatos (via .txt)", `wa_mass_start_txt_${id}`)],
-            [Markup.button.callback("👥 Grupos da Instância", `wa_mass_groups_fetch_${id}`)],
-            [Markup.button.callback("🔙 Voltar", `wa_mass_init_${id}`)]
-        ])
-    });
+    session.stage = `WA_WAITING_QUOTA_LIMITS_${instId}`;
+    await syncSession(ctx, session);
+    await safeEdit(ctx, `✏️ <b>Limites de Envio</b>\n\nEnvie o limite <b>diário</b> e o limite <b>por hora</b> (use 0 para sem limite).\n\nExemplo: <code>500 60</code>`,
+        Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_quota_${instId}`)]]));
 });
 
-bot.action(/^wa_mass_start_txt_(.+)$/, async (ctx) => {
+bot.action(/^wa_quota_warm_(.+)$/, async (ctx) => {
     safeAnswer(ctx);
-    const id = ctx.match[1];
-    const { inst, session } = await checkOwnership(ctx, id);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
     if (!inst) return;
 
-    session.stage = `WA_WAITING_MASS_CONTACTS_${id}`;
+    session.stage = `WA_WAITING_QUOTA_WARMUP_${instId}`;
     await syncSession(ctx, session);
-
-    // Texto original do wa_mass_init_ (agora movido para cá)
-    ctx.editMessageText("📢 *Disparo em Massa (Individual)*\n\nPor favor, envie um arquivo *.txt* contendo os números (um por linha).\n\nFormato: `Nome;5511999998888` ou apenas `5511999998888`.", {
-        parse_mode: "Markdown",
-        ...Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_new_start_${id}`)]])
-    });
+    await safeEdit(ctx, `🔥 <b>Aquecimento do Número</b>\n\nO limite diário começa baixo e sobe um pouco a cada dia até o valor final. Envie <b>inicial</b>, <b>final</b> e <b>dias</b>:\n\n` +
+        `Exemplo: <code>30 500 14</code> (30/dia subindo até 500/dia em 14 dias, começando hoje)`,
+        Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_quota_${instId}`)]]));
 });
 
-// --- NOVO: Lógica de Grupos ---
+bot.action(/^wa_quota_warmoff_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    inst.quota = { ...(inst.quota || {}), warmup: null };
+    await syncSession(ctx, session);
+    await renderQuotaMenu(ctx, instId);
+});
 
-bot.action(/^wa_mass_groups_fetch_(.+)$/, async (ctx) => {
+bot.action(/^wa_quota_(.+)$/, async (ctx) => {
     safeAnswer(ctx);
     const instId = ctx.match[1];
     const { inst, session } = await checkOwnership(ctx, instId);
     if (!inst) return;
+    if (session.stage && session.stage.startsWith("WA_WAITING_QUOTA_")) {
+        session.stage = "READY";
+        await syncSession(ctx, session);
+    }
+    await renderQuotaMenu(ctx, instId);
+});
 
-    ctx.editMessageText("⏳ *Extraindo grupos...* Aguarde.", { parse_mode: "Markdown" });
 
-    // Buscar grupos da API
-    const res = await callWuzapi("/group/list", "GET", null, instId);
+// --- Módulo de Disparo em Massa ---
+const activeCampaigns = new Map();
+const CAMPAIGN_CAP_RESUME_HOUR = 8; // V1.347: Hora (Brasília) em que campanhas paradas pelo limite diário recomeçam
+const CAMPAIGN_RETRY_DELAYS = [5, 15, 45]; // V1.355: Espera (segundos) antes de cada nova tentativa de uma falha temporária
 
-    if (!res.success || !res.data || !res.data.Groups) {
-        return ctx.editMessageText("❌ Falha ao buscar grupos ou nenhum grupo encontrado.", {
-            ...Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_init_${instId}`)]])
-        });
-    }
+function escapeHtml(str) {
+    return String(str ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+}
 
-    const groups = res.data.Groups.map(g => ({
-        name: g.Name || "Sem Nome",
-        id: g.JID,
-        selected: false
-    }));
+// V1.345: Variáveis de campanha a partir das colunas da planilha ("Cidade Natal" -> {{cidade_natal}})
+function normalizeVarKey(label) {
+    return String(label || "")
+        .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "_")
+        .replace(/^_+|_+$/g, "");
+}
 
-    if (groups.length === 0) {
-        return ctx.editMessageText("⚠️ Nenhum grupo encontrado nesta instância.", {
-            ...Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_init_${instId}`)]])
-        });
-    }
+function looksLikePhone(value) {
+    const str = String(value ?? "").trim();
+    if (!/^\+?[\d\s().-]+$/.test(str)) return false;
+    return str.replace(/\D/g, "").length >= 8;
+}
 
-    // Salvar na sessão temporária
-    session.temp_groups = groups;
-    session.temp_groups_page = 0;
-    await syncSession(ctx, session);
+// Parser CSV simples (aspas, ; , ou TAB - o Excel BR exporta com ;)
+function parseCsv(text) {
+    const clean = text.replace(/^\uFEFF/, "");
+    const firstLine = clean.split(/\r?\n/)[0] || "";
+    const delimiter = [";", ",", "\t"]
+        .map(d => ({ d, count: firstLine.split(d).length }))
+        .sort((a, b) => b.count - a.count)[0].d;
+
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < clean.length; i++) {
+        const ch = clean[i];
+        if (inQuotes) {
+            if (ch === '"' && clean[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') inQuotes = false;
+            else cell += ch;
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(cell); cell = "";
+        } else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && clean[i + 1] === "\n") i++;
+            row.push(cell); rows.push(row);
+            row = []; cell = "";
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell || row.length > 0) { row.push(cell); rows.push(row); }
+    return rows;
+}
 
-    await renderGroupSelection(ctx, instId);
-});
+// Lê CSV/XLSX e devolve { headers, keys, rows, phoneCol } com o cabeçalho detectado
+function parseContactSheet(buffer, fileName) {
+    const lower = (fileName || "").toLowerCase();
+    let rows;
+    if (lower.endsWith(".csv")) {
+        rows = parseCsv(buffer.toString("utf-8"));
+    } else {
+        const wb = XLSX.read(buffer, { type: "buffer" });
+        const sheet = wb.Sheets[wb.SheetNames[0]];
+        const formatted = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: "" });
+        const values = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: "" });
+        // Telefones numéricos viriam formatados em notação científica ("5.512E+12"): usa o valor inteiro da célula
+        rows = formatted.map((r, i) => r.map((c, j) => {
+            const v = values[i] && values[i][j];
+            return typeof v === "number" && Number.isInteger(v) && Math.abs(v) >= 1e7 ? v.toFixed(0) : c;
+        }));
+    }
 
-async function renderGroupSelection(ctx, instId) {
-    const session = await getSession(ctx.chat.id);
-    const groups = session.temp_groups || [];
-    const page = session.temp_groups_page || 0;
-    const PAGE_SIZE = 8;
+    rows = rows
+        .map(r => r.map(c => String(c ?? "").trim()))
+        .filter(r => r.some(c => c.length > 0));
+    if (rows.length === 0) return null;
+
+    const width = Math.max(...rows.map(r => r.length));
+    const first = rows[0];
+    // Sem cabeçalho quando a primeira linha já traz um telefone
+    const hasHeader = !first.some(looksLikePhone);
+    const headers = Array.from({ length: width }, (_, i) => (hasHeader && first[i]) ? first[i] : `coluna_${i + 1}`);
+    const dataRows = (hasHeader ? rows.slice(1) : rows).map(r => Array.from({ length: width }, (_, i) => r[i] || ""));
+
+    const keys = [];
+    headers.forEach((h, i) => {
+        let key = normalizeVarKey(h) || `coluna_${i + 1}`;
+        while (keys.includes(key)) key += `_${i + 1}`;
+        keys.push(key);
+    });
 
-    const totalPages = Math.ceil(groups.length / PAGE_SIZE);
-    const start = page * PAGE_SIZE;
-    const end = start + PAGE_SIZE;
-    const slice = groups.slice(start, end);
+    let phoneCol = keys.findIndex(k => /(telefone|celular|whats|phone|fone|numero|tel$)/.test(k));
+    if (phoneCol === -1) {
+        const scores = keys.map((_, i) => dataRows.filter(r => looksLikePhone(r[i])).length);
+        const best = Math.max(...scores);
+        phoneCol = best > 0 ? scores.indexOf(best) : 0;
+    }
 
-    const buttons = slice.map(g => {
-        const icon = g.selected ? "✅" : "⬜";
-        // V1.250: Usar Array.from() para fatiar nomes com emojis sem quebrar UTF-8
-        const safeName = Array.from(g.name || "Sem Nome").slice(0, 22).join('');
-        return [Markup.button.callback(`${icon} ${safeName}`, `wa_mass_grp_toggle_${instId}_${g.id}`)];
-    });
+    return { headers, keys, rows: dataRows, phoneCol };
+}
 
-    // Paginação
-    const navRow = [];
-    if (page > 0) navRow.push(Markup.button.callback("⬅️ Ant", `wa_mass_grp_page_${instId}_${page - 1}`));
-    if (page < totalPages - 1) navRow.push(Markup.button.callback("Prox ➡️", `wa_mass_grp_page_${instId}_${page + 1}`));
+// Lista .txt: um contato por linha, "Nome;5511999998888" ou só o número
+function parseContactTxt(content) {
+    const lines = content.split("\n").map(n => n.trim()).filter(n => n.length > 5);
+    return lines.map(line => {
+        if (line.includes(";")) {
+            const [name, phone] = line.split(";").map(p => p.trim());
+            return { name, phone: (phone || "").replace(/\D/g, "") };
+        }
+        return { name: null, phone: line.replace(/\D/g, "") };
+    }).filter(c => c.phone.length >= 8);
+}
 
-    if (navRow.length > 0) buttons.push(navRow);
+function buildSheetContacts(sheet) {
+    const nameCol = sheet.keys.findIndex((k, i) => i !== sheet.phoneCol && /^(nome|name|cliente|contato)/.test(k));
+    return sheet.rows.map(r => {
+        const vars = {};
+        sheet.keys.forEach((k, i) => { if (i !== sheet.phoneCol) vars[k] = r[i]; });
+        return {
+            name: nameCol !== -1 && r[nameCol] ? r[nameCol] : null,
+            phone: (r[sheet.phoneCol] || "").replace(/\D/g, ""),
+            vars
+        };
+    }).filter(c => c.phone.length >= 8);
+}
 
-    // Ações Finais
-    const selectedCount = groups.filter(g => g.selected).length;
+// V1.351: Spintax aninhado ({Olá|Oi|E aí} {{nome}}, {tudo bem|como vai}?) - {{variáveis}} ficam intactas
+const SPINTAX_VAR_RE = /^\{\{\s*[\w\u00C0-\u017F ]+?\s*\}\}/;
+const SPINTAX_MAX_COUNT = 1e9;
+
+function parseSpintax(template) {
+    const src = String(template || "");
+    let i = 0;
+
+    const parseSeq = (inGroup) => {
+        const parts = [];
+        let literal = "";
+        while (i < src.length) {
+            const rest = src.slice(i);
+            const varMatch = rest.match(SPINTAX_VAR_RE);
+            if (varMatch) {
+                literal += varMatch[0];
+                i += varMatch[0].length;
+            } else if (src[i] === "{") {
+                const openAt = i++;
+                if (literal) parts.push(literal);
+                literal = "";
+                const options = [parseSeq(true)];
+                while (src[i] === "|") {
+                    i++;
+                    options.push(parseSeq(true));
+                }
+                if (src[i] !== "}") throw new Error(`Chave "{" aberta na posição ${openAt + 1} não foi fechada.`);
+                i++;
+                parts.push({ options });
+            } else if (src[i] === "}" || src[i] === "|") {
+                if (inGroup) break;
+                if (src[i] === "}") throw new Error(`Chave "}" na posição ${i + 1} fecha um grupo que não foi aberto.`);
+                literal += src[i++];
+            } else {
+                literal += src[i++];
+            }
+        }
+        if (literal) parts.push(literal);
+        return parts;
+    };
 
-    buttons.push([
-        Markup.button.callback(`Seleção: ${selectedCount}`, "noop"),
-        Markup.button.callback(selectedCount > 0 ? "🚀 Confirmar" : "⚠️ Selecione...", selectedCount > 0 ? `wa_mass_grp_confirm_${instId}` : "noop")
-    ]);
+    return parseSeq(false);
+}
 
-    buttons.push([Markup.button.callback("🔙 Voltar", `wa_mass_init_${instId}`)]);
+function pickSpintax(parts) {
+    return parts.map(p => typeof p === "string"
+        ? p
+        : pickSpintax(p.options[Math.floor(Math.random() * p.options.length)])
+    ).join("");
+}
 
-    const msgText = `📂 <b>Seleção de Grupos</b>\n\nTotal encontrados: ${groups.length}\nSelecionados: ${selectedCount}\n\nMarque os grupos para disparar:`;
+function countSpintaxParts(parts) {
+    let total = 1;
+    for (const p of parts) {
+        if (typeof p === "string") continue;
+        const options = p.options.reduce((acc, opt) => Math.min(acc + countSpintaxParts(opt), SPINTAX_MAX_COUNT), 0);
+        total = Math.min(total * options, SPINTAX_MAX_COUNT);
+    }
+    return total;
+}
 
-    // Tentar editar, se falhar (ex: imagem antiga), enviar nova
+// Sorteia uma variante; se o texto tiver chaves soltas (mensagens antigas) devolve como está
+function expandSpintax(template) {
     try {
-        await ctx.editMessageText(msgText, { parse_mode: "HTML", ...Markup.inlineKeyboard(buttons) });
-    } catch {
-        await ctx.reply(msgText, { parse_mode: "HTML", ...Markup.inlineKeyboard(buttons) });
+        return pickSpintax(parseSpintax(template));
+    } catch (e) {
+        return String(template || "");
     }
 }
 
-bot.action(/^wa_mass_grp_toggle_(.+)_(.+)$/, async (ctx) => {
-    // safeAnswer(ctx); // Pode causar "flash" em listas longas, opcional
-    const instId = ctx.match[1];
-    const grpId = ctx.match[2];
+// Valida as variações de uma mensagem; retorna { error } ou { count } com o total de variantes únicas
+function analyzeSpintax(variations) {
+    let count = 0;
+    for (const [idx, v] of variations.entries()) {
+        try {
+            count = Math.min(count + countSpintaxParts(parseSpintax(v)), SPINTAX_MAX_COUNT);
+        } catch (e) {
+            return { error: variations.length > 1 ? `Variação ${idx + 1}: ${e.message}` : e.message };
+        }
+    }
+    return { count };
+}
+
+function formatVariantCount(count) {
+    return count >= SPINTAX_MAX_COUNT ? "mais de 1 bilhão" : count.toLocaleString('pt-BR');
+}
+
+// V1.345: Personalização centralizada (usada no disparo e na pré-visualização)
+function renderCampaignMessage(template, contact, now = new Date()) {
+    const contactName = (typeof contact === 'object' && contact.name) ? contact.name : "amigo(a)";
+    const hr = now.getHours();
+    const saudacao = hr < 12 ? "Bom dia" : hr < 18 ? "Boa tarde" : "Boa noite";
+    const emjs = ["😊", "👋", "🚀", "✨", "✅", "📍", "🤝", "🙌"];
+    const randomEmoji = emjs[Math.floor(Math.random() * emjs.length)];
+
+    let text = expandSpintax(template)
+        .replace(/\{\{nome\}\}/gi, contactName)
+        .replace(/\{\{name\}\}/gi, contactName)
+        .replace(/\{\{saudacao\}\}/gi, saudacao)
+        .replace(/\{\{greet\}\}/gi, saudacao)
+        .replace(/\{\{emoji\}\}/gi, randomEmoji);
+
+    const vars = (typeof contact === 'object' && contact.vars) || {};
+    text = text.replace(/\{\{\s*([\w\u00C0-\u017F ]+?)\s*\}\}/g, (match, key) => {
+        const k = normalizeVarKey(key);
+        return Object.prototype.hasOwnProperty.call(vars, k) ? vars[k] : match;
+    });
+    return text;
+}
 
+async function renderSheetMapping(ctx, instId) {
     const session = await getSession(ctx.chat.id);
-    if (!session.temp_groups) return;
+    const sheet = session.temp_sheet;
+    if (!sheet) return ctx.reply("❌ Nenhuma planilha em processamento. Envie o arquivo novamente.");
+
+    const sample = sheet.rows[0] || [];
+    let text = `📊 <b>Planilha Importada</b>\n\n` +
+        `📄 Linhas: <b>${sheet.rows.length}</b>\n` +
+        `📱 Coluna do telefone: <b>${escapeHtml(sheet.headers[sheet.phoneCol])}</b>\n\n` +
+        `🔤 <b>Variáveis disponíveis:</b>\n`;
+    sheet.keys.forEach((k, i) => {
+        if (i === sheet.phoneCol) return;
+        text += `<code>{{${k}}}</code> → ${escapeHtml((sample[i] || "").substring(0, 30)) || "<i>vazio</i>"}\n`;
+    });
+    text += `\nSe a coluna do telefone estiver errada, toque na coluna correta abaixo:`;
 
-    const group = session.temp_groups.find(g => g.id === grpId);
-    if (group) {
-        group.selected = !group.selected;
-        await syncSession(ctx, session);
-        await renderGroupSelection(ctx, instId);
-    } else {
-        ctx.answerCbQuery("Grupo não encontrado na sessão.");
-    }
-});
+    const buttons = sheet.headers.map((h, i) => [
+        Markup.button.callback(`${i === sheet.phoneCol ? "✅" : "📱"} ${Array.from(h).slice(0, 25).join('')}`, `wa_mass_sheet_phone_${instId}_${i}`)
+    ]);
+    buttons.push([Markup.button.callback("🚀 Confirmar Contatos", `wa_mass_sheet_ok_${instId}`)]);
+    buttons.push([Markup.button.callback("🔙 Voltar", `wa_mass_start_txt_${instId}`)]);
 
-bot.action(/^wa_mass_grp_page_(.+)_(.+)$/, async (ctx) => {
+    await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+}
+
+bot.action(/^wa_mass_sheet_phone_(.+)_(\d+)$/, async (ctx) => {
+    safeAnswer(ctx);
     const instId = ctx.match[1];
-    const page = parseInt(ctx.match[2]);
-    const session = await getSession(ctx.chat.id);
-    session.temp_groups_page = page;
-    await syncSession(ctx, session);
-    await renderGroupSelection(ctx, instId);
+    const col = parseInt(ctx.match[2]);
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst || !session.temp_sheet) return;
+
+    if (col >= 0 && col < session.temp_sheet.headers.length) {
+        session.temp_sheet.phoneCol = col;
+        await syncSession(ctx, session);
+    }
+    await renderSheetMapping(ctx, instId);
 });
 
-bot.action(/^wa_mass_grp_confirm_(.+)$/, async (ctx) => {
+bot.action(/^wa_mass_sheet_ok_(.+)$/, async (ctx) => {
     safeAnswer(ctx);
     const instId = ctx.match[1];
-    const session = await getSession(ctx.chat.id);
-
-    const selected = session.temp_groups.filter(g => g.selected);
-    if (selected.length === 0) return ctx.answerCbQuery("Selecione pelo menos um grupo!");
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    if (!session.temp_sheet) return ctx.reply("❌ Nenhuma planilha em processamento. Envie o arquivo novamente.");
 
-    // O formato esperado pelo runCampaign é { name, phone } ou apenas string phone
-    // Vamos converter para o formato padrão de contatos
-    session.mass_contacts = selected.map(g => ({ name: g.name, phone: g.id }));
+    const sheet = session.temp_sheet;
+    const contacts = buildSheetContacts(sheet);
+    if (contacts.length === 0) {
+        return ctx.reply("❌ Nenhum telefone válido na coluna escolhida. Selecione outra coluna.");
+    }
 
-    // Avança para o estágio de mensagem (mesmo do txt)
+    session.mass_contacts = contacts;
     session.stage = `WA_WAITING_MASS_MSG_${instId}`;
+    delete session.temp_sheet;
     await syncSession(ctx, session);
 
-    // Limpar temp groups da sessão (opcional, para economizar espaço)
-    delete session.temp_groups;
-    delete session.temp_groups_page;
-    await syncSession(ctx, session);
+    const varsList = sheet.keys.filter((_, i) => i !== sheet.phoneCol).map(k => `<code>{{${k}}}</code>`).join(", ");
+    const prompt = `✅ <b>${contacts.length} contatos importados da planilha!</b>\n\n` +
+        `Agora, envie o <b>conteúdo</b> que deseja disparar (Texto, Foto, Vídeo, etc).\n\n` +
+        `💡 <b>Personalização:</b> ${varsList || "<code>{{nome}}</code>"}`;
+    await safeEdit(ctx, prompt, Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_init_${instId}`)]]));
+});
 
-    ctx.reply(`✅ *${selected.length} grupos selecionados!*\n\nAgora, envie o **conteúdo** que deseja disparar (Texto, Foto, Vídeo, etc):`, {
-        parse_mode: "Markdown",
-        ...Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_groups_fetch_${instId}`)]])
+// V1.345: Resumo + pré-visualização antes de iniciar/agendar
+async function renderMassLaunchMenu(ctx, instId) {
+    const session = await getSession(ctx.chat.id);
+    const contacts = session.mass_contacts || [];
+    const variations = session.mass_msgs || [];
+    const typeLabel = session.mass_media_type && session.mass_media_type !== 'text' ? `[${session.mass_media_type}] ` : "";
+
+    let text = `🧾 <b>Resumo do Disparo</b>\n\n` +
+        `👥 Contatos: <b>${contacts.length}</b>\n` +
+        `📝 Variações: <b>${variations.length}</b> (🎲 ${formatVariantCount(analyzeSpintax(variations).count || 0)} variantes únicas)\n` +
+        `⏱️ Intervalo: <b>${session.temp_mass_min}-${session.temp_mass_max}s</b>\n` +
+        `📱 Números de envio: <b>${buildCampaignSenders(session, instId).length}</b>\n` +
+        (buildCampaignBackup(session, instId) ? `🛟 Reserva: <b>${escapeHtml(buildCampaignBackup(session, instId).name)}</b>\n` : "") +
+        `🕘 Janela de envio: <b>${session.mass_window ? "personalizada" : "24h"}</b>\n` +
+        ((session.mass_sequence || []).length > 0 ? `🔁 Sequência: <b>${session.mass_sequence.length + 1} etapas</b>\n` : "") +
+        (buildCampaignAb(session) ? `🧪 Teste A/B: <b>${session.mass_ab.share}% da lista, vencedora após ${session.mass_ab.waitHours}h</b>\n` : "") +
+        (variations.some(v => v.match(CAMPAIGN_URL_RE)) ? `🔗 Rastreio de cliques: <b>${session.mass_track_links !== false ? "ativado" : "desativado"}</b>\n` : "") + `\n` +
+        `👀 <b>Pré-visualização:</b>\n`;
+
+    contacts.slice(0, 3).forEach((c, i) => {
+        const tpl = variations[i % Math.max(variations.length, 1)] || "";
+        const rendered = renderCampaignMessage(tpl, c);
+        const who = c.name ? `${c.name} (${c.phone})` : c.phone;
+        text += `\n<b>${i + 1}. ${escapeHtml(who)}</b>\n<i>${typeLabel}${escapeHtml(rendered.substring(0, 300)) || "(sem legenda)"}</i>\n`;
     });
-});
 
+    text += `\n🕒 <b>Quando deseja realizar o disparo?</b>`;
+
+    await safeEdit(ctx, text, Markup.inlineKeyboard([
+        [Markup.button.callback("🚀 Enviar Agora", `wa_mass_now_${instId}`)],
+        // O agendamento também passa pela pré-validação (a tela dela oferece "Agendar para depois")
+        [Markup.button.callback("📅 Agendar para depois", `wa_mass_now_${instId}`)],
+        [Markup.button.callback("📱 Números de Envio", `wa_mass_sndr_${instId}`), Markup.button.callback("🕘 Janela de Envio", `wa_mass_win_${instId}`)],
+        [Markup.button.callback("🧪 Teste A/B", `wa_mass_ab_${instId}`), Markup.button.callback("🔁 Sequência", `wa_mass_seq_${instId}`)],
+        [Markup.button.callback("💾 Salvar Público", `wa_lib_save_aud_${instId}`), Markup.button.callback("💾 Salvar Modelo", `wa_lib_save_tpl_${instId}`)],
+        [Markup.button.callback(session.mass_track_links !== false ? "🔗 Rastrear Cliques: ✅" : "🔗 Rastrear Cliques: ❌", `wa_mass_trk_${instId}`), Markup.button.callback("🛟 Número Reserva", `wa_mass_bkp_${instId}`)],
+        [Markup.button.callback("🔙 Voltar", `wa_mass_init_${instId}`)]
+    ]));
+}
 
-bot.action(/^wa_mass_list_paused_(.+)$/, async (ctx) => {
+// V1.365: Liga/desliga a troca dos links da mensagem por links rastreados
+bot.action(/^wa_mass_trk_(.+)$/, async (ctx) => {
     safeAnswer(ctx);
     const instId = ctx.match[1];
     const { inst, session } = await checkOwnership(ctx, instId);
     if (!inst) return;
+    session.mass_track_links = session.mass_track_links === false;
+    await syncSession(ctx, session);
+    await renderMassLaunchMenu(ctx, instId);
+});
 
-    const { data, error } = await supabase
-        .from('scheduled_campaigns')
-        .select('*')
-        .eq('inst_id', instId)
-        .in('status', ['PAUSED', 'PENDING'])
-        .limit(10);
+// V1.356: Pré-validação - remove duplicados e descadastrados, normaliza números BR e consulta o WhatsApp em lote
+const PREFLIGHT_BATCH_SIZE = 100;
 
-    if (error || !data || data.length === 0) {
-        const errMsg = "❌ Nenhuma campanha pausada ou pendente encontrada.";
-        if (ctx.callbackQuery) return ctx.editMessageText(errMsg, Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_init_${instId}`)]]));
-        return ctx.reply(errMsg);
+// Números brasileiros sem DDI recebem o 55: DDD + fixo (2 a 5) com 10 dígitos ou DDD + celular (9) com 11.
+// Os demais (ex.: EUA "12125551234") já trazem o DDI e ficam como estão
+const BR_LOCAL_PHONE_RE = /^[1-9][1-9](?:[2-5]\d{7}|9\d{8})$/;
+
+function normalizeCampaignPhone(raw) {
+    const digits = String(raw || "").replace(/\D/g, "").replace(/^0+/, "");
+    return BR_LOCAL_PHONE_RE.test(digits) ? `55${digits}` : digits;
+}
+
+async function runCampaignPreflight(chatId, instId, contacts) {
+    const suppressed = await getSuppressionSet(chatId);
+    const seen = new Set();
+    const entries = [];
+    const stats = { total: contacts.length, duplicates: 0, suppressed: 0, invalid: [], unchecked: 0 };
+
+    for (const c of contacts) {
+        const contact = typeof c === 'string' ? { phone: c } : { ...c };
+        delete contact.jid;
+        if (contact.phone.includes("@g.us")) {
+            if (seen.has(contact.phone)) { stats.duplicates++; continue; }
+            seen.add(contact.phone);
+            entries.push({ contact, state: 'OK' });
+            continue;
+        }
+        contact.phone = normalizeCampaignPhone(contact.phone);
+        if (contact.phone.length < 10 || contact.phone.length > 15) {
+            stats.invalid.push(c.phone || c);
+            continue;
+        }
+        const key = phoneKey(contact.phone);
+        if (seen.has(key)) { stats.duplicates++; continue; }
+        seen.add(key);
+        if (suppressed.has(key)) { stats.suppressed++; continue; }
+        entries.push({ contact, key, state: 'CHECK' });
+    }
+
+    const toCheck = entries.filter(e => e.state === 'CHECK');
+    for (let i = 0; i < toCheck.length; i += PREFLIGHT_BATCH_SIZE) {
+        const batch = toCheck.slice(i, i + PREFLIGHT_BATCH_SIZE);
+        const check = await callWuzapi("/user/check", "POST", { Phone: batch.map(e => e.contact.phone) }, instId);
+        const users = new Map((check.success ? check.data?.Users || [] : []).map(u => [phoneKey(u.Query), u]));
+        for (const e of batch) {
+            const user = users.get(e.key);
+            if (!user) {
+                // Sem resposta do WhatsApp: mantém e deixa a verificação para o momento do envio
+                e.state = 'OK';
+                stats.unchecked++;
+            } else if (user.IsInWhatsapp) {
+                e.contact.jid = user.JID;
+                e.state = 'OK';
+            } else {
+                e.state = 'INVALID';
+                stats.invalid.push(e.contact.phone);
+            }
+        }
+    }
+
+    return { contacts: entries.filter(e => e.state === 'OK').map(e => e.contact), stats };
+}
+
+// Estimativa em segundos pelo intervalo médio de cada número (os números enviam em paralelo)
+function estimateCampaignSeconds(senders, count) {
+    const perSecond = senders.reduce((acc, s) => {
+        const min = parseInt(s.minDelay) || 5;
+        const max = parseInt(s.maxDelay) || 15;
+        return acc + 2 / (min + max);
+    }, 0);
+    return perSecond > 0 ? Math.ceil(count / perSecond) : 0;
+}
+
+function formatDuration(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.ceil((seconds % 3600) / 60);
+    if (h > 0) return `${h}h${m > 0 ? ` ${m}min` : ""}`;
+    return m > 0 ? `${m}min` : "menos de 1min";
+}
+
+async function renderMassPreflight(ctx, instId, stats) {
+    const session = await getSession(ctx.chat.id);
+    const contacts = session.mass_contacts || [];
+    const senders = buildCampaignSenders(session, instId);
+    const ab = buildCampaignAb(session);
+
+    let text = `🔎 <b>Pré-validação do Disparo</b>\n\n` +
+        `📋 Lista enviada: <b>${stats.total}</b>\n` +
+        `✅ Válidos: <b>${contacts.length}</b>\n` +
+        `❌ Inválidos / sem WhatsApp: <b>${stats.invalid.length}</b>\n` +
+        `♻️ Duplicados removidos: <b>${stats.duplicates}</b>\n` +
+        `🚫 Descadastrados: <b>${stats.suppressed}</b>\n`;
+    if (stats.unchecked > 0) {
+        text += `❔ Não verificados: <b>${stats.unchecked}</b> (serão conferidos no envio)\n`;
+    }
+    if (stats.invalid.length > 0) {
+        text += `\n<b>Inválidos:</b> <code>${escapeHtml(stats.invalid.slice(0, 10).join(", "))}</code>${stats.invalid.length > 10 ? ` e mais ${stats.invalid.length - 10}` : ""}\n`;
+    }
+
+    if (contacts.length > 0) {
+        let seconds = estimateCampaignSeconds(senders, contacts.length);
+        if (ab) seconds += ab.waitHours * 3600;
+        const finishAt = new Date(Date.now() + seconds * 1000);
+        text += `\n⏱️ Duração estimada: <b>${formatDuration(seconds)}</b>\n` +
+            `🏁 Término previsto: <b>${finishAt.toLocaleString('pt-BR')}</b>\n`;
+        const capPerDay = senders.every(s => s.dailyCap > 0) ? senders.reduce((acc, s) => acc + s.dailyCap, 0) : 0;
+        if (capPerDay > 0 && contacts.length > capPerDay) {
+            text += `⚠️ Com o limite diário (${capPerDay}/dia), o envio se estende por ${Math.ceil(contacts.length / capPerDay)} dias.\n`;
+        }
+        if (session.mass_window) text += `🕘 Pausas fora da janela de envio não entram na estimativa.\n`;
+    } else {
+        text += `\n⚠️ Nenhum contato válido para disparar.\n`;
     }
 
-    let msg = "📂 *Campanhas Encontradas:*\n\n";
     const buttons = [];
+    if (contacts.length > 0) {
+        buttons.push([Markup.button.callback("✅ Confirmar e Enviar", `wa_mass_confirm_start_${instId}`)]);
+        buttons.push([Markup.button.callback("📅 Agendar para depois", `wa_mass_sched_${instId}`)]);
+        buttons.push([Markup.button.callback("🧪 Simulação (sem enviar)", `wa_mass_dry_${instId}`)]);
+    }
+    buttons.push([Markup.button.callback("🔙 Voltar", `wa_mass_sndr_done_${instId}`)]);
+    await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+}
 
-    data.forEach((camp, idx) => {
-        const info = camp.campaign_data;
-        const进度 = info.currentIndex || 0;
-        const total = info.total || 0;
-        msg += `${idx + 1}. Progresso: ${进度}/${total}\nStatus: ${camp.status}\n\n`;
-        buttons.push([Markup.button.callback(`▶️ Retomar Campanha ${idx + 1}`, `wa_mass_resume_db_${camp.id}`)]);
-    });
+bot.action(/^wa_mass_now_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    if (!session.mass_contacts || session.mass_contacts.length === 0) {
+        return ctx.reply("❌ Nenhum contato encontrado para o disparo. Por favor, envie o arquivo novamente.");
+    }
 
-    buttons.push([Markup.button.callback("🔙 Voltar", `wa_mass_init_${instId}`)]);
+    await safeEdit(ctx, `🔎 Validando ${session.mass_contacts.length} contatos no WhatsApp...`);
+    let preflight;
+    try {
+        preflight = await runCampaignPreflight(ctx.chat.id, instId, session.mass_contacts);
+    } catch (e) {
+        log(`[PREFLIGHT ERR] ${e.message}`);
+        return ctx.reply("❌ Erro na pré-validação dos contatos. Tente novamente.");
+    }
 
-    await safeEdit(ctx, msg, Markup.inlineKeyboard(buttons));
+    session.mass_contacts = preflight.contacts;
+    await syncSession(ctx, session);
+    await renderMassPreflight(ctx, instId, preflight.stats);
 });
 
-bot.action(/^wa_mass_resume_db_(.+)$/, async (ctx) => {
+// Simulação: arquivo com a mensagem personalizada de cada contato (e das etapas da sequência), sem enviar nada
+bot.action(/^wa_mass_dry_(.+)$/, async (ctx) => {
     safeAnswer(ctx);
-    const dbId = ctx.match[1];
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    const contacts = session.mass_contacts || [];
+    const variations = session.mass_msgs || [];
+    if (contacts.length === 0 || variations.length === 0) {
+        return ctx.reply("❌ Configure os contatos e a mensagem antes de simular.");
+    }
 
-    const { data, error } = await supabase
-        .from('scheduled_campaigns')
-        .select('*')
-        .eq('id', dbId)
-        .single();
+    const mediaLabel = (type) => type && type !== 'text' ? `[${type}] ` : "";
+    const lines = [`SIMULAÇÃO DE DISPARO - ${new Date().toLocaleString('pt-BR')}`, `${contacts.length} contatos | ${variations.length} variações`, ""];
+    contacts.forEach((c, i) => {
+        const who = c.name ? `${c.name} (${c.phone})` : (c.phone || c);
+        const variant = i % variations.length;
+        lines.push(`#${i + 1} ${who} - Variação ${variant + 1}`);
+        lines.push(mediaLabel(session.mass_media_type) + (renderCampaignMessage(variations[variant], c) || "(sem legenda)"));
+        (session.mass_sequence || []).forEach((step, n) => {
+            const msgs = step.messages || [""];
+            lines.push(`  > Etapa ${n + 2} (+${step.delayDays} dias): ${mediaLabel(step.mediaType)}${renderCampaignMessage(msgs[i % msgs.length], c) || "(sem legenda)"}`);
+        });
+        lines.push("----------------------------------------");
+    });
 
-    if (error || !data) return ctx.reply("❌ Campanha não encontrada ou erro no banco.");
-    const { inst, session } = await checkOwnership(ctx, data.inst_id);
+    await ctx.replyWithDocument(
+        { source: Buffer.from(lines.join("\n"), "utf-8"), filename: "simulacao_disparo.txt" },
+        { caption: `🧪 Simulação com ${contacts.length} mensagens personalizadas. Nada foi enviado.` }
+    );
+});
+
+// V1.352: Teste A/B (amostra da lista recebe as variações; o restante recebe a vencedora)
+function buildCampaignAb(session) {
+    const ab = session.mass_ab;
+    if (!ab || !ab.enabled || (session.mass_msgs || []).length < 2) return null;
+    return { share: ab.share, waitHours: ab.waitHours };
+}
+
+async function renderMassAb(ctx, instId) {
+    const session = await getSession(ctx.chat.id);
+    const ab = { enabled: false, share: 20, waitHours: 2, ...(session.mass_ab || {}) };
+    const variations = (session.mass_msgs || []).length;
+
+    let text = `🧪 <b>Teste A/B</b>\n\n` +
+        `Uma amostra da lista recebe as variações da mensagem. Depois do tempo de espera, a variação com mais respostas (desempate por leituras) é enviada ao restante.\n\n`;
+    if (variations < 2) {
+        text += `⚠️ Sua mensagem tem apenas 1 variação. Separe as variações com <code>;;;</code> para usar o teste.`;
+        return safeEdit(ctx, text, Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_sndr_done_${instId}`)]]));
+    }
+
+    text += `📌 Status: <b>${ab.enabled ? "Ativo" : "Desativado"}</b>\n` +
+        `👥 Amostra: <b>${ab.share}%</b> da lista\n` +
+        `⏳ Espera: <b>${ab.waitHours}h</b>\n` +
+        `📝 Variações: <b>${variations}</b>`;
+
+    await safeEdit(ctx, text, Markup.inlineKeyboard([
+        [Markup.button.callback(ab.enabled ? "⏸️ Desativar" : "▶️ Ativar", `wa_mass_ab_toggle_${instId}`)],
+        [10, 20, 30].map(p => Markup.button.callback(`${ab.share === p ? "✅ " : ""}${p}%`, `wa_mass_ab_pct_${instId}_${p}`)),
+        [1, 2, 4, 24].map(h => Markup.button.callback(`${ab.waitHours === h ? "✅ " : ""}${h}h`, `wa_mass_ab_wait_${instId}_${h}`)),
+        [Markup.button.callback("🔙 Voltar", `wa_mass_sndr_done_${instId}`)]
+    ]));
+}
+
+async function updateMassAb(ctx, instId, update) {
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    session.mass_ab = update({ enabled: false, share: 20, waitHours: 2, ...(session.mass_ab || {}) });
+    await syncSession(ctx, session);
+    await renderMassAb(ctx, instId);
+}
+
+bot.action(/^wa_mass_ab_toggle_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    await updateMassAb(ctx, ctx.match[1], ab => ({ ...ab, enabled: !ab.enabled }));
+});
+
+bot.action(/^wa_mass_ab_(pct|wait)_(.+)_(\d+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const [, field, instId, value] = ctx.match;
+    await updateMassAb(ctx, instId, ab => field === 'pct' ? { ...ab, share: parseInt(value) } : { ...ab, waitHours: parseInt(value) });
+});
+
+bot.action(/^wa_mass_ab_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst } = await checkOwnership(ctx, instId);
     if (!inst) return;
+    await renderMassAb(ctx, instId);
+});
 
-    const camp = {
-        ...data.campaign_data,
-        dbId: data.id,
-        status: 'RUNNING'
+// V1.353: Etapas extras da sequência (a etapa 1 é a mensagem principal do disparo)
+async function renderMassSequence(ctx, instId) {
+    const session = await getSession(ctx.chat.id);
+    const steps = session.mass_sequence || [];
+    const preview = (messages, mediaType) => {
+        const label = mediaType && mediaType !== 'text' ? `[${mediaType}] ` : "";
+        return escapeHtml(`${label}${(messages[0] || "").substring(0, 60)}`) || "(sem texto)";
     };
 
-    activeCampaigns.set(ctx.chat.id, camp);
+    let text = `🔁 <b>Sequência de Mensagens</b>\n\n` +
+        `Cada etapa é enviada N dias após a anterior, só para quem recebeu a etapa anterior. ` +
+        `Quem responder, se descadastrar ou for transferido a um corretor sai da sequência automaticamente.\n\n` +
+        `1️⃣ <b>Agora</b> — ${preview(session.mass_msgs || [], session.mass_media_type)}\n`;
+    const buttons = [];
+    steps.forEach((step, i) => {
+        text += `${i + 2}️⃣ <b>+${step.delayDays} dia(s)</b> — ${preview(step.messages, step.mediaType)}\n`;
+        buttons.push([Markup.button.callback(`🗑️ Remover etapa ${i + 2}`, `wa_mass_seq_del_${instId}_${i}`)]);
+    });
 
-    // Marcar como RUNNING no banco
-    await supabase.from('scheduled_campaigns').update({ status: 'RUNNING' }).eq('id', dbId);
+    buttons.push([Markup.button.callback("➕ Adicionar Etapa", `wa_mass_seq_add_${instId}`)]);
+    buttons.push([Markup.button.callback("🔙 Voltar", `wa_mass_sndr_done_${instId}`)]);
+    await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+}
 
-    ctx.reply(`▶️ Retomando disparo ${dbId} a partir do contato ${camp.currentIndex + 1}...`);
-    runCampaign(ctx.chat.id, data.inst_id);
+bot.action(/^wa_mass_seq_add_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+
+    session.stage = `WA_WAITING_SEQ_DELAY_${instId}`;
+    await syncSession(ctx, session);
+    await safeEdit(ctx, `➕ <b>Nova Etapa</b>\n\nQuantos <b>dias</b> após a etapa anterior ela deve ser enviada?\n\nExemplo: <code>3</code>`,
+        Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_seq_${instId}`)]]));
+});
+
+bot.action(/^wa_mass_seq_del_(.+)_(\d+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    session.mass_sequence = (session.mass_sequence || []).filter((_, i) => i !== parseInt(ctx.match[2]));
+    await syncSession(ctx, session);
+    await renderMassSequence(ctx, instId);
+});
+
+bot.action(/^wa_mass_seq_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    if (session.stage && session.stage.startsWith("WA_WAITING_SEQ_")) {
+        session.stage = "READY";
+        await syncSession(ctx, session);
+    }
+    await renderMassSequence(ctx, instId);
+});
+
+async function addSequenceStep(ctx, session, instId, step) {
+    session.mass_sequence = [...(session.mass_sequence || []), { delayDays: session.temp_seq_delay, ...step }];
+    delete session.temp_seq_delay;
+    session.stage = "READY";
+    await syncSession(ctx, session);
+    await renderMassSequence(ctx, instId);
+}
+
+// V1.348: Janela de envio (fica salva como padrão para os próximos disparos)
+async function renderMassWindow(ctx, instId) {
+    const session = await getSession(ctx.chat.id);
+    const text = `🕘 <b>Janela de Envio</b>\n\n` +
+        `Fora da janela o disparo pausa sozinho e continua na próxima abertura.\n\n` +
+        `<b>Atual:</b>\n<code>${escapeHtml(describeSendingWindow(session.mass_window))}</code>`;
+    const buttons = [[Markup.button.callback("✏️ Definir Janela", `wa_mass_win_set_${instId}`)]];
+    if (session.mass_window) buttons.push([Markup.button.callback("🚫 Enviar a Qualquer Hora", `wa_mass_win_off_${instId}`)]);
+    buttons.push([Markup.button.callback("🔙 Voltar", `wa_mass_sndr_done_${instId}`)]);
+    await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+}
+
+bot.action(/^wa_mass_win_set_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+
+    session.stage = `WA_WAITING_MASS_WINDOW_${instId}`;
+    await syncSession(ctx, session);
+
+    await safeEdit(ctx, `✏️ <b>Definir Janela de Envio</b>\n\nEnvie uma regra por linha (dias e horário) e, se quiser, os feriados:\n\n` +
+        `<code>seg-sex 09:00-18:00\nsab 09:00-12:00\nferiados: 25/12, 01/01, 21/04/2026</code>`,
+        Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_win_${instId}`)]]));
+});
+
+bot.action(/^wa_mass_win_off_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    session.mass_window = null;
+    await syncSession(ctx, session);
+    await renderMassWindow(ctx, instId);
+});
+
+bot.action(/^wa_mass_win_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    if (session.stage === `WA_WAITING_MASS_WINDOW_${instId}`) {
+        session.stage = "READY";
+        await syncSession(ctx, session);
+    }
+    await renderMassWindow(ctx, instId);
+});
+
+// V1.347: Escolha das instâncias que dividem o disparo, cada uma com intervalo e limite diário próprios
+async function renderMassSenders(ctx, instId) {
+    const session = await getSession(ctx.chat.id);
+    const senders = buildCampaignSenders(session, instId);
+
+    let text = `📱 <b>Números de Envio</b>\n\n` +
+        `A lista de contatos será dividida entre os números marcados. Se um número desconectar, os contatos restantes dele passam para os demais.\n\n`;
+    const buttons = [];
+
+    session.whatsapp.instances.forEach((inst, idx) => {
+        const cfg = senders.find(s => s.instId === inst.id);
+        if (cfg) {
+            const cap = cfg.dailyCap > 0 ? `${cfg.dailyCap}/dia` : "sem limite";
+            text += `✅ <b>${escapeHtml(inst.name)}</b> — ${cfg.minDelay}-${cfg.maxDelay}s, ${cap}\n`;
+        } else {
+            text += `⬜ ${escapeHtml(inst.name)}\n`;
+        }
+        const row = [Markup.button.callback(`${cfg ? "✅" : "⬜"} ${inst.name}`, `wa_mass_sndr_tog_${instId}_${idx}`)];
+        if (cfg) row.push(Markup.button.callback("⚙️ Ajustar", `wa_mass_sndr_cfg_${instId}_${idx}`));
+        buttons.push(row);
+    });
+
+    buttons.push([Markup.button.callback("✅ Concluir", `wa_mass_sndr_done_${instId}`)]);
+    await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+}
+
+bot.action(/^wa_mass_sndr_tog_(.+)_(\d+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    const target = session.whatsapp.instances[parseInt(ctx.match[2])];
+    if (!target) return;
+
+    const senders = buildCampaignSenders(session, instId).map(({ name, ...cfg }) => cfg);
+    const exists = senders.some(s => s.instId === target.id);
+    if (exists && senders.length === 1) {
+        return ctx.reply("⚠️ O disparo precisa de pelo menos um número de envio.");
+    }
+    session.mass_senders = exists
+        ? senders.filter(s => s.instId !== target.id)
+        : [...senders, { instId: target.id, minDelay: session.temp_mass_min, maxDelay: session.temp_mass_max, dailyCap: 0 }];
+    await syncSession(ctx, session);
+    await renderMassSenders(ctx, instId);
+});
+
+bot.action(/^wa_mass_sndr_cfg_(.+)_(\d+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    const target = session.whatsapp.instances[parseInt(ctx.match[2])];
+    if (!target) return;
+
+    session.temp_sender_inst = target.id;
+    session.stage = `WA_WAITING_MASS_SENDER_CFG_${instId}`;
+    await syncSession(ctx, session);
+
+    await safeEdit(ctx, `⚙️ <b>${escapeHtml(target.name)}</b>\n\nEnvie o intervalo (em segundos) e o limite diário de envios no formato <code>MÍN-MÁX LIMITE</code>.\n\nExemplo: <code>10-30 200</code>\nUse <code>0</code> como limite para não limitar.`,
+        Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_sndr_${instId}`)]]));
+});
+
+bot.action(/^wa_mass_sndr_done_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    await renderMassLaunchMenu(ctx, instId);
 });
 
-bot.action("wa_stop_mass", async (ctx) => {
-    safeAnswer(ctx);
-    if (activeCampaigns.has(ctx.chat.id)) {
-        const camp = activeCampaigns.get(ctx.chat.id);
-        camp.stopped = true;
-        activeCampaigns.delete(ctx.chat.id);
-        ctx.reply("🛑 Disparo interrompido pelo usuário.");
-    } else {
-        ctx.reply("❌ Não há nenhum disparo ativo no momento.");
+bot.action(/^wa_mass_sndr_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    if (session.stage === `WA_WAITING_MASS_SENDER_CFG_${instId}`) {
+        session.stage = "READY";
+        await syncSession(ctx, session);
+    }
+    await renderMassSenders(ctx, instId);
+});
+
+// V1.367: Número reserva - assume o restante da lista se um número de envio for banido, deslogado ou falhar em sequência
+async function renderMassBackup(ctx, instId) {
+    const session = await getSession(ctx.chat.id);
+    const senderIds = buildCampaignSenders(session, instId).map(s => s.instId);
+    const current = buildCampaignBackup(session, instId);
+
+    let text = `🛟 <b>Número Reserva</b>\n\n` +
+        `Se um número de envio for banido, deslogado ou acumular ${CAMPAIGN_FAILOVER_THRESHOLD} falhas seguidas, o restante da lista dele passa para o número reserva, com o mesmo intervalo e a mesma personalização.\n\n` +
+        `Reserva atual: <b>${current ? escapeHtml(current.name) : "nenhuma"}</b>`;
+    const buttons = [];
+    session.whatsapp.instances.forEach((inst, idx) => {
+        if (senderIds.includes(inst.id)) return;
+        buttons.push([Markup.button.callback(`${current && current.instId === inst.id ? "🔘" : "⚪"} ${inst.name}`, `wa_mass_bkp_set_${instId}_${idx}`)]);
+    });
+    if (buttons.length === 0) text += `\n\n⚠️ Todas as suas instâncias já estão entre os números de envio. Crie outra instância ou desmarque uma delas para usá-la como reserva.`;
+    if (current) buttons.push([Markup.button.callback("❌ Sem Reserva", `wa_mass_bkp_off_${instId}`)]);
+    buttons.push([Markup.button.callback("🔙 Voltar", `wa_mass_sndr_done_${instId}`)]);
+    await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+}
+
+bot.action(/^wa_mass_bkp_set_(.+)_(\d+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    const target = session.whatsapp.instances[parseInt(ctx.match[2])];
+    if (!target) return;
+    session.mass_backup = target.id;
+    await syncSession(ctx, session);
+    await renderMassBackup(ctx, instId);
+});
+
+bot.action(/^wa_mass_bkp_off_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    session.mass_backup = null;
+    await syncSession(ctx, session);
+    await renderMassBackup(ctx, instId);
+});
+
+bot.action(/^wa_mass_bkp_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    await renderMassBackup(ctx, instId);
+});
+
+// This block was likely part of a bot.action handler that was removed or misplaced.
+// The user's instruction implies it should be part of a `wa_mass_init_` handler.
+// Assuming it's the start of `wa_mass_init_`
+bot.action(/^wa_mass_init_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const id = ctx.match[1];
+    const isVip = await checkVip(ctx.chat.id);
+    const config = await getSystemConfig();
+
+    // V1.291: Segunda camada de proteção
+    if (!isVip && !isAdmin(ctx.chat.id, config)) {
+        return safeEdit(ctx, "❌ *Módulo Pro Bloqueado*\n\nSua assinatura Connect Pro expirou. Renove para continuar usando os disparos.",
+            Markup.inlineKeyboard([[Markup.button.callback("💎 Renovar Agora", "cmd_planos_menu")], [Markup.button.callback("🔙 Voltar", "cmd_instancias_menu")]])
+        );
+    }
+
+    const { inst, session } = await checkOwnership(ctx, id);
+    if (!inst) return;
+
+    // V1.346: Campanhas são por instância - outras instâncias do usuário seguem livres
+    if (activeCampaigns.has(id)) {
+        return ctx.reply("⚠️ Esta instância já tem um disparo em andamento. Aguarde a conclusão ou cancele.", {
+            ...Markup.inlineKeyboard([
+                [Markup.button.callback("📊 Ver Andamento", "wa_mass_overview")],
+                [Markup.button.callback("🛑 Parar Disparo Atual", `wa_stop_mass_${id}`)]
+            ])
+        });
+    }
+
+    session.stage = `WA_WAITING_MASS_CONTACTS_${id}`;
+    await syncSession(ctx, session);
+
+    const text = "🚀 <b>Configuração de Disparo em Massa</b>\n\nO que deseja fazer?";
+    const extra = {
+        parse_mode: "HTML",
+        ...Markup.inlineKeyboard([
+            [Markup.button.callback("🆕 Novo Disparo", `wa_mass_new_start_${id}`)],
+            [Markup.button.callback("📂 Campanhas Pausadas / Pendentes", `wa_mass_list_paused_${id}`)],
+            [Markup.button.callback("🔁 Disparos Recorrentes", `wa_rec_list_${id}`)],
+            [Markup.button.callback("📊 Campanhas em Andamento", "wa_mass_overview")],
+            [Markup.button.callback("🚫 Descadastros (Opt-out)", `wa_optout_${id}`)],
+            [Markup.button.callback("🔙 Voltar", `manage_${id}`)]
+        ])
+    };
+
+    if (ctx.callbackQuery) {
+        try { await ctx.editMessageText(text, extra); } catch (e) { await ctx.reply(text, extra); }
+    } else {
+        await ctx.reply(text, extra);
+    }
+});
+
+bot.action(/^wa_mass_new_start_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const id = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, id);
+    if (!inst) return;
+
+    ctx.editMessageText("📢 <b>Módulo de Disparo em Massa</b>\n\nSelecione o tipo de destinatário:", {
+        parse_mode: "HTML",
+        ...Markup.inlineKeyboard([
+            [Markup.button.callback("👤 Contatos (.txt / .csv / .xlsx)", `wa_mass_start_txt_${id}`)],
+            [Markup.button.callback("👥 Grupos da Instância", `wa_mass_groups_fetch_${id}`)],
+            [Markup.button.callback("🤖 Leads da IA (por status)", `wa_aud_ai_${id}`)],
+            [Markup.button.callback("📚 Modelos e Públicos Salvos", `wa_lib_${id}`)],
+            [Markup.button.callback("🔙 Voltar", `wa_mass_init_${id}`)]
+        ])
+    });
+});
+
+bot.action(/^wa_mass_start_txt_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const id = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, id);
+    if (!inst) return;
+
+    session.stage = `WA_WAITING_MASS_CONTACTS_${id}`;
+    await syncSession(ctx, session);
+
+    // Texto original do wa_mass_init_ (agora movido para cá)
+    ctx.editMessageText("📢 *Disparo em Massa (Individual)*\n\nPor favor, envie um arquivo *.txt* contendo os números (um por linha).\n\nFormato: `Nome;5511999998888` ou apenas `5511999998888`.\n\n📊 *Planilhas:* Também aceitamos *.csv* e *.xlsx* com cabeçalho. Cada coluna vira uma variável `{{coluna}}` na mensagem.", {
+        parse_mode: "Markdown",
+        ...Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_new_start_${id}`)]])
+    });
+});
+
+// V1.361: Biblioteca de modelos de mensagem e públicos salvos por usuário
+// Tabela campaign_library (id, chat_id, kind TEMPLATE/AUDIENCE, name, data, created_at, updated_at)
+//   TEMPLATE.data = { messages, mediaType, mediaId, fileName, payload } | AUDIENCE.data = { contacts }
+const LIBRARY_KINDS = {
+    tpl: { kind: 'TEMPLATE', label: "Modelos de Mensagem", icon: "📝" },
+    aud: { kind: 'AUDIENCE', label: "Públicos Salvos", icon: "👥" }
+};
+const libraryCode = (kind) => kind === 'TEMPLATE' ? 'tpl' : 'aud';
+
+async function listLibrary(chatId, kind) {
+    const { data, error } = await supabase.from('campaign_library')
+        .select('id, name, updated_at')
+        .eq('chat_id', String(chatId))
+        .eq('kind', kind)
+        .order('name', { ascending: true })
+        .limit(50);
+    if (error) log(`[LIB ERR] ${error.message}`);
+    return data || [];
+}
+
+async function getLibraryItem(chatId, libId) {
+    const { data } = await supabase.from('campaign_library')
+        .select('*')
+        .eq('id', libId)
+        .eq('chat_id', String(chatId))
+        .maybeSingle();
+    return data;
+}
+
+async function saveLibraryItem(chatId, kind, name, data, libId = null) {
+    const now = new Date().toISOString();
+    const { error } = libId
+        ? await supabase.from('campaign_library').update({ name, data, updated_at: now }).eq('id', libId).eq('chat_id', String(chatId))
+        : await supabase.from('campaign_library').insert({ chat_id: String(chatId), kind, name, data, created_at: now, updated_at: now });
+    if (error) log(`[LIB ERR] ${error.message}`);
+    return !error;
+}
+
+function templateFromSession(session) {
+    return {
+        messages: session.mass_msgs || [""],
+        mediaType: session.mass_media_type || 'text',
+        mediaId: session.mass_media_id || null,
+        fileName: session.mass_file_name || null,
+        payload: session.mass_payload || null
+    };
+}
+
+function applyTemplateToSession(session, template) {
+    session.mass_msgs = template.messages;
+    session.mass_media_type = template.mediaType;
+    session.mass_media_id = template.mediaId || null;
+    session.mass_media_url = null;
+    session.mass_file_name = template.fileName || "arquivo";
+    session.mass_payload = template.payload || null;
+    delete session.mass_media_data;
+}
+
+function describeLibraryItem(item) {
+    if (item.kind === 'AUDIENCE') {
+        const contacts = item.data?.contacts || [];
+        const sample = contacts.slice(0, 5).map(c => c.name ? `${c.name} (${c.phone})` : c.phone).join("\n");
+        return `👥 <b>${contacts.length} contatos</b>\n\n<code>${escapeHtml(sample)}</code>${contacts.length > 5 ? "\n..." : ""}`;
+    }
+    const tpl = item.data || {};
+    const typeLabel = tpl.mediaType && tpl.mediaType !== 'text' ? `[${tpl.mediaType}] ` : "";
+    return `📝 <b>${(tpl.messages || []).length} variações</b> ${typeLabel}\n\n<i>${escapeHtml((tpl.messages || [""])[0].substring(0, 300)) || "(sem legenda)"}</i>`;
+}
+
+async function renderLibraryMenu(ctx, instId) {
+    const templates = await listLibrary(ctx.chat.id, 'TEMPLATE');
+    const audiences = await listLibrary(ctx.chat.id, 'AUDIENCE');
+    const text = `📚 <b>Modelos e Públicos Salvos</b>\n\n` +
+        `📝 Modelos de mensagem: <b>${templates.length}</b>\n` +
+        `👥 Públicos: <b>${audiences.length}</b>\n\n` +
+        `Escolha um público e um modelo para montar o disparo em poucos toques.`;
+    await safeEdit(ctx, text, Markup.inlineKeyboard([
+        [Markup.button.callback("🚀 Disparar com Público + Modelo", `wa_lib_use_${instId}`)],
+        [Markup.button.callback("📝 Modelos", `wa_lib_list_tpl_${instId}`), Markup.button.callback("👥 Públicos", `wa_lib_list_aud_${instId}`)],
+        [Markup.button.callback("🔙 Voltar", `wa_mass_new_start_${instId}`)]
+    ]));
+}
+
+async function renderLibraryList(ctx, instId, code) {
+    const { kind, label, icon } = LIBRARY_KINDS[code];
+    const items = await listLibrary(ctx.chat.id, kind);
+    const buttons = items.map(item => [Markup.button.callback(`${icon} ${Array.from(item.name).slice(0, 30).join('')}`, `wa_lib_item_${instId}_${item.id}`)]);
+    buttons.push([Markup.button.callback("➕ Novo", `wa_lib_new_${code}_${instId}`)]);
+    buttons.push([Markup.button.callback("🔙 Voltar", `wa_lib_${instId}`)]);
+    await safeEdit(ctx, items.length > 0 ? `${icon} <b>${label}</b>\n\nToque em um item para ver, editar ou excluir.` : `${icon} <b>${label}</b>\n\nNenhum item salvo ainda.`,
+        Markup.inlineKeyboard(buttons));
+}
+
+async function renderLibraryItem(ctx, instId, item) {
+    const code = libraryCode(item.kind);
+    await safeEdit(ctx, `${LIBRARY_KINDS[code].icon} <b>${escapeHtml(item.name)}</b>\n\n${describeLibraryItem(item)}`, Markup.inlineKeyboard([
+        [Markup.button.callback("✏️ Renomear", `wa_lib_ren_${instId}_${item.id}`), Markup.button.callback("🔄 Substituir Conteúdo", `wa_lib_edit_${instId}_${item.id}`)],
+        [Markup.button.callback("🗑️ Excluir", `wa_lib_del_${instId}_${item.id}`)],
+        [Markup.button.callback("🔙 Voltar", `wa_lib_list_${code}_${instId}`)]
+    ]));
+}
+
+function promptLibraryContent(ctx, instId, lib) {
+    const text = lib.kind === 'TEMPLATE'
+        ? `📝 <b>${escapeHtml(lib.name)}</b>\n\nEnvie a mensagem (separe variações com <code>;;;</code>) ou uma mídia com legenda.`
+        : `👥 <b>${escapeHtml(lib.name)}</b>\n\nEnvie o arquivo <b>.txt</b>, <b>.csv</b> ou <b>.xlsx</b> com os contatos, ou cole os números (um por linha, <code>Nome;5511999998888</code>).`;
+    return safeEdit(ctx, text, Markup.inlineKeyboard([[Markup.button.callback("🔙 Cancelar", `wa_lib_list_${libraryCode(lib.kind)}_${instId}`)]]));
+}
+
+async function finishLibraryContent(ctx, session, instId, data) {
+    const lib = session.temp_lib;
+    const ok = await saveLibraryItem(ctx.chat.id, lib.kind, lib.name, data, lib.id || null);
+    session.stage = "READY";
+    delete session.temp_lib;
+    await syncSession(ctx, session);
+    if (!ok) return ctx.reply("❌ Erro ao salvar na biblioteca. Tente novamente.");
+    await ctx.reply(`✅ <b>${escapeHtml(lib.name)}</b> salvo!`, { parse_mode: "HTML" });
+    await renderLibraryList(ctx, instId, libraryCode(lib.kind));
+}
+
+bot.action(/^wa_lib_list_(tpl|aud)_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[2];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    if (session.stage && session.stage.startsWith("WA_WAITING_LIB_")) {
+        session.stage = "READY";
+        delete session.temp_lib;
+        await syncSession(ctx, session);
+    }
+    await renderLibraryList(ctx, instId, ctx.match[1]);
+});
+
+bot.action(/^wa_lib_item_(.+)_(\d+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    const item = await getLibraryItem(ctx.chat.id, ctx.match[2]);
+    if (!item) return ctx.reply("❌ Item não encontrado.");
+    await renderLibraryItem(ctx, instId, item);
+});
+
+// Novo item: primeiro o nome, depois o conteúdo
+bot.action(/^wa_lib_new_(tpl|aud)_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[2];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    session.temp_lib = { mode: 'NEW', kind: LIBRARY_KINDS[ctx.match[1]].kind };
+    session.stage = `WA_WAITING_LIB_NAME_${instId}`;
+    await syncSession(ctx, session);
+    await safeEdit(ctx, `➕ <b>Novo item</b>\n\nQual o <b>nome</b>? Ex: <code>Clientes VIP</code> ou <code>Promoção de Sábado</code>`,
+        Markup.inlineKeyboard([[Markup.button.callback("🔙 Cancelar", `wa_lib_list_${ctx.match[1]}_${instId}`)]]));
+});
+
+// Salva o público ou a mensagem do disparo que está sendo montado
+bot.action(/^wa_lib_save_(tpl|aud)_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[2];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    const kind = LIBRARY_KINDS[ctx.match[1]].kind;
+    if (kind === 'AUDIENCE' && !(session.mass_contacts || []).length) return ctx.reply("❌ Nenhum contato no disparo atual.");
+    if (kind === 'TEMPLATE' && !(session.mass_msgs || []).length) return ctx.reply("❌ Nenhuma mensagem no disparo atual.");
+    session.temp_lib = { mode: 'SAVE', kind };
+    session.stage = `WA_WAITING_LIB_NAME_${instId}`;
+    await syncSession(ctx, session);
+    await safeEdit(ctx, `💾 <b>Salvar ${kind === 'TEMPLATE' ? "Modelo" : "Público"}</b>\n\nEnvie um <b>nome</b> para encontrá-lo depois.`,
+        Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_sndr_done_${instId}`)]]));
+});
+
+bot.action(/^wa_lib_ren_(.+)_(\d+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    const item = await getLibraryItem(ctx.chat.id, ctx.match[2]);
+    if (!item) return ctx.reply("❌ Item não encontrado.");
+    session.temp_lib = { mode: 'RENAME', kind: item.kind, id: item.id };
+    session.stage = `WA_WAITING_LIB_NAME_${instId}`;
+    await syncSession(ctx, session);
+    await safeEdit(ctx, `✏️ Envie o novo nome para <b>${escapeHtml(item.name)}</b>:`,
+        Markup.inlineKeyboard([[Markup.button.callback("🔙 Cancelar", `wa_lib_item_${instId}_${item.id}`)]]));
+});
+
+bot.action(/^wa_lib_edit_(.+)_(\d+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    const item = await getLibraryItem(ctx.chat.id, ctx.match[2]);
+    if (!item) return ctx.reply("❌ Item não encontrado.");
+    session.temp_lib = { kind: item.kind, name: item.name, id: item.id };
+    session.stage = `WA_WAITING_LIB_CONTENT_${instId}`;
+    await syncSession(ctx, session);
+    await promptLibraryContent(ctx, instId, session.temp_lib);
+});
+
+bot.action(/^wa_lib_del_(.+)_(\d+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    const item = await getLibraryItem(ctx.chat.id, ctx.match[2]);
+    if (!item) return ctx.reply("❌ Item não encontrado.");
+    await safeEdit(ctx, `🗑️ Excluir <b>${escapeHtml(item.name)}</b>? Essa ação não pode ser desfeita.`, Markup.inlineKeyboard([
+        [Markup.button.callback("✅ Sim, excluir", `wa_lib_delok_${instId}_${item.id}`), Markup.button.callback("❌ Não", `wa_lib_item_${instId}_${item.id}`)]
+    ]));
+});
+
+bot.action(/^wa_lib_delok_(.+)_(\d+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    const item = await getLibraryItem(ctx.chat.id, ctx.match[2]);
+    if (!item) return ctx.reply("❌ Item não encontrado.");
+    await supabase.from('campaign_library').delete().eq('id', item.id).eq('chat_id', String(ctx.chat.id));
+    await renderLibraryList(ctx, instId, libraryCode(item.kind));
+});
+
+// Montagem rápida: público -> modelo -> intervalo -> resumo
+bot.action(/^wa_lib_use_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    const audiences = await listLibrary(ctx.chat.id, 'AUDIENCE');
+    const buttons = audiences.map(a => [Markup.button.callback(`👥 ${Array.from(a.name).slice(0, 30).join('')}`, `wa_lib_ua_${instId}_${a.id}`)]);
+    buttons.push([Markup.button.callback("📤 Enviar uma nova lista", `wa_mass_start_txt_${instId}`)]);
+    buttons.push([Markup.button.callback("🔙 Voltar", `wa_lib_${instId}`)]);
+    await safeEdit(ctx, `🚀 <b>Passo 1/2:</b> escolha o <b>público</b>${audiences.length === 0 ? "\n\nNenhum público salvo ainda." : ""}`, Markup.inlineKeyboard(buttons));
+});
+
+bot.action(/^wa_lib_ua_(.+)_(\d+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    const audience = await getLibraryItem(ctx.chat.id, ctx.match[2]);
+    if (!audience || audience.kind !== 'AUDIENCE') return ctx.reply("❌ Público não encontrado.");
+
+    session.mass_contacts = audience.data?.contacts || [];
+    // Também aceita digitar uma mensagem nova neste ponto
+    session.stage = `WA_WAITING_MASS_MSG_${instId}`;
+    await syncSession(ctx, session);
+
+    const templates = await listLibrary(ctx.chat.id, 'TEMPLATE');
+    const buttons = templates.map(t => [Markup.button.callback(`📝 ${Array.from(t.name).slice(0, 30).join('')}`, `wa_lib_ut_${instId}_${t.id}`)]);
+    buttons.push([Markup.button.callback("🔙 Voltar", `wa_lib_use_${instId}`)]);
+    await safeEdit(ctx, `✅ Público <b>${escapeHtml(audience.name)}</b>: ${session.mass_contacts.length} contatos.\n\n🚀 <b>Passo 2/2:</b> escolha o <b>modelo</b> ou envie uma nova mensagem/mídia.`,
+        Markup.inlineKeyboard(buttons));
+});
+
+bot.action(/^wa_lib_ut_(.+)_(\d+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    const template = await getLibraryItem(ctx.chat.id, ctx.match[2]);
+    if (!template || template.kind !== 'TEMPLATE') return ctx.reply("❌ Modelo não encontrado.");
+    if (!(session.mass_contacts || []).length) return ctx.reply("❌ Escolha o público primeiro.");
+
+    applyTemplateToSession(session, template.data);
+    session.stage = `WA_WAITING_MASS_DELAY_${instId}`;
+    await syncSession(ctx, session);
+    await safeEdit(ctx, `✅ Modelo <b>${escapeHtml(template.name)}</b> aplicado.\n\nAgora, defina o <b>intervalo de tempo</b> (delay) em segundos no formato <code>MÍN-MÁX</code>.\n\nExemplo: <code>10-30</code>`,
+        Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_lib_use_${instId}`)]]));
+});
+
+bot.action(/^wa_lib_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    await renderLibraryMenu(ctx, instId);
+});
+
+// --- NOVO: Lógica de Grupos ---
+
+bot.action(/^wa_mass_groups_fetch_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+
+    ctx.editMessageText("⏳ *Extraindo grupos...* Aguarde.", { parse_mode: "Markdown" });
+
+    // Buscar grupos da API
+    const res = await callWuzapi("/group/list", "GET", null, instId);
+
+    if (!res.success || !res.data || !res.data.Groups) {
+        return ctx.editMessageText("❌ Falha ao buscar grupos ou nenhum grupo encontrado.", {
+            ...Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_init_${instId}`)]])
+        });
+    }
+
+    const groups = res.data.Groups.map(g => ({
+        name: g.Name || "Sem Nome",
+        id: g.JID,
+        selected: false
+    }));
+
+    if (groups.length === 0) {
+        return ctx.editMessageText("⚠️ Nenhum grupo encontrado nesta instância.", {
+            ...Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_init_${instId}`)]])
+        });
+    }
+
+    // Salvar na sessão temporária
+    session.temp_groups = groups;
+    session.temp_groups_page = 0;
+    await syncSession(ctx, session);
+
+    await renderGroupSelection(ctx, instId);
+});
+
+async function renderGroupSelection(ctx, instId) {
+    const session = await getSession(ctx.chat.id);
+    const groups = session.temp_groups || [];
+    const page = session.temp_groups_page || 0;
+    const PAGE_SIZE = 8;
+
+    const totalPages = Math.ceil(groups.length / PAGE_SIZE);
+    const start = page * PAGE_SIZE;
+    const end = start + PAGE_SIZE;
+    const slice = groups.slice(start, end);
+
+    const buttons = slice.map(g => {
+        const icon = g.selected ? "✅" : "⬜";
+        // V1.250: Usar Array.from() para fatiar nomes com emojis sem quebrar UTF-8
+        const safeName = Array.from(g.name || "Sem Nome").slice(0, 22).join('');
+        return [Markup.button.callback(`${icon} ${safeName}`, `wa_mass_grp_toggle_${instId}_${g.id}`)];
+    });
+
+    // Paginação
+    const navRow = [];
+    if (page > 0) navRow.push(Markup.button.callback("⬅️ Ant", `wa_mass_grp_page_${instId}_${page - 1}`));
+    if (page < totalPages - 1) navRow.push(Markup.button.callback("Prox ➡️", `wa_mass_grp_page_${instId}_${page + 1}`));
+
+    if (navRow.length > 0) buttons.push(navRow);
+
+    // Ações Finais
+    const selectedCount = groups.filter(g => g.selected).length;
+
+    buttons.push([
+        Markup.button.callback(`Seleção: ${selectedCount}`, "noop"),
+        Markup.button.callback(selectedCount > 0 ? "🚀 Confirmar" : "⚠️ Selecione...", selectedCount > 0 ? `wa_mass_grp_confirm_${instId}` : "noop")
+    ]);
+
+    buttons.push([Markup.button.callback("🔙 Voltar", `wa_mass_init_${instId}`)]);
+
+    const msgText = `📂 <b>Seleção de Grupos</b>\n\nTotal encontrados: ${groups.length}\nSelecionados: ${selectedCount}\n\nMarque os grupos para disparar:`;
+
+    // Tentar editar, se falhar (ex: imagem antiga), enviar nova
+    try {
+        await ctx.editMessageText(msgText, { parse_mode: "HTML", ...Markup.inlineKeyboard(buttons) });
+    } catch {
+        await ctx.reply(msgText, { parse_mode: "HTML", ...Markup.inlineKeyboard(buttons) });
+    }
+}
+
+bot.action(/^wa_mass_grp_toggle_(.+)_(.+)$/, async (ctx) => {
+    // safeAnswer(ctx); // Pode causar "flash" em listas longas, opcional
+    const instId = ctx.match[1];
+    const grpId = ctx.match[2];
+
+    const session = await getSession(ctx.chat.id);
+    if (!session.temp_groups) return;
+
+    const group = session.temp_groups.find(g => g.id === grpId);
+    if (group) {
+        group.selected = !group.selected;
+        await syncSession(ctx, session);
+        await renderGroupSelection(ctx, instId);
+    } else {
+        ctx.answerCbQuery("Grupo não encontrado na sessão.");
+    }
+});
+
+bot.action(/^wa_mass_grp_page_(.+)_(.+)$/, async (ctx) => {
+    const instId = ctx.match[1];
+    const page = parseInt(ctx.match[2]);
+    const session = await getSession(ctx.chat.id);
+    session.temp_groups_page = page;
+    await syncSession(ctx, session);
+    await renderGroupSelection(ctx, instId);
+});
+
+// V1.359: Depois de escolher os grupos: disparar nos grupos ou no privado de cada participante
+bot.action(/^wa_mass_grp_confirm_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const session = await getSession(ctx.chat.id);
+
+    const selected = (session.temp_groups || []).filter(g => g.selected);
+    if (selected.length === 0) return ctx.answerCbQuery("Selecione pelo menos um grupo!");
+
+    await safeEdit(ctx, `📂 <b>${selected.length} grupos selecionados</b>\n\nComo deseja usar esses grupos?\n\n` +
+        `📢 <b>Enviar nos grupos:</b> uma mensagem em cada grupo.\n` +
+        `👤 <b>Enviar no privado:</b> cada participante (sem repetidos e sem os seus próprios números) recebe a mensagem individualmente.`,
+        Markup.inlineKeyboard([
+            [Markup.button.callback("📢 Enviar nos Grupos", `wa_mass_grp_send_${instId}`)],
+            [Markup.button.callback("👤 Enviar no Privado dos Membros", `wa_mass_grp_members_${instId}`)],
+            [Markup.button.callback("📥 Exportar Membros (CSV)", `wa_mass_grp_export_${instId}`)],
+            [Markup.button.callback("🔙 Voltar", `wa_mass_grp_page_${instId}_${session.temp_groups_page || 0}`)]
+        ]));
+});
+
+bot.action(/^wa_mass_grp_send_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const session = await getSession(ctx.chat.id);
+
+    const selected = (session.temp_groups || []).filter(g => g.selected);
+    if (selected.length === 0) return ctx.answerCbQuery("Selecione pelo menos um grupo!");
+
+    // O formato esperado pelo runCampaign é { name, phone } ou apenas string phone
+    // Vamos converter para o formato padrão de contatos
+    session.mass_contacts = selected.map(g => ({ name: g.name, phone: g.id }));
+
+    // Avança para o estágio de mensagem (mesmo do txt)
+    session.stage = `WA_WAITING_MASS_MSG_${instId}`;
+    await syncSession(ctx, session);
+
+    // Limpar temp groups da sessão (opcional, para economizar espaço)
+    delete session.temp_groups;
+    delete session.temp_groups_page;
+    await syncSession(ctx, session);
+
+    ctx.reply(`✅ *${selected.length} grupos selecionados!*\n\nAgora, envie o **conteúdo** que deseja disparar (Texto, Foto, Vídeo, etc):`, {
+        parse_mode: "Markdown",
+        ...Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_groups_fetch_${instId}`)]])
+    });
+});
+
+// Números conectados nas instâncias do usuário (não devem receber o próprio disparo)
+async function getOwnPhoneKeys(session) {
+    const keys = new Set();
+    for (const inst of session.whatsapp?.instances || []) {
+        const status = await callWuzapi("/session/status", "GET", null, inst.id);
+        const jid = status.success ? status.data?.jid : null;
+        if (jid) keys.add(phoneKey(jid.split(":")[0]));
+    }
+    return keys;
+}
+
+// Participantes dos grupos via /group/info, sem repetidos e sem os números do próprio usuário
+async function collectGroupMembers(session, instId, groups) {
+    const ownKeys = await getOwnPhoneKeys(session);
+    const seen = new Set();
+    const contacts = [];
+    const stats = { groups: groups.length, failedGroups: 0, participants: 0, duplicates: 0, own: 0, hidden: 0 };
+
+    for (const group of groups) {
+        const res = await callWuzapi(`/group/info?groupJID=${encodeURIComponent(group.id)}`, "GET", null, instId);
+        if (!res.success || !res.data) {
+            stats.failedGroups++;
+            continue;
+        }
+        for (const p of res.data.Participants || []) {
+            stats.participants++;
+            // Grupos com LID ocultam o telefone; sem PhoneNumber não há como enviar no privado
+            const jid = [p.PhoneNumber, p.JID].find(j => j && j.endsWith("@s.whatsapp.net"));
+            if (!jid) {
+                stats.hidden++;
+                continue;
+            }
+            const key = phoneKey(jid);
+            if (ownKeys.has(key)) {
+                stats.own++;
+                continue;
+            }
+            if (seen.has(key)) {
+                stats.duplicates++;
+                continue;
+            }
+            seen.add(key);
+            contacts.push({ name: p.DisplayName || null, phone: jid.split("@")[0], vars: { grupo: group.name } });
+        }
+    }
+    return { contacts, stats };
+}
+
+function describeGroupMemberStats(stats, count) {
+    return `👥 Participantes encontrados: <b>${stats.participants}</b>\n` +
+        `✅ Contatos únicos: <b>${count}</b>\n` +
+        `♻️ Repetidos entre grupos: <b>${stats.duplicates}</b>\n` +
+        `📱 Seus próprios números: <b>${stats.own}</b>\n` +
+        (stats.hidden ? `🙈 Sem telefone visível: <b>${stats.hidden}</b>\n` : "") +
+        (stats.failedGroups ? `⚠️ Grupos não lidos: <b>${stats.failedGroups}</b>\n` : "");
+}
+
+bot.action(/^wa_mass_grp_members_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+
+    const selected = (session.temp_groups || []).filter(g => g.selected);
+    if (selected.length === 0) return ctx.answerCbQuery("Selecione pelo menos um grupo!");
+
+    await safeEdit(ctx, `⏳ Buscando os participantes de ${selected.length} grupos...`);
+    const { contacts, stats } = await collectGroupMembers(session, instId, selected);
+    if (contacts.length === 0) {
+        return safeEdit(ctx, `❌ <b>Nenhum participante disponível</b>\n\n${describeGroupMemberStats(stats, 0)}`,
+            Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_grp_confirm_${instId}`)]]));
+    }
+
+    session.mass_contacts = contacts;
+    session.stage = `WA_WAITING_MASS_MSG_${instId}`;
+    delete session.temp_groups;
+    delete session.temp_groups_page;
+    await syncSession(ctx, session);
+
+    await safeEdit(ctx, `✅ <b>Participantes importados!</b>\n\n${describeGroupMemberStats(stats, contacts.length)}\n` +
+        `Agora, envie o <b>conteúdo</b> que deseja disparar (Texto, Foto, Vídeo, etc).\n\n` +
+        `💡 <b>Personalização:</b> <code>{{nome}}</code>, <code>{{grupo}}</code>`,
+        Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_groups_fetch_${instId}`)]]));
+});
+
+bot.action(/^wa_mass_grp_export_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+
+    const selected = (session.temp_groups || []).filter(g => g.selected);
+    if (selected.length === 0) return ctx.answerCbQuery("Selecione pelo menos um grupo!");
+
+    const waitMsg = await ctx.reply(`⏳ Buscando os participantes de ${selected.length} grupos...`);
+    const { contacts, stats } = await collectGroupMembers(session, instId, selected);
+    try { await ctx.telegram.deleteMessage(ctx.chat.id, waitMsg.message_id); } catch (e) { }
+    if (contacts.length === 0) return ctx.reply("❌ Nenhum participante disponível para exportar.");
+
+    // Mesmo formato aceito na importação de planilhas (telefone + colunas viram variáveis)
+    const csv = buildCsv([["telefone", "nome", "grupo"], ...contacts.map(c => [c.phone, c.name || "", c.vars.grupo])]);
+    await ctx.replyWithDocument(
+        { source: Buffer.from(csv, "utf-8"), filename: "membros_grupos.csv" },
+        { caption: `📥 ${contacts.length} contatos de ${stats.groups} grupos.` }
+    );
+});
+
+// V1.363: Público a partir do acompanhamento da IA (ai_leads_tracking + ai_chat_history), sem exportar arquivos
+const AI_AUDIENCE_PRESETS = {
+    quiet: { label: "Silenciaram após a IA", statuses: ["AI_SENT", "NUDGED"] },
+    noqual: { label: "Nunca qualificados", exclude: ["TRANSFERRED"] },
+    responded: { label: "Aguardando resposta", statuses: ["RESPONDED"] },
+    qualified: { label: "Qualificados / Transferidos", statuses: ["TRANSFERRED"] },
+    human: { label: "Em atendimento humano", statuses: ["HUMAN_ACTIVE"] },
+    all: { label: "Todos os leads" }
+};
+const AI_AUDIENCE_PERIODS = [7, 30, 90, 0]; // dias desde a última interação (0 = sem limite)
+const DEFAULT_AI_AUDIENCE = { preset: "quiet", days: 30, scope: "inst", keyword: null };
+
+async function buildAiAudience(session, instId, filter) {
+    const preset = AI_AUDIENCE_PRESETS[filter.preset] || AI_AUDIENCE_PRESETS.all;
+    const instIds = filter.scope === "all" ? (session.whatsapp?.instances || []).map(i => i.id) : [instId];
+    const since = filter.days ? new Date(Date.now() - filter.days * 24 * 60 * 60 * 1000).toISOString() : null;
+
+    const leads = await selectAllRows(() => {
+        let q = supabase.from("ai_leads_tracking").select("*").in("instance_id", instIds);
+        if (preset.statuses) q = q.in("status", preset.statuses);
+        if (preset.exclude) q = q.not("status", "in", `(${preset.exclude.join(",")})`);
+        if (since) q = q.gte("last_interaction", since);
+        return q.order("last_interaction", { ascending: false });
+    });
+
+    // Palavra-chave: só leads que a mencionaram na conversa com a IA
+    let mentioned = null;
+    if (filter.keyword) {
+        mentioned = new Set((await selectAllRows(() => supabase.from("ai_chat_history")
+            .select("chat_id")
+            .in("instance_id", instIds)
+            .eq("role", "user")
+            .ilike("content", `%${filter.keyword}%`))).map(r => r.chat_id));
+    }
+
+    const ownKeys = await getOwnPhoneKeys(session);
+    const statusLabels = Object.fromEntries(Object.values(AI_AUDIENCE_PRESETS).filter(p => p.statuses?.length === 1).map(p => [p.statuses[0], p.label]));
+    const seen = new Set();
+    const contacts = [];
+    for (const lead of leads) {
+        // Grupos e LIDs não têm telefone para o envio no privado
+        if (!lead.chat_id?.endsWith("@s.whatsapp.net")) continue;
+        if (mentioned && !mentioned.has(lead.chat_id)) continue;
+        const key = phoneKey(lead.chat_id);
+        if (!key || ownKeys.has(key) || seen.has(key)) continue;
+        seen.add(key);
+        contacts.push({
+            name: lead.lead_name || null,
+            phone: lead.chat_id.split("@")[0],
+            vars: { status_ia: statusLabels[lead.status] || lead.status }
+        });
+    }
+    return contacts;
+}
+
+async function renderAiAudience(ctx, instId, session) {
+    const filter = { ...DEFAULT_AI_AUDIENCE, ...(session.temp_ai_audience || {}) };
+    const contacts = await buildAiAudience(session, instId, filter);
+
+    const text = `🤖 <b>Público pelos Leads da IA</b>\n\n` +
+        `🏷️ Status: <b>${AI_AUDIENCE_PRESETS[filter.preset].label}</b>\n` +
+        `📅 Última interação: <b>${filter.days ? `últimos ${filter.days} dias` : "qualquer data"}</b>\n` +
+        `📱 Instâncias: <b>${filter.scope === "all" ? "todas as suas" : "somente esta"}</b>\n` +
+        (filter.keyword ? `🔎 Mencionou: <b>${escapeHtml(filter.keyword)}</b>\n` : "") +
+        `\n👥 Tamanho do público: <b>${contacts.length}</b> contatos`;
+
+    const presetButtons = Object.entries(AI_AUDIENCE_PRESETS).map(([key, p]) =>
+        Markup.button.callback(`${filter.preset === key ? "✅ " : ""}${p.label}`, `wa_aud_ai_p_${key}_${instId}`));
+    const rows = [];
+    for (let i = 0; i < presetButtons.length; i += 2) rows.push(presetButtons.slice(i, i + 2));
+    rows.push([
+        Markup.button.callback(`📅 ${filter.days ? `${filter.days} dias` : "Sempre"}`, `wa_aud_ai_d_${instId}`),
+        Markup.button.callback(filter.scope === "all" ? "📱 Todas" : "📱 Esta instância", `wa_aud_ai_s_${instId}`)
+    ]);
+    rows.push([filter.keyword
+        ? Markup.button.callback("❌ Remover palavra-chave", `wa_aud_ai_kx_${instId}`)
+        : Markup.button.callback("🔎 Filtrar por palavra na conversa", `wa_aud_ai_k_${instId}`)]);
+    if (contacts.length > 0) rows.push([Markup.button.callback(`✅ Usar ${contacts.length} contatos`, `wa_aud_ai_ok_${instId}`)]);
+    rows.push([Markup.button.callback("🔙 Voltar", `wa_mass_new_start_${instId}`)]);
+    await safeEdit(ctx, text, Markup.inlineKeyboard(rows));
+}
+
+async function updateAiAudience(ctx, instId, change) {
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    const filter = { ...DEFAULT_AI_AUDIENCE, ...(session.temp_ai_audience || {}) };
+    session.temp_ai_audience = { ...filter, ...change(filter) };
+    await syncSession(ctx, session);
+    await renderAiAudience(ctx, instId, session);
+}
+
+bot.action(/^wa_aud_ai_p_([a-z]+)_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    if (!AI_AUDIENCE_PRESETS[ctx.match[1]]) return;
+    await updateAiAudience(ctx, ctx.match[2], () => ({ preset: ctx.match[1] }));
+});
+
+bot.action(/^wa_aud_ai_d_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    await updateAiAudience(ctx, ctx.match[1], f => ({
+        days: AI_AUDIENCE_PERIODS[(AI_AUDIENCE_PERIODS.indexOf(f.days) + 1) % AI_AUDIENCE_PERIODS.length]
+    }));
+});
+
+bot.action(/^wa_aud_ai_s_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    await updateAiAudience(ctx, ctx.match[1], f => ({ scope: f.scope === "all" ? "inst" : "all" }));
+});
+
+bot.action(/^wa_aud_ai_kx_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    await updateAiAudience(ctx, ctx.match[1], () => ({ keyword: null }));
+});
+
+bot.action(/^wa_aud_ai_k_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    session.stage = `WA_WAITING_AI_AUD_KEYWORD_${instId}`;
+    await syncSession(ctx, session);
+    await safeEdit(ctx, "🔎 Envie a <b>palavra ou trecho</b> que o lead escreveu na conversa com a IA.\n\nEx: <code>financiamento</code>",
+        Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_aud_ai_${instId}`)]]));
+});
+
+bot.action(/^wa_aud_ai_ok_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+
+    const contacts = await buildAiAudience(session, instId, { ...DEFAULT_AI_AUDIENCE, ...(session.temp_ai_audience || {}) });
+    if (contacts.length === 0) return ctx.reply("❌ O público ficou vazio. Ajuste os filtros.");
+
+    session.mass_contacts = contacts;
+    session.stage = `WA_WAITING_MASS_MSG_${instId}`;
+    delete session.temp_ai_audience;
+    await syncSession(ctx, session);
+
+    await safeEdit(ctx, `✅ <b>${contacts.length} leads importados!</b>\n\n` +
+        `Agora, envie o <b>conteúdo</b> que deseja disparar (Texto, Foto, Vídeo, etc).\n\n` +
+        `💡 <b>Personalização:</b> <code>{{nome}}</code>, <code>{{status_ia}}</code>`,
+        Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_aud_ai_${instId}`)]]));
+});
+
+bot.action(/^wa_aud_ai_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    if (session.stage && session.stage.startsWith("WA_WAITING_AI_AUD_KEYWORD_")) {
+        session.stage = `WA_WAITING_MASS_CONTACTS_${instId}`;
+        await syncSession(ctx, session);
+    }
+    await safeEdit(ctx, "⏳ Montando o público...");
+    await renderAiAudience(ctx, instId, session);
+});
+
+bot.action(/^wa_mass_list_paused_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+
+    const { data, error } = await supabase
+        .from('scheduled_campaigns')
+        .select('*')
+        .eq('inst_id', instId)
+        .in('status', ['PAUSED', 'PENDING', 'WAITING_CONNECTION'])
+        .limit(10);
+
+    if (error || !data || data.length === 0) {
+        const errMsg = "❌ Nenhuma campanha pausada ou pendente encontrada.";
+        if (ctx.callbackQuery) return ctx.editMessageText(errMsg, Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_init_${instId}`)]]));
+        return ctx.reply(errMsg);
+    }
+
+    let msg = "📂 *Campanhas Encontradas:*\n\n";
+    const buttons = [];
+
+    data.forEach((camp, idx) => {
+        const info = camp.campaign_data;
+        const进度 = info.currentIndex || 0;
+        const total = info.total || 0;
+        const stepInfo = info.sequence ? ` (etapa ${info.sequence.step}/${info.sequence.steps.length + 1} da sequência)` : "";
+        msg += `${idx + 1}. Progresso: ${进度}/${total}${stepInfo}\nStatus: ${camp.status}\n\n`;
+        buttons.push([
+            Markup.button.callback(`▶️ Retomar Campanha ${idx + 1}`, `wa_mass_resume_db_${camp.id}`),
+            Markup.button.callback("🗑️ Cancelar", `wa_mass_cancel_db_${camp.id}`)
+        ]);
+    });
+
+    buttons.push([Markup.button.callback("🔙 Voltar", `wa_mass_init_${instId}`)]);
+
+    await safeEdit(ctx, msg, Markup.inlineKeyboard(buttons));
+});
+
+bot.action(/^wa_mass_resume_db_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const dbId = ctx.match[1];
+
+    const { data, error } = await supabase
+        .from('scheduled_campaigns')
+        .select('*')
+        .eq('id', dbId)
+        .single();
+
+    if (error || !data) return ctx.reply("❌ Campanha não encontrada ou erro no banco.");
+    const { inst, session } = await checkOwnership(ctx, data.inst_id);
+    if (!inst) return;
+
+    const { busy, camp, scheduled } = await resumeCampaign(ctx.chat.id, data);
+    if (busy) {
+        return ctx.reply(`⚠️ A instância \`${busy}\` já tem um disparo em andamento. Pare-o antes de retomar outro.`, { parse_mode: "Markdown" });
+    }
+    if (scheduled) return ctx.reply(`🕒 Disparo ${dbId} reagendado para ${scheduled.toLocaleString('pt-BR')}.`);
+
+    ctx.reply(`▶️ Retomando disparo ${dbId} a partir do contato ${camp.currentIndex + 1}...`);
+});
+
+// V1.353: Cancela uma campanha pausada/pendente (ex.: próxima etapa de uma sequência)
+bot.action(/^wa_mass_cancel_db_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const dbId = ctx.match[1];
+    const { data } = await supabase.from('scheduled_campaigns').select('id, inst_id').eq('id', dbId).maybeSingle();
+    if (!data) return ctx.reply("❌ Campanha não encontrada.");
+    const { inst } = await checkOwnership(ctx, data.inst_id);
+    if (!inst) return;
+
+    await cancelCampaign(data.id);
+    await safeEdit(ctx, "🗑️ Campanha cancelada.", Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_list_paused_${data.inst_id}`)]]));
+});
+
+// V1.362: Disparos recorrentes da instância
+bot.action(/^wa_rec_list_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+
+    const { data } = await supabase.from('campaign_recurrences')
+        .select('id, rule, next_run_at, campaign_data')
+        .eq('inst_id', instId)
+        .eq('status', 'ACTIVE')
+        .order('created_at', { ascending: true })
+        .limit(10);
+
+    const buttons = (data || []).map((rec, idx) => [
+        Markup.button.callback(`🔁 ${idx + 1}. ${describeRecurrenceRule(rec.rule)}`, `wa_rec_view_${rec.id}`)
+    ]);
+    buttons.push([Markup.button.callback("🔙 Voltar", `wa_mass_init_${instId}`)]);
+
+    const text = (data || []).length > 0
+        ? `🔁 <b>Disparos Recorrentes</b>\n\n` + data.map((rec, idx) => `${idx + 1}. ${describeRecurrenceRule(rec.rule)} — ${rec.campaign_data.contacts.length} contatos\n   Próxima: <code>${formatOccurrence(new Date(rec.next_run_at))}</code>`).join("\n")
+        : `🔁 <b>Disparos Recorrentes</b>\n\nNenhuma recorrência ativa. Para criar, monte um disparo e escolha <b>Agendar para depois</b> com uma regra como <code>toda segunda 09:00</code>.`;
+    await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+});
+
+async function getOwnedRecurrence(ctx, recId) {
+    const { data } = await supabase.from('campaign_recurrences').select('*').eq('id', recId).maybeSingle();
+    if (!data) {
+        ctx.reply("❌ Recorrência não encontrada.");
+        return null;
+    }
+    const { inst } = await checkOwnership(ctx, data.inst_id);
+    return inst ? data : null;
+}
+
+async function renderRecurrence(ctx, rec) {
+    const upcoming = listUpcomingOccurrences(rec);
+    const { data: runs } = await supabase.from('scheduled_campaigns')
+        .select('id, status, scheduled_for, campaign_data->current, campaign_data->total')
+        .eq('campaign_data->>recurrenceId', String(rec.id))
+        .order('scheduled_for', { ascending: false })
+        .limit(5);
+
+    const STATUS_ICONS = { PENDING: "⏳", RUNNING: "▶️", PAUSED: "⏸️", WAITING_CONNECTION: "📴", COMPLETED: "✅", CANCELLED: "🗑️" };
+    let text = `🔁 <b>${describeRecurrenceRule(rec.rule)}</b>\n` +
+        `👥 ${rec.campaign_data.contacts.length} contatos | 🚀 <code>${rec.inst_id}</code>\n\n` +
+        `📅 <b>Próximas ocorrências:</b>\n` +
+        (upcoming.map(d => `• ${formatOccurrence(d)}`).join("\n") || "Nenhuma") +
+        ((rec.skipped || []).length > 0 ? `\n<i>${rec.skipped.length} ocorrência(s) pulada(s)</i>` : "") +
+        `\n\n🕘 <b>Últimas execuções:</b>\n` +
+        ((runs || []).map(r => `${STATUS_ICONS[r.status] || "•"} ${formatOccurrence(new Date(r.scheduled_for))} — ✅ ${r.current || 0}/${r.total || 0}`).join("\n") || "Nenhuma execução ainda.");
+
+    const buttons = upcoming.map(d => [Markup.button.callback(`⏭️ Pular ${formatOccurrence(d)}`, `wa_rec_skip_${rec.id}_${Math.floor(d.getTime() / 60000)}`)]);
+    buttons.push([Markup.button.callback("🗑️ Encerrar Recorrência", `wa_rec_stop_${rec.id}`)]);
+    buttons.push([Markup.button.callback("🔙 Voltar", `wa_rec_list_${rec.inst_id}`)]);
+    await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+}
+
+bot.action(/^wa_rec_view_(\d+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const rec = await getOwnedRecurrence(ctx, ctx.match[1]);
+    if (!rec) return;
+    await renderRecurrence(ctx, rec);
+});
+
+// Pula uma ocorrência (identificada pelo minuto em epoch); se for a próxima, reagenda o worker
+bot.action(/^wa_rec_skip_(\d+)_(\d+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const rec = await getOwnedRecurrence(ctx, ctx.match[1]);
+    if (!rec) return;
+
+    const iso = new Date(parseInt(ctx.match[2]) * 60000).toISOString();
+    const now = new Date();
+    const skipped = [...new Set([...(rec.skipped || []), iso])].filter(s => new Date(s) > now);
+    const next = nextRecurrenceOccurrence(rec.rule, now, skipped, rec.campaign_data?.window);
+    rec.skipped = skipped;
+    rec.next_run_at = next ? next.toISOString() : null;
+
+    await supabase.from('campaign_recurrences').update({ skipped, next_run_at: rec.next_run_at }).eq('id', rec.id);
+    await renderRecurrence(ctx, rec);
+});
+
+bot.action(/^wa_rec_stop_(\d+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const rec = await getOwnedRecurrence(ctx, ctx.match[1]);
+    if (!rec) return;
+
+    await supabase.from('campaign_recurrences').update({ status: 'CANCELLED' }).eq('id', rec.id);
+    await safeEdit(ctx, "🗑️ Recorrência encerrada. As execuções já criadas continuam em <b>Campanhas Pausadas / Pendentes</b>.",
+        Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_rec_list_${rec.inst_id}`)]]));
+});
+
+function renderProgressBar(pct) {
+    const filled = Math.floor(pct / 10);
+    return "🟩".repeat(filled) + "⬜".repeat(10 - filled);
+}
+
+// V1.346: Visão geral de todas as campanhas em execução do usuário (uma por instância)
+async function renderCampaignsOverview(ctx) {
+    const session = await getSession(ctx.chat.id);
+    const running = (session.whatsapp?.instances || [])
+        .map(inst => ({ inst, camp: activeCampaigns.get(inst.id) }))
+        .filter(r => r.camp && r.camp.instId === r.inst.id);
+
+    let text = `📊 <b>Campanhas em Andamento</b>\n\n`;
+    const buttons = [];
+
+    if (running.length === 0) {
+        text += "Nenhum disparo em execução no momento.";
+    }
+
+    for (const { inst, camp } of running) {
+        const done = camp.currentIndex || 0;
+        const total = camp.total || camp.contacts.length;
+        const pct = total ? Math.round((done / total) * 100) : 0;
+        const statusLabel = camp.status === 'PAUSED' ? "⏸️ Pausada" : "▶️ Enviando";
+        text += `🔹 <b>${escapeHtml(inst.name)}</b> — ${statusLabel}\n` +
+            `${renderProgressBar(pct)} ${pct}%\n` +
+            `📊 ${done}/${total} | ✅ ${camp.current || 0} | ❌ ${(camp.failedNumbers || []).length}\n` +
+            ((camp.senders || []).length > 1 ? `📡 ${camp.senders.length} números de envio\n\n` : `\n`);
+
+        const label = Array.from(inst.name).slice(0, 15).join('');
+        buttons.push([
+            camp.status === 'PAUSED'
+                ? Markup.button.callback(`▶️ ${label}`, `wa_resume_mass_${inst.id}`)
+                : Markup.button.callback(`⏸️ ${label}`, `wa_pause_mass_${inst.id}`),
+            Markup.button.callback("⏹️ Parar", `wa_stop_mass_${inst.id}`)
+        ]);
+    }
+
+    buttons.push([Markup.button.callback("🔄 Atualizar", "wa_mass_overview")]);
+    buttons.push([Markup.button.callback("🔙 Voltar", "cmd_shortcuts_disparos")]);
+    await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+}
+
+bot.action("wa_mass_overview", async (ctx) => {
+    safeAnswer(ctx);
+    try {
+        await renderCampaignsOverview(ctx);
+    } catch (e) {
+        if (!e.message?.includes("message is not modified")) log(`[OVERVIEW ERR] ${e.message}`);
+    }
+});
+
+// V1.349: Lista de descadastro (opt-out) por usuário - tabela campaign_suppressions (chat_id, phone, source, created_at)
+const DEFAULT_OPTOUT = {
+    enabled: true,
+    keywords: ["SAIR", "PARAR", "STOP"],
+    reply: "✅ Pronto! Você não receberá mais nossas mensagens."
+};
+const suppressionCache = new Map(); // chatId -> Set de telefones normalizados
+
+function getOptoutConfig(session) {
+    return { ...DEFAULT_OPTOUT, ...(session.optout || {}) };
+}
+
+function matchesOptoutKeyword(text, config) {
+    const norm = normalizeVarKey(text);
+    return config.enabled && !!norm && config.keywords.some(k => normalizeVarKey(k) === norm);
+}
+
+// Chave de telefone: mesma normalização do normalizeJid (remove o 9º dígito BR) para que as duas grafias batam
+function phoneKey(phone) {
+    const digits = String(phone || "").split("@")[0].replace(/\D/g, "");
+    return digits ? normalizeJid(`${digits}@s.whatsapp.net`).split("@")[0] : "";
+}
+
+// V1.353: Busca paginada (o Supabase devolve no máximo 1000 linhas por consulta)
+async function selectAllRows(buildQuery) {
+    const rows = [];
+    for (let from = 0; ; from += 1000) {
+        const { data, error } = await buildQuery().range(from, from + 999);
+        if (error) throw error;
+        rows.push(...data);
+        if (data.length < 1000) break;
+    }
+    return rows;
+}
+
+async function fetchSuppressionRows(chatId, columns = "phone") {
+    return selectAllRows(() => supabase
+        .from('campaign_suppressions')
+        .select(columns)
+        .eq('chat_id', String(chatId))
+        .order('created_at', { ascending: true }));
+}
+
+async function getSuppressionSet(chatId) {
+    const key = String(chatId);
+    if (suppressionCache.has(key)) return suppressionCache.get(key);
+    try {
+        const set = new Set((await fetchSuppressionRows(key)).map(r => r.phone));
+        suppressionCache.set(key, set);
+        return set;
+    } catch (e) {
+        log(`[OPTOUT ERR] Falha ao carregar lista de ${key}: ${e.message}`);
+        return new Set();
+    }
+}
+
+async function addSuppressions(chatId, phones, source) {
+    const set = await getSuppressionSet(chatId);
+    const fresh = [...new Set(phones.map(phoneKey))].filter(p => p.length >= 8 && !set.has(p));
+    for (let i = 0; i < fresh.length; i += 500) {
+        const rows = fresh.slice(i, i + 500).map(phone => ({ chat_id: String(chatId), phone, source }));
+        const { error } = await supabase.from('campaign_suppressions').upsert(rows, { onConflict: "chat_id, phone" });
+        if (error) throw error;
+    }
+    fresh.forEach(p => set.add(p));
+    return fresh.length;
+}
+
+async function removeSuppressions(chatId, phones) {
+    const set = await getSuppressionSet(chatId);
+    const existing = [...new Set(phones.map(phoneKey))].filter(p => set.has(p));
+    for (let i = 0; i < existing.length; i += 500) {
+        const { error } = await supabase.from('campaign_suppressions')
+            .delete()
+            .eq('chat_id', String(chatId))
+            .in('phone', existing.slice(i, i + 500));
+        if (error) throw error;
+    }
+    existing.forEach(p => set.delete(p));
+    return existing.length;
+}
+
+function extractPhones(text) {
+    return (String(text).match(/\+?\d[\d\s().-]{7,}\d/g) || []).map(p => p.replace(/\D/g, ""));
+}
+
+async function renderOptoutMenu(ctx, instId) {
+    const session = await getSession(ctx.chat.id);
+    const config = getOptoutConfig(session);
+    const set = await getSuppressionSet(ctx.chat.id);
+    const recent = [...set].slice(-10).reverse();
+
+    const text = `🚫 <b>Descadastro (Opt-out)</b>\n\n` +
+        `Quem responder com uma das palavras-chave entra na lista e nunca mais recebe disparos.\n\n` +
+        `📌 Status: <b>${config.enabled ? "Ativo" : "Desativado"}</b>\n` +
+        `🔑 Palavras-chave: <code>${escapeHtml(config.keywords.join(", "))}</code>\n` +
+        `💬 Resposta: <i>${config.reply ? escapeHtml(config.reply) : "(nenhuma)"}</i>\n` +
+        `👥 Números na lista: <b>${set.size}</b>\n` +
+        (recent.length > 0 ? `\n<b>Últimos:</b>\n<code>${recent.join("\n")}</code>` : "");
+
+    await safeEdit(ctx, text, Markup.inlineKeyboard([
+        [Markup.button.callback(config.enabled ? "⏸️ Desativar" : "▶️ Ativar", `wa_optout_toggle_${instId}`)],
+        [Markup.button.callback("🔑 Palavras-chave", `wa_optout_kw_${instId}`), Markup.button.callback("💬 Resposta", `wa_optout_reply_${instId}`)],
+        [Markup.button.callback("➕ Adicionar", `wa_optout_add_${instId}`), Markup.button.callback("➖ Remover", `wa_optout_del_${instId}`)],
+        [Markup.button.callback("📥 Importar", `wa_optout_import_${instId}`), Markup.button.callback("📤 Exportar", `wa_optout_export_${instId}`)],
+        [Markup.button.callback("🔙 Voltar", `wa_mass_init_${instId}`)]
+    ]));
+}
+
+const OPTOUT_PROMPTS = {
+    kw: ["KEYWORDS", "🔑 Envie as palavras-chave separadas por vírgula.\n\nExemplo: <code>SAIR, PARAR, STOP, CANCELAR</code>"],
+    reply: ["REPLY", "💬 Envie a mensagem de confirmação enviada a quem se descadastrar.\n\nEnvie <code>0</code> para não responder."],
+    add: ["ADD", "➕ Envie os números que deseja adicionar à lista (um por linha ou separados por vírgula)."],
+    del: ["REMOVE", "➖ Envie os números que deseja remover da lista (um por linha ou separados por vírgula)."],
+    import: ["IMPORT", "📥 Envie um arquivo <b>.txt</b>, <b>.csv</b> ou <b>.xlsx</b> com os números a adicionar na lista."]
+};
+
+bot.action(/^wa_optout_(kw|reply|add|del|import)_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[2];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+
+    const [stage, prompt] = OPTOUT_PROMPTS[ctx.match[1]];
+    session.stage = `WA_WAITING_OPTOUT_${stage}_${instId}`;
+    await syncSession(ctx, session);
+    await safeEdit(ctx, prompt, Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_optout_${instId}`)]]));
+});
+
+bot.action(/^wa_optout_toggle_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    const config = getOptoutConfig(session);
+    session.optout = { ...config, enabled: !config.enabled };
+    await syncSession(ctx, session);
+    await renderOptoutMenu(ctx, instId);
+});
+
+bot.action(/^wa_optout_export_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    try {
+        const rows = await fetchSuppressionRows(ctx.chat.id, "phone, source, created_at");
+        if (rows.length === 0) return ctx.reply("📭 A lista de descadastro está vazia.");
+        const csv = "telefone;origem;data\n" + rows.map(r => `${r.phone};${r.source || ""};${new Date(r.created_at).toLocaleString('pt-BR')}`).join("\n");
+        await ctx.replyWithDocument({ source: Buffer.from(csv, "utf-8"), filename: "descadastros.csv" }, { caption: `📤 ${rows.length} números descadastrados.` });
+    } catch (e) {
+        log(`[OPTOUT EXPORT ERR] ${e.message}`);
+        ctx.reply("❌ Erro ao exportar a lista.");
+    }
+});
+
+bot.action(/^wa_optout_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    if (session.stage && session.stage.startsWith("WA_WAITING_OPTOUT_")) {
+        session.stage = "READY";
+        await syncSession(ctx, session);
+    }
+    await renderOptoutMenu(ctx, instId);
+});
+
+// Importação de arquivo para a lista de descadastro (chamado pelo handler de documentos)
+async function handleOptoutImport(ctx, session, instId, buffer, fileName) {
+    let phones = [];
+    if (/\.(csv|xlsx|xls)$/i.test(fileName || "")) {
+        const sheet = parseContactSheet(buffer, fileName);
+        if (sheet && sheet.phoneCol >= 0) phones = sheet.rows.map(r => String(r[sheet.phoneCol] || "").replace(/\D/g, ""));
+    } else {
+        phones = extractPhones(buffer.toString("utf-8"));
+    }
+
+    try {
+        const added = await addSuppressions(ctx.chat.id, phones, "import");
+        session.stage = "READY";
+        await syncSession(ctx, session);
+        await ctx.reply(`✅ ${added} números adicionados à lista de descadastro (${phones.length} lidos do arquivo).`);
+        await renderOptoutMenu(ctx, instId);
+    } catch (e) {
+        log(`[OPTOUT IMPORT ERR] ${e.message}`);
+        ctx.reply("❌ Erro ao importar a lista.");
+    }
+}
+
+async function isInstanceOnline(instId) {
+    const stats = await callWuzapi("/session/status", "GET", null, instId);
+    const d = stats.success ? stats.data : null;
+    return !!d && (d.LoggedIn === true || d.loggedIn === true || d.status === "LoggedIn");
+}
+
+// V1.347: Números de envio de uma campanha (instância principal + instâncias extras escolhidas no assistente)
+function buildCampaignSenders(session, instId) {
+    const configured = Array.isArray(session.mass_senders) && session.mass_senders.length > 0
+        ? session.mass_senders
+        : [{ instId, minDelay: session.temp_mass_min, maxDelay: session.temp_mass_max, dailyCap: 0 }];
+    return configured.map(s => {
+        const inst = (session.whatsapp?.instances || []).find(i => i.id === s.instId);
+        return { ...s, name: inst?.name || s.instId };
+    });
+}
+
+// V1.367: Reserva escolhida no assistente (ignorada se virou número de envio ou a instância foi removida)
+function buildCampaignBackup(session, instId) {
+    if (!session.mass_backup) return null;
+    const inst = (session.whatsapp?.instances || []).find(i => i.id === session.mass_backup);
+    if (!inst || buildCampaignSenders(session, instId).some(s => s.instId === inst.id)) return null;
+    return { instId: inst.id, name: inst.name || inst.id };
+}
+
+function getCampaignSenderIds(campaign) {
+    return (campaign.senders || []).length > 0 ? campaign.senders.map(s => s.instId) : [campaign.instId];
+}
+
+// Retorna a primeira instância da campanha que já está ocupada com outro disparo
+function findBusySender(campaign) {
+    return getCampaignSenderIds(campaign).find(id => activeCampaigns.has(id) && activeCampaigns.get(id) !== campaign);
+}
+
+function claimCampaign(campaign) {
+    for (const id of getCampaignSenderIds(campaign)) activeCampaigns.set(id, campaign);
+}
+
+function releaseCampaign(campaign) {
+    for (const [id, camp] of activeCampaigns) {
+        if (camp === campaign) activeCampaigns.delete(id);
+    }
+}
+
+function isSenderCapped(sender, today) {
+    if (sender.capDay !== today) {
+        sender.capDay = today;
+        sender.sentToday = 0;
+    }
+    if ((sender.blockedUntil || 0) > Date.now()) return true; // V1.358: Cota da instância esgotada
+    return sender.dailyCap > 0 && sender.sentToday >= sender.dailyCap;
+}
+
+function distributeContacts(indices, targets) {
+    indices.forEach((idx, n) => targets[n % targets.length].queue.push(idx));
+}
+
+// Move a fila de um número (desconectado ou no limite diário) para os demais números saudáveis
+function moveSenderQueue(campaign, from) {
+    const today = new Date().toLocaleDateString('pt-BR');
+    const active = campaign.senders.filter(s => s !== from && s.status === 'ACTIVE');
+    const open = active.filter(s => !isSenderCapped(s, today));
+    const targets = open.length > 0 ? open : active;
+    if (targets.length === 0 || from.queue.length === 0) return 0;
+    const moved = from.queue.splice(0);
+    distributeContacts(moved, targets);
+    return moved.length;
+}
+
+// Monta (ou remonta, ao retomar) as filas de cada número com os contatos restantes
+async function prepareCampaignSenders(campaign) {
+    if (!Array.isArray(campaign.senders) || campaign.senders.length === 0) {
+        // Campanhas antigas (instância única, sem filas)
+        campaign.senders = [{ instId: campaign.instId, name: campaign.instId, minDelay: campaign.minDelay, maxDelay: campaign.maxDelay, dailyCap: 0 }];
+    }
+    if (!campaign.senders.some(s => Array.isArray(s.queue))) {
+        const pending = [];
+        for (let i = campaign.currentIndex || 0; i < campaign.contacts.length; i++) pending.push(i);
+        campaign.senders.forEach(s => s.queue = []);
+        campaign.senders[0].queue = pending;
+    }
+
+    for (const s of campaign.senders) {
+        s.sent = s.sent || 0;
+        s.failed = s.failed || 0;
+        s.nextAt = 0;
+        s.blockedUntil = 0;
+        s.failStreak = 0;
+        // V1.367: Número substituído pela reserva não volta a receber contatos nesta campanha
+        s.status = !s.failedOver && await isInstanceOnline(s.instId) ? 'ACTIVE' : 'OFFLINE';
+    }
+
+    const today = new Date().toLocaleDateString('pt-BR');
+    const active = campaign.senders.filter(s => s.status === 'ACTIVE');
+    const open = active.filter(s => !isSenderCapped(s, today));
+    const targets = open.length > 0 ? open : active;
+    if (targets.length > 0) {
+        const pending = campaign.senders.flatMap(s => s.queue.splice(0)).sort((a, b) => a - b);
+        distributeContacts(pending, targets);
+    }
+}
+
+function pickNextSender(campaign) {
+    const today = new Date().toLocaleDateString('pt-BR');
+    let best = null;
+    for (const s of campaign.senders) {
+        if (s.status !== 'ACTIVE' || s.queue.length === 0 || isSenderCapped(s, today)) continue;
+        if (!best || s.nextAt < best.nextAt) best = s;
+    }
+    return best;
+}
+
+// V1.367: Número reserva. Assume a fila do número que caiu (banido, deslogado, desconectado ou com
+// CAMPAIGN_FAILOVER_THRESHOLD falhas seguidas) mantendo o intervalo dele; só entra uma vez por campanha
+const CAMPAIGN_FAILOVER_THRESHOLD = 5;
+const FAILOVER_REASON_LABELS = {
+    BANNED: "banido",
+    LOGGED_OUT: "deslogado",
+    DISCONNECTED: "desconectado",
+    FAILURES: `${CAMPAIGN_FAILOVER_THRESHOLD} falhas seguidas`
+};
+
+// Retorna quantos contatos passaram para a reserva (0 = sem reserva disponível)
+async function activateBackupSender(campaign, failed, reason) {
+    const backup = campaign.backup;
+    if (!backup || backup.activated || failed.backup) return 0;
+    const owner = activeCampaigns.get(backup.instId);
+    if (owner && owner !== campaign) return 0;
+    if (!await isInstanceOnline(backup.instId)) return 0;
+
+    let sender = campaign.senders.find(s => s.instId === backup.instId);
+    if (!sender) {
+        sender = { instId: backup.instId, name: backup.name, dailyCap: 0, queue: [], sent: 0, failed: 0, blockedUntil: 0, backup: true };
+        campaign.senders.push(sender);
+    }
+    Object.assign(sender, { minDelay: failed.minDelay, maxDelay: failed.maxDelay, status: 'ACTIVE', nextAt: 0, failStreak: 0 });
+    activeCampaigns.set(backup.instId, campaign);
+
+    failed.status = 'OFFLINE';
+    failed.failedOver = true;
+    const moved = failed.queue.splice(0);
+    sender.queue.push(...moved);
+    sender.queue.sort((a, b) => a - b);
+    backup.activated = { at: new Date().toISOString(), from: failed.instId, fromName: failed.name, reason, moved: moved.length };
+    await persistCampaign(campaign);
+
+    log(`[DISPARO] Reserva ${backup.instId} assumiu ${moved.length} contatos de ${failed.instId} (${reason}).`);
+    await bot.telegram.sendMessage(campaign.chatId, `🛟 *Número reserva ativado*\n\nO número *${failed.name}* ficou ${FAILOVER_REASON_LABELS[reason] || reason}.\n${moved.length} contatos restantes passam a sair por *${backup.name}*, com o mesmo intervalo e personalização.`, { parse_mode: "Markdown" });
+    return moved.length;
+}
+
+// V1.355: Falha temporária = sem resposta do Wuzapi (rede/timeout), erro 5xx ou limite de requisições (429).
+// Demais recusas (número inválido, sem WhatsApp, mídia rejeitada) são permanentes e não valem nova tentativa.
+function isTransientWuzapiFailure(result) {
+    if (result.error === true) return true;
+    const code = Number(result.code) || 0;
+    if (code >= 500 || code === 429) return true;
+    return /timeout|timed out|deadline|not connected|no session|websocket/i.test(String(result.error || result.message || ""));
+}
+
+// V1.364: Localização, contato (vCard), figurinha, enquete e lista além de texto/mídia.
+// O conteúdo fica em campaign.payload; a mensagem sorteada (spintax/variáveis) vira o nome do local,
+// a pergunta da enquete ou o texto da lista
+const INTERACTIVE_MESSAGE_TYPES = ['location', 'contact', 'poll', 'list'];
+const LIST_MAX_OPTIONS = 10;
+const POLL_MAX_OPTIONS = 12;
+
+function buildCampaignSendRequest(campaign, chosenMsg, jid) {
+    const payload = campaign.payload || {};
+    switch (campaign.mediaType) {
+        case 'text':
+            return { endpoint: "/chat/send/text", body: { Phone: jid, Body: chosenMsg } };
+        case 'location':
+            return { endpoint: "/chat/send/location", body: { Phone: jid, Latitude: payload.latitude, Longitude: payload.longitude, Name: chosenMsg || payload.name || "" } };
+        case 'contact':
+            return { endpoint: "/chat/send/contact", body: { Phone: jid, Name: payload.name, Vcard: payload.vcard } };
+        case 'sticker':
+            return { endpoint: "/chat/send/sticker", body: { Phone: jid, Sticker: getCampaignMediaSource(campaign) } };
+        case 'poll':
+            // O Wuzapi recebe o destino da enquete no campo Group (aceita também o JID de um contato)
+            return { endpoint: "/chat/send/poll", body: { Group: jid, Header: chosenMsg || payload.question, Options: payload.options } };
+        case 'list':
+            return {
+                endpoint: "/chat/send/list",
+                body: {
+                    Phone: jid,
+                    ButtonText: payload.buttonText,
+                    Desc: chosenMsg,
+                    TopText: payload.title || "",
+                    FooterText: payload.footer || "",
+                    Sections: [{
+                        Title: payload.title || payload.buttonText,
+                        Rows: payload.options.map((o, i) => ({ Title: o.title, Desc: o.description || "", RowId: String(i + 1) }))
+                    }]
+                }
+            };
+    }
+
+    const body = { Phone: jid };
+    const media = getCampaignMediaSource(campaign);
+    if (chosenMsg) body.Caption = chosenMsg;
+    if (campaign.mediaType === 'photo') return { endpoint: "/chat/send/image", body: { ...body, Image: media } };
+    if (campaign.mediaType === 'video') return { endpoint: "/chat/send/video", body: { ...body, Video: media } };
+    if (campaign.mediaType === 'audio') return { endpoint: "/chat/send/audio", body: { ...body, Audio: media } };
+    return { endpoint: "/chat/send/document", body: { ...body, Document: media, FileName: campaign.fileName || "arquivo" } };
+}
+
+function buildVcard(name, phone) {
+    const digits = String(phone || "").replace(/\D/g, "");
+    return `BEGIN:VCARD\nVERSION:3.0\nFN:${name}\nTEL;type=CELL;waid=${digits}:+${digits}\nEND:VCARD`;
+}
+
+// Valida o conteúdo de uma mensagem interativa (assistente do bot e API). Retorna { payload } ou { error }
+function normalizeCampaignPayload(type, raw = {}) {
+    if (type === 'location') {
+        const latitude = Number(raw.latitude);
+        const longitude = Number(raw.longitude);
+        if (!isFinite(latitude) || !isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            return { error: "Latitude/longitude inválidas" };
+        }
+        return { payload: { latitude, longitude, name: raw.name ? String(raw.name) : null } };
+    }
+    if (type === 'contact') {
+        const name = String(raw.name || "").trim();
+        if (!name) return { error: "Informe o nome do contato" };
+        if (!raw.vcard && String(raw.phone || "").replace(/\D/g, "").length < 8) return { error: "Informe o telefone ou o vCard do contato" };
+        return { payload: { name, vcard: raw.vcard ? String(raw.vcard) : buildVcard(name, raw.phone) } };
+    }
+    if (type === 'poll') {
+        const options = [...new Set((raw.options || []).map(o => String(o).trim()).filter(Boolean))];
+        if (options.length < 2 || options.length > POLL_MAX_OPTIONS) return { error: `A enquete precisa de 2 a ${POLL_MAX_OPTIONS} opções` };
+        return { payload: { question: String(raw.question || "").trim(), options } };
+    }
+    if (type === 'list') {
+        const options = (raw.options || []).map(o => typeof o === 'string' ? { title: o } : o)
+            .map(o => ({ title: String(o?.title || "").trim().substring(0, 24), description: String(o?.description || "").trim().substring(0, 72) }))
+            .filter(o => o.title);
+        const buttonText = String(raw.buttonText || "").trim().substring(0, 20);
+        if (!buttonText) return { error: "Informe o texto do botão da lista" };
+        if (options.length === 0 || options.length > LIST_MAX_OPTIONS) return { error: `A lista precisa de 1 a ${LIST_MAX_OPTIONS} opções` };
+        return { payload: { buttonText, title: raw.title ? String(raw.title) : null, footer: raw.footer ? String(raw.footer) : null, options } };
+    }
+    return { error: `Tipo não suportado: ${type}` };
+}
+
+// Formato de texto no assistente:
+//   LISTA: Ver opções            ENQUETE: Qual o melhor horário?
+//   Olá {{nome}}, escolha:       - Manhã
+//   - Comprar | Ver a vitrine    - Tarde
+//   - Falar com atendente
+function parseInteractiveText(text) {
+    const lines = String(text || "").split("\n").map(l => l.trim()).filter(Boolean);
+    const head = (lines[0] || "").match(/^(LISTA|ENQUETE)\s*:\s*(.+)$/i);
+    if (!head) return null;
+
+    const options = lines.filter(l => /^[-•]\s*/.test(l)).map(l => l.replace(/^[-•]\s*/, ""));
+    const body = lines.slice(1).filter(l => !/^[-•]\s*/.test(l)).join("\n");
+    if (head[1].toUpperCase() === "ENQUETE") {
+        const result = normalizeCampaignPayload('poll', { question: head[2], options });
+        return { type: 'poll', message: head[2], ...result };
+    }
+    const result = normalizeCampaignPayload('list', {
+        buttonText: head[2],
+        options: options.map(o => {
+            const [title, description] = o.split("|").map(p => p.trim());
+            return { title, description };
+        })
+    });
+    if (!result.error && !body) return { type: 'list', error: "Escreva o texto da mensagem entre a linha LISTA: e as opções" };
+    return { type: 'list', message: body, ...result };
+}
+
+// V1.365: Links rastreados - tabela campaign_links
+// (code, campaign_id, chat_id, inst_id, phone, name, url, clicks, first_click_at, last_click_at, created_at)
+// Cada URL da mensagem vira /r/:code por destinatário; o clique é contado e redireciona para o endereço original
+// O clique é somado no banco em um único passo (cliques simultâneos não se perdem):
+//   create or replace function increment_campaign_link_click(p_code text) returns void language sql as $$
+//     update campaign_links set clicks = coalesce(clicks, 0) + 1,
+//       first_click_at = coalesce(first_click_at, now()), last_click_at = now()
+//     where code = p_code;
+//   $$;
+const CAMPAIGN_URL_RE = /https?:\/\/[^\s<>"']+/g;
+const LINK_TRACKED_TYPES = ['text', 'photo', 'video', 'document', 'list'];
+
+const stripUrlTail = (url) => url.replace(/[.,;:!?)\]}*_~]+$/, "");
+
+async function trackCampaignLinks(campaign, instId, contact, phone, text) {
+    if (!text || campaign.trackLinks === false || !campaign.dbId) return text;
+    const base = getPublicBaseUrl();
+    const urls = [...new Set((text.match(CAMPAIGN_URL_RE) || []).map(stripUrlTail))].filter(u => !u.startsWith(`${base}/r/`));
+    if (urls.length === 0) return text;
+
+    const now = new Date().toISOString();
+    const rows = urls.map(url => ({
+        code: crypto.randomBytes(6).toString("base64url"),
+        campaign_id: campaign.dbId,
+        chat_id: String(campaign.chatId),
+        inst_id: instId,
+        phone: phone.includes("@g.us") ? phone : phoneKey(phone),
+        name: typeof contact === 'string' ? null : (contact.name || null),
+        url,
+        clicks: 0,
+        created_at: now
+    }));
+    const { error } = await supabase.from('campaign_links').insert(rows);
+    if (error) {
+        // Sem rastreio, o link original segue na mensagem
+        log(`[LINK ERR] ${error.message}`);
+        return text;
+    }
+
+    const codes = new Map(rows.map(r => [r.url, r.code]));
+    return text.replace(CAMPAIGN_URL_RE, (match) => {
+        const url = stripUrlTail(match);
+        return codes.has(url) ? `${base}/r/${codes.get(url)}${match.slice(url.length)}` : match;
+    });
+}
+
+// Quem clicou (uma linha por contato, somando os links) e total de cliques
+async function getCampaignClicks(campaignId) {
+    const rows = await selectAllRows(() => supabase.from('campaign_links')
+        .select('phone, name, clicks, last_click_at')
+        .eq('campaign_id', campaignId)
+        .gt('clicks', 0));
+    const byPhone = new Map();
+    for (const r of rows) {
+        const entry = byPhone.get(r.phone) || { phone: r.phone, name: r.name, clicks: 0, last_click_at: r.last_click_at };
+        entry.clicks += r.clicks;
+        if (r.last_click_at > entry.last_click_at) entry.last_click_at = r.last_click_at;
+        byPhone.set(r.phone, entry);
+    }
+    const clickers = [...byPhone.values()].sort((a, b) => String(b.last_click_at).localeCompare(String(a.last_click_at)));
+    return { clickers, total: clickers.reduce((sum, c) => sum + c.clicks, 0) };
+}
+
+// Envia um contato da campanha pela instância indicada
+async function sendCampaignContact(campaign, contact, instId) {
+    const rawPhone = typeof contact === 'string' ? contact : contact.phone;
+    const phone = rawPhone.replace(/\D/g, "");
+    const isGroupNode = rawPhone.includes("@g.us");
+    if (!(isGroupNode ? rawPhone : phone)) return { phone, status: 'SKIPPED' };
+    if (!isGroupNode && (phone.length < 10 || phone.length > 15)) {
+        return { phone, status: 'FAILED', retryable: false, recipient: true, error: "Número inválido" };
+    }
+    if (!isGroupNode && (await getSuppressionSet(campaign.chatId)).has(phoneKey(phone))) {
+        return { phone, status: 'SUPPRESSED', error: "Número descadastrado" };
+    }
+
+    const variations = campaign.messages || [campaign.message];
+    // V1.352: Depois do teste A/B, só a variação vencedora é usada
+    const variant = Number.isInteger(campaign.winnerVariant) ? campaign.winnerVariant : Math.floor(Math.random() * variations.length);
+    const chosenMsg = renderCampaignMessage(variations[variant], contact);
+
+    // V1.356: A pré-validação já deixa o JID resolvido no contato
+    let jid = isGroupNode ? rawPhone : (contact.jid || null);
+    if (!jid) {
+        const check = await callWuzapi("/user/check", "POST", { Phone: [phone] }, instId);
+        if (!check.success) {
+            if (!await isInstanceOnline(instId)) return { phone, status: 'OFFLINE', error: "Instância desconectada" };
+            return { phone, status: 'FAILED', retryable: isTransientWuzapiFailure(check), error: "Falha ao verificar o número" };
+        }
+        if (check.data && check.data.Users && check.data.Users[0].IsInWhatsapp) {
+            jid = check.data.Users[0].JID;
+        }
+    }
+    if (!jid) return { phone, status: 'FAILED', retryable: false, recipient: true, variant, error: "Número sem WhatsApp" };
+
+    const finalMsg = LINK_TRACKED_TYPES.includes(campaign.mediaType)
+        ? await trackCampaignLinks(campaign, instId, contact, isGroupNode ? rawPhone : phone, chosenMsg)
+        : chosenMsg;
+    const { endpoint, body } = buildCampaignSendRequest(campaign, finalMsg, jid);
+
+    log(`[DISPARO] Enviando ${campaign.mediaType} para ${phone} via ${instId}`);
+    const result = await callWuzapi(endpoint, "POST", body, instId);
+    if (result.success) return { phone: isGroupNode ? rawPhone : phone, status: 'SENT', variant, messageId: result.data?.Id || result.data?.id || null };
+
+    log(`[DISPARO] ❌ Erro ao enviar para ${phone}: ${JSON.stringify(result)}`);
+    const error = typeof result.error === 'string' ? result.error : (result.message || "Erro no envio");
+    if (!await isInstanceOnline(instId)) return { phone, status: 'OFFLINE', variant, error };
+    return { phone, status: 'FAILED', retryable: isTransientWuzapiFailure(result), variant, error };
+}
+
+// V1.355: Repete falhas temporárias (e quedas rápidas da instância) com espera exponencial.
+// Se a instância continuar fora após as tentativas, o OFFLINE segue para a redistribuição da fila.
+async function sendCampaignContactWithRetry(campaign, contact, instId) {
+    let outcome;
+    for (let attempt = 0; ; attempt++) {
+        outcome = await sendCampaignContact(campaign, contact, instId);
+        const transient = outcome.status === 'OFFLINE' || (outcome.status === 'FAILED' && outcome.retryable);
+        if (!transient || attempt >= CAMPAIGN_RETRY_DELAYS.length || campaign.status !== 'RUNNING') {
+            return { ...outcome, attempts: attempt + 1 };
+        }
+        const delay = CAMPAIGN_RETRY_DELAYS[attempt];
+        log(`[DISPARO] Falha temporária para ${outcome.phone} via ${instId} (${outcome.error}). Tentativa ${attempt + 2} em ${delay}s.`);
+        await new Promise(r => setTimeout(r, delay * 1000));
+    }
+}
+
+// V1.350: Rastreio por destinatário - tabela campaign_recipients
+// (campaign_id, chat_id, inst_id, phone, name, message_id, variant, status SENT/DELIVERED/READ/REPLIED,
+//  sent_at, delivered_at, read_at, replied_at, reply_text, error)
+// V1.354: Falhas e descadastrados também viram linha (status FAILED/SUPPRESSED) para o relatório exportado
+// V1.355: failure_type TRANSIENT/PERMANENT e attempts nas falhas (base do "Reenviar para Falhas")
+const CAMPAIGN_SENT_STATUSES = ['SENT', 'DELIVERED', 'READ', 'REPLIED'];
+
+async function recordCampaignRecipient(campaign, instId, contact, outcome) {
+    const { error } = await supabase.from('campaign_recipients').insert({
+        campaign_id: campaign.dbId || null,
+        chat_id: String(campaign.chatId),
+        inst_id: instId,
+        phone: outcome.phone.includes("@g.us") ? outcome.phone : phoneKey(outcome.phone),
+        name: typeof contact === 'string' ? null : (contact.name || null),
+        message_id: outcome.messageId || null,
+        variant: Number.isInteger(outcome.variant) ? outcome.variant : null,
+        status: outcome.status,
+        error: outcome.error || null,
+        failure_type: outcome.status === 'FAILED' ? (outcome.retryable ? 'TRANSIENT' : 'PERMANENT') : null,
+        attempts: outcome.attempts || 1,
+        sent_at: new Date().toISOString()
+    });
+    if (error) log(`[TRACK ERR] ${error.message}`);
+}
+
+// Recibos do Wuzapi: state "Delivered" ou "Read" para uma lista de MessageIDs
+async function applyCampaignReceipt(instId, messageIds, state) {
+    if (!messageIds.length) return;
+    const now = new Date().toISOString();
+
+    if (state === "Delivered") {
+        await supabase.from('campaign_recipients').update({ status: 'DELIVERED', delivered_at: now })
+            .eq('inst_id', instId).in('message_id', messageIds).eq('status', 'SENT');
+    } else if (state === "Read") {
+        await supabase.from('campaign_recipients').update({ delivered_at: now })
+            .eq('inst_id', instId).in('message_id', messageIds).is('delivered_at', null);
+        await supabase.from('campaign_recipients').update({ status: 'READ', read_at: now })
+            .eq('inst_id', instId).in('message_id', messageIds).in('status', ['SENT', 'DELIVERED']);
+    }
+}
+
+// Resposta recebida: marca o envio de campanha mais recente (últimos 7 dias) para esse número
+async function applyCampaignReply(instId, phone, text) {
+    const { data: recipient } = await supabase.from('campaign_recipients')
+        .select('id, campaign_id, sent_at')
+        .eq('inst_id', instId)
+        .eq('phone', phoneKey(phone))
+        .in('status', ['SENT', 'DELIVERED', 'READ'])
+        .order('sent_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    if (!recipient) return;
+    // V1.353: Resposta conta até 7 dias após o envio; numa sequência ainda ativa, até a próxima etapa sair
+    const expired = Date.now() - new Date(recipient.sent_at).getTime() > CAMPAIGN_REPLY_WINDOW;
+    if (expired && !await isCampaignInActiveSequence(recipient.campaign_id)) return;
+    await supabase.from('campaign_recipients').update({
+        status: 'REPLIED',
+        replied_at: new Date().toISOString(),
+        reply_text: (text || "").substring(0, 200)
+    }).eq('id', recipient.id);
+}
+
+// V1.364: Votos de enquete e escolhas de lista - tabela campaign_interactions
+// (campaign_id, chat_id, inst_id, phone, kind POLL/LIST, answer, created_at). Votos alterados geram nova linha; vale a última
+function extractInteractiveReply(rawData, messageObj) {
+    const list = messageObj.listResponseMessage;
+    if (list) {
+        const ctxInfo = list.contextInfo || {};
+        return {
+            kind: 'LIST',
+            messageId: ctxInfo.stanzaID || ctxInfo.stanzaId || null,
+            answers: [list.title || list.singleSelectReply?.selectedRowID || list.singleSelectReply?.selectedRowId].filter(Boolean)
+        };
+    }
+    const poll = messageObj.pollUpdateMessage;
+    if (poll) {
+        const key = poll.pollCreationMessageKey || {};
+        // O voto chega criptografado; só dá para ler as opções quando o Wuzapi entrega o voto já decifrado
+        const decrypted = rawData.PollVote || rawData.pollVote || poll.vote || {};
+        return {
+            kind: 'POLL',
+            messageId: key.ID || key.id || null,
+            answers: decrypted.SelectedOptions || decrypted.selectedOptions || []
+        };
+    }
+    return null;
+}
+
+// Opções decifradas vêm como SHA-256 do texto da opção (hex ou base64); converte de volta pelo payload da campanha
+function resolvePollAnswers(answers, options) {
+    return answers.map(a => {
+        const value = String(a);
+        if (options.includes(value)) return value;
+        const match = options.find(o => {
+            const hash = crypto.createHash("sha256").update(o).digest();
+            return hash.toString("hex") === value.toLowerCase() || hash.toString("base64") === value;
+        });
+        return match || null;
+    }).filter(Boolean);
+}
+
+async function applyCampaignInteraction(instId, phone, reply) {
+    if (!reply.messageId) return;
+    const { data: recipient } = await supabase.from('campaign_recipients')
+        .select('id, campaign_id, chat_id, status')
+        .eq('inst_id', instId)
+        .eq('message_id', reply.messageId)
+        .maybeSingle();
+    if (!recipient) return;
+
+    let answers = reply.answers;
+    if (reply.kind === 'POLL') {
+        const { data: camp } = await supabase.from('scheduled_campaigns').select('campaign_data->payload').eq('id', recipient.campaign_id).maybeSingle();
+        answers = resolvePollAnswers(answers, camp?.payload?.options || []);
+    }
+    const answer = answers.length > 0 ? answers.join(", ") : "(voto não decifrado)";
+
+    await supabase.from('campaign_interactions').insert({
+        campaign_id: recipient.campaign_id,
+        chat_id: recipient.chat_id,
+        inst_id: instId,
+        phone: phoneKey(phone),
+        kind: reply.kind,
+        answer,
+        created_at: new Date().toISOString()
+    });
+    if (recipient.status !== 'REPLIED') {
+        await supabase.from('campaign_recipients').update({
+            status: 'REPLIED',
+            replied_at: new Date().toISOString(),
+            reply_text: `[${reply.kind === 'POLL' ? "Enquete" : "Lista"}] ${answer}`.substring(0, 200)
+        }).eq('id', recipient.id);
+    }
+}
+
+// Contagem por resposta considerando só a última interação de cada contato
+async function getInteractionStats(campaignId) {
+    const rows = await selectAllRows(() => supabase.from('campaign_interactions')
+        .select('phone, answer, created_at')
+        .eq('campaign_id', campaignId)
+        .order('created_at', { ascending: true }));
+    const latest = new Map(rows.map(r => [r.phone, r.answer]));
+    const counts = {};
+    for (const answer of latest.values()) {
+        for (const option of answer.split(", ")) counts[option] = (counts[option] || 0) + 1;
+    }
+    return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+}
+
+async function getCampaignFunnel(campaignId) {
+    const countWhere = async (statuses) => {
+        const { count } = await supabase.from('campaign_recipients')
+            .select('*', { count: 'exact', head: true })
+            .eq('campaign_id', campaignId)
+            .in('status', statuses);
+        return count || 0;
+    };
+    const sent = await countWhere(CAMPAIGN_SENT_STATUSES);
+    const delivered = await countWhere(['DELIVERED', 'READ', 'REPLIED']);
+    const read = await countWhere(['READ', 'REPLIED']);
+    const replied = await countWhere(['REPLIED']);
+    const { data: repliers } = await supabase.from('campaign_recipients')
+        .select('phone, name, reply_text')
+        .eq('campaign_id', campaignId)
+        .eq('status', 'REPLIED')
+        .order('replied_at', { ascending: false })
+        .limit(30);
+    const { clickers, total: clicks } = await getCampaignClicks(campaignId);
+    return { sent, delivered, read, replied, repliers: repliers || [], clicked: clickers.length, clicks, clickers: clickers.slice(0, 30) };
+}
+
+// V1.352: Taxas de leitura/resposta por variação da mensagem
+async function getVariantStats(campaignId, variantCount) {
+    const stats = Array.from({ length: variantCount }, (_, variant) => ({ variant, sent: 0, read: 0, replied: 0 }));
+    const rows = await selectAllRows(() => supabase.from('campaign_recipients')
+        .select('variant, status')
+        .eq('campaign_id', campaignId));
+    for (const r of rows) {
+        const st = stats[r.variant];
+        if (!st || !CAMPAIGN_SENT_STATUSES.includes(r.status)) continue;
+        st.sent++;
+        if (r.status === 'READ' || r.status === 'REPLIED') st.read++;
+        if (r.status === 'REPLIED') st.replied++;
+    }
+    for (const st of stats) {
+        st.readRate = st.sent ? st.read / st.sent : 0;
+        st.replyRate = st.sent ? st.replied / st.sent : 0;
+    }
+    return stats;
+}
+
+// Vencedora: maior taxa de resposta; empate decide pela taxa de leitura
+function pickWinningVariant(stats) {
+    return stats.reduce((best, st) =>
+        (st.replyRate > best.replyRate || (st.replyRate === best.replyRate && st.readRate > best.readRate)) ? st : best
+    , stats[0]).variant;
+}
+
+function formatVariantStats(stats, winner) {
+    return stats.map(st =>
+        `${st.variant === winner ? "🏆" : "•"} Variação ${st.variant + 1}: ${st.sent} envios | 👀 ${(st.readRate * 100).toFixed(1)}% | 💬 ${(st.replyRate * 100).toFixed(1)}%`
+    ).join("\n");
+}
+
+async function saveCampaignReport(chatId, campaign, state = null) {
+    const successRate = ((campaign.current / campaign.total) * 100).toFixed(1);
+    const bySender = {};
+    for (const s of campaign.senders) {
+        bySender[s.instId] = { name: s.name, sent: s.sent, failed: s.failed, remaining: s.queue.length, backup: !!s.backup };
+    }
+
+    const session = await getSession(chatId);
+    if (!session.reports) session.reports = {};
+    session.reports[campaign.instId] = {
+        campaignId: campaign.dbId || null,
+        total: campaign.total,
+        success: campaign.current,
+        failed: (campaign.failedNumbers || []).length,
+        failedRetryable: campaign.retryableFailed || 0,
+        remaining: campaign.senders.reduce((acc, s) => acc + s.queue.length, 0),
+        suppressed: campaign.suppressed || 0,
+        successRate,
+        successNumbers: campaign.successNumbers || [],
+        failedNumbers: campaign.failedNumbers || [],
+        bySender,
+        variants: (campaign.messages || []).length,
+        winnerVariant: Number.isInteger(campaign.winnerVariant) ? campaign.winnerVariant : null,
+        failover: campaign.backup?.activated ? { ...campaign.backup.activated, toName: campaign.backup.name } : null,
+        state,
+        timestamp: new Date().toLocaleString('pt-BR')
+    };
+    pushReportHistory(session, campaign.instId, session.reports[campaign.instId]);
+    await saveSession(chatId, session);
+    return successRate;
+}
+
+// V1.354: Histórico de relatórios (sem as listas de números, que ficam em campaign_recipients)
+const REPORT_HISTORY_LIMIT = 30;
+
+function pushReportHistory(session, instId, report) {
+    const { successNumbers, failedNumbers, ...summary } = report;
+    const history = (session.reportHistory || []).filter(r => !(report.campaignId && r.campaignId === report.campaignId));
+    session.reportHistory = [{ ...summary, instId }, ...history].slice(0, REPORT_HISTORY_LIMIT);
+}
+
+const RECIPIENT_STATUS_LABELS = {
+    SENT: "Enviada",
+    DELIVERED: "Entregue",
+    READ: "Lida",
+    REPLIED: "Respondida",
+    FAILED: "Falhou",
+    SUPPRESSED: "Descadastrado"
+};
+
+const FAILURE_TYPE_LABELS = { TRANSIENT: "Temporária", PERMANENT: "Permanente" };
+
+// CSV separado por ";" com BOM para abrir direto no Excel
+function buildCsv(table) {
+    const escapeCell = (v) => {
+        const str = String(v ?? "");
+        return /[;"\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    return "\uFEFF" + table.map(row => row.map(escapeCell).join(";")).join("\n");
+}
+
+// Arquivo com uma linha por destinatário (CSV ou XLSX)
+async function buildCampaignReportFile(campaignId, format) {
+    const rows = await selectAllRows(() => supabase.from('campaign_recipients')
+        .select('phone, name, variant, inst_id, sent_at, status, error, failure_type, delivered_at, read_at, replied_at')
+        .eq('campaign_id', campaignId)
+        .order('sent_at', { ascending: true }));
+    const clicksByPhone = new Map((await getCampaignClicks(campaignId)).clickers.map(c => [c.phone, c.clicks]));
+
+    const fmtDate = (d) => d ? new Date(d).toLocaleString('pt-BR') : "";
+    const table = [
+        ["Telefone", "Nome", "Variação", "Instância", "Enviado em", "Status", "Motivo do erro", "Tipo de falha", "Entregue em", "Lido em", "Respondido em", "Cliques"],
+        ...rows.map(r => [
+            r.phone,
+            r.name || "",
+            Number.isInteger(r.variant) ? r.variant + 1 : "",
+            r.inst_id,
+            fmtDate(r.sent_at),
+            RECIPIENT_STATUS_LABELS[r.status] || r.status,
+            r.error || "",
+            FAILURE_TYPE_LABELS[r.failure_type] || "",
+            fmtDate(r.delivered_at),
+            fmtDate(r.read_at),
+            fmtDate(r.replied_at),
+            clicksByPhone.get(r.phone) || 0
+        ])
+    ];
+
+    const filename = `relatorio_${campaignId}.${format}`;
+    if (format === 'xlsx') {
+        const wb = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(table), "Relatório");
+        return {
+            buffer: XLSX.write(wb, { type: "buffer", bookType: "xlsx" }),
+            filename,
+            mime: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+            count: rows.length
+        };
+    }
+    return { buffer: Buffer.from(buildCsv(table), "utf-8"), filename, mime: "text/csv; charset=utf-8", count: rows.length };
+}
+
+// V1.354: Chave de API por usuário (formato "<chatId>.<segredo>") para os painéis web
+function ensureApiKey(session, chatId) {
+    if (!session.apiKey) session.apiKey = `${chatId}.${crypto.randomBytes(24).toString("hex")}`;
+    return session.apiKey;
+}
+
+// Lê a chave salva do usuário sem criar sessão (getSession criaria uma linha padrão para qualquer chatId)
+async function getStoredApiKey(chatId) {
+    const { data } = await supabase.from('bot_sessions')
+        .select('data')
+        .eq('chat_id', String(chatId))
+        .maybeSingle();
+    return (data && data.data && data.data.apiKey) || null;
+}
+
+function safeEqualStrings(expected, given) {
+    const a = Buffer.from(expected || "");
+    const b = Buffer.from(given || "");
+    return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Retorna o chatId dono da chave enviada no header "x-api-key", ou null
+async function authenticateApiKey(req) {
+    const key = String(req.get("x-api-key") || "");
+    const chatId = key.split(".")[0];
+    if (!chatId || !/^\d+$/.test(chatId)) return null;
+    const stored = await getStoredApiKey(chatId);
+    return safeEqualStrings(stored, key) ? chatId : null;
+}
+
+// Link de download de relatório: assinatura temporária (HMAC com a chave do dono), sem expor a chave na URL
+const REPORT_LINK_TTL = 24 * 60 * 60 * 1000;
+
+function signReportLink(apiKey, campaignId, expires) {
+    return crypto.createHmac("sha256", apiKey).update(`report:${campaignId}:${expires}`).digest("hex");
+}
+
+async function verifyReportLink(chatId, campaignId, expires, sig) {
+    if (!/^\d+$/.test(String(expires || "")) || Number(expires) < Date.now()) return false;
+    const stored = await getStoredApiKey(chatId);
+    if (!stored) return false;
+    return safeEqualStrings(signReportLink(stored, campaignId, expires), String(sig || ""));
+}
+
+function getPublicBaseUrl() {
+    return process.env.WEBHOOK_URL ? process.env.WEBHOOK_URL.replace("/webhook", "") : `http://localhost:${PORT}`;
+}
+
+// V1.357: Mídias de campanha ficam em disco (uploads/campaign_media/<sha256>.<ext>) e vão ao Wuzapi por URL.
+// Sessão e campaign_data guardam só o mediaId, em vez do base64 do arquivo.
+const CAMPAIGN_MEDIA_DIR = path.join(UPLOADS_DIR, "campaign_media");
+if (!fs.existsSync(CAMPAIGN_MEDIA_DIR)) fs.mkdirSync(CAMPAIGN_MEDIA_DIR);
+const CAMPAIGN_MEDIA_EXT = { photo: "jpg", video: "mp4", audio: "ogg", sticker: "webp" };
+const CAMPAIGN_MEDIA_RETENTION_DAYS = 30; // Mantém a mídia de campanhas encerradas para o "Reenviar para Falhas"
+const CAMPAIGN_MEDIA_ID_RE = /^[a-f0-9]{64}\.[a-z0-9]+$/;
+
+function storeCampaignMedia(buffer, type, fileName) {
+    const docExt = path.extname(fileName || "").slice(1).toLowerCase().replace(/[^a-z0-9]/g, "");
+    const mediaId = `${crypto.createHash("sha256").update(buffer).digest("hex")}.${CAMPAIGN_MEDIA_EXT[type] || docExt || "bin"}`;
+    const file = path.join(CAMPAIGN_MEDIA_DIR, mediaId);
+    if (fs.existsSync(file)) {
+        // Mesmo conteúdo já salvo: só renova a data para a limpeza não levar o arquivo
+        const now = new Date();
+        fs.utimesSync(file, now, now);
+    } else {
+        fs.writeFileSync(file, buffer);
+    }
+    return mediaId;
+}
+
+// Campanhas antigas ainda trazem a mídia em base64 (mediaData)
+function getCampaignMediaSource(campaign) {
+    if (campaign.mediaId) return `${getPublicBaseUrl()}/uploads/campaign_media/${campaign.mediaId}`;
+    return campaign.mediaData || campaign.mediaUrl;
+}
+
+async function collectCampaignMediaInUse() {
+    const inUse = new Set();
+    const add = (mediaId, steps) => {
+        if (mediaId) inUse.add(mediaId);
+        for (const step of Array.isArray(steps) ? steps : []) {
+            if (step && step.mediaId) inUse.add(step.mediaId);
+        }
+    };
+
+    const sessions = await selectAllRows(() => supabase.from('bot_sessions')
+        .select('media:data->>mass_media_id, steps:data->mass_sequence'));
+    for (const row of sessions) add(row.media, row.steps);
+
+    // V1.362: Recorrências ativas reutilizam a mesma mídia a cada execução
+    const recurrences = await selectAllRows(() => supabase.from('campaign_recurrences')
+        .select('media:campaign_data->>mediaId, steps:campaign_data->sequence->steps')
+        .eq('status', 'ACTIVE'));
+    for (const row of recurrences) add(row.media, row.steps);
+
+    // V1.361: Modelos da biblioteca
+    const templates = await selectAllRows(() => supabase.from('campaign_library')
+        .select('media:data->>mediaId')
+        .eq('kind', 'TEMPLATE'));
+    for (const row of templates) add(row.media);
+
+    const cutoff = Date.now() - CAMPAIGN_MEDIA_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const campaigns = await selectAllRows(() => supabase.from('scheduled_campaigns')
+        .select('status, scheduled_for, media:campaign_data->>mediaId, steps:campaign_data->sequence->steps'));
+    for (const row of campaigns) {
+        const finished = row.status === 'COMPLETED' || row.status === 'CANCELLED';
+        if (finished && new Date(row.scheduled_for).getTime() < cutoff) continue;
+        add(row.media, row.steps);
+    }
+    return inUse;
+}
+
+// Remove arquivos que nenhuma sessão ou campanha referencia (com 1 dia de carência para uploads em andamento)
+async function cleanupCampaignMedia() {
+    try {
+        const inUse = await collectCampaignMediaInUse();
+        const graceLimit = Date.now() - 24 * 60 * 60 * 1000;
+        let removed = 0;
+        for (const name of fs.readdirSync(CAMPAIGN_MEDIA_DIR)) {
+            if (!CAMPAIGN_MEDIA_ID_RE.test(name) || inUse.has(name)) continue;
+            const file = path.join(CAMPAIGN_MEDIA_DIR, name);
+            if (fs.statSync(file).mtimeMs > graceLimit) continue;
+            fs.unlinkSync(file);
+            removed++;
+        }
+        if (removed > 0) log(`[MEDIA CLEANUP] ${removed} mídias de campanha removidas.`);
+    } catch (e) {
+        log(`[MEDIA CLEANUP ERR] ${e.message}`);
+    }
+}
+
+
+// V1.353: Sequências (drip) - cada etapa é uma linha em scheduled_campaigns criada quando a anterior termina
+function buildCampaignSequence(session) {
+    const steps = session.mass_sequence || [];
+    return steps.length > 0 ? { step: 1, steps, campaignIds: [] } : null;
+}
+
+const CAMPAIGN_REPLY_WINDOW = 7 * 24 * 60 * 60 * 1000;
+
+// A próxima etapa fica PENDING com os ids das etapas anteriores em sequence.campaignIds
+async function isCampaignInActiveSequence(campaignId) {
+    const { count } = await supabase.from('scheduled_campaigns')
+        .select('id', { count: 'exact', head: true })
+        .in('status', ['PENDING', 'RUNNING', 'PAUSED'])
+        .filter('campaign_data->sequence->campaignIds', 'cs', JSON.stringify([campaignId]));
+    return count > 0;
+}
+
+// LIDs (…@lid) não trazem o telefone: grava o número real no acompanhamento para o filtro das sequências
+async function recordLeadPhone(instId, leadJid, phone) {
+    if (!phone || leadJid.endsWith("@s.whatsapp.net")) return;
+    const { error } = await supabase.from("ai_leads_tracking").update({ lead_phone: phone }).eq("chat_id", leadJid).eq("instance_id", instId);
+    if (error) log(`[SEQ ERR] Telefone do lead ${leadJid}: ${error.message}`);
+}
+
+// Mantém só quem recebeu a etapa anterior e não respondeu, não se descadastrou nem foi transferido a um corretor
+async function filterSequenceContacts(campaign) {
+    const seq = campaign.sequence;
+    const prevId = seq.campaignIds[seq.campaignIds.length - 1];
+    const keyOf = (c) => {
+        const raw = typeof c === 'string' ? c : c.phone;
+        return raw.includes("@g.us") ? raw : phoneKey(raw);
+    };
+
+    const received = new Set((await selectAllRows(() => supabase.from('campaign_recipients')
+        .select('phone')
+        .eq('campaign_id', prevId)
+        .in('status', CAMPAIGN_SENT_STATUSES))).map(r => r.phone));
+    const replied = new Set((await selectAllRows(() => supabase.from('campaign_recipients')
+        .select('phone')
+        .in('campaign_id', seq.campaignIds)
+        .eq('status', 'REPLIED'))).map(r => r.phone));
+    const transferred = new Set((await selectAllRows(() => supabase.from('ai_leads_tracking')
+        .select('*')
+        .in('instance_id', getCampaignSenderIds(campaign))
+        .eq('status', 'TRANSFERRED'))).map(r => phoneKey(r.lead_phone || r.chat_id)));
+    const suppressed = await getSuppressionSet(campaign.chatId);
+
+    const before = campaign.contacts.length;
+    campaign.contacts = campaign.contacts.filter(c => {
+        const key = keyOf(c);
+        return received.has(key) && !replied.has(key) && !transferred.has(key) && !suppressed.has(key);
+    });
+    campaign.total = campaign.contacts.length;
+    campaign.currentIndex = 0;
+    campaign.current = 0;
+    campaign.successNumbers = [];
+    campaign.failedNumbers = [];
+    seq.filtered = true;
+    return before - campaign.contacts.length;
+}
+
+async function scheduleNextSequenceStep(campaign) {
+    const seq = campaign.sequence;
+    if (!seq || seq.step > seq.steps.length) return null;
+
+    const next = seq.steps[seq.step - 1];
+    const scheduledFor = new Date(Date.now() + next.delayDays * 24 * 60 * 60 * 1000);
+    const { error } = await supabase.from('scheduled_campaigns').insert({
+        chat_id: String(campaign.chatId),
+        inst_id: campaign.instId,
+        scheduled_for: scheduledFor.toISOString(),
+        status: 'PENDING',
+        campaign_data: {
+            contacts: campaign.contacts,
+            messages: next.messages,
+            message: next.messages[0],
+            mediaType: next.mediaType,
+            mediaId: next.mediaId || null,
+            mediaData: next.mediaData,
+            fileName: next.fileName,
+            payload: next.payload || null,
+            trackLinks: campaign.trackLinks,
+            minDelay: campaign.minDelay,
+            maxDelay: campaign.maxDelay,
+            senders: campaign.senders.filter(s => !s.backup).map(({ instId, name, minDelay, maxDelay, dailyCap }) => ({ instId, name, minDelay, maxDelay, dailyCap })),
+            backup: campaign.backup ? { instId: campaign.backup.instId, name: campaign.backup.name } : null,
+            window: campaign.window || null,
+            sequence: { steps: seq.steps, step: seq.step + 1, campaignIds: [...seq.campaignIds, campaign.dbId] }
+        }
+    });
+    if (error) {
+        log(`[SEQ ERR] ${error.message}`);
+        return null;
+    }
+    return scheduledFor;
+}
+
+// V1.348: Janelas de envio (dias/horários permitidos + feriados) para campanhas
+const WEEKDAY_KEYS = ["dom", "seg", "ter", "qua", "qui", "sex", "sab"];
+
+function parseTimeOfDay(str) {
+    const m = String(str).trim().match(/^(\d{1,2})(?:[:h](\d{2}))?h?$/i);
+    if (!m) return null;
+    const minutes = parseInt(m[1]) * 60 + parseInt(m[2] || "0");
+    return minutes <= 24 * 60 ? minutes : null;
+}
+
+function formatTimeOfDay(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+// Formato: uma regra por linha ("seg-sex 09:00-18:00", "sab 09:00-12:00") e opcionalmente "feriados: 25/12, 01/01/2027"
+function parseSendingWindow(text) {
+    const window = { rules: [], holidays: [] };
+    for (const rawLine of String(text).split("\n")) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        const holidayMatch = line.match(/^feriados?\s*:?\s*(.*)$/i);
+        if (holidayMatch) {
+            for (const d of holidayMatch[1].split(/[,;\s]+/).filter(Boolean)) {
+                if (!/^\d{2}\/\d{2}(\/\d{4})?$/.test(d)) return { error: `Data de feriado inválida: ${d}` };
+                window.holidays.push(d);
+            }
+            continue;
+        }
+
+        const m = line.replace(/\u2013/g, "-").match(/^([a-z\u00C0-\u00FA,\s-]+?)\s+(\S+)\s*-\s*(\S+)$/i);
+        if (!m) return { error: `Linha inválida: ${line}` };
+
+        const start = parseTimeOfDay(m[2]);
+        const end = parseTimeOfDay(m[3]);
+        if (start === null || end === null || end <= start) return { error: `Horário inválido: ${line}` };
+
+        const days = [];
+        for (const chunk of m[1].split(",")) {
+            const [from, to] = chunk.split("-").map(d => WEEKDAY_KEYS.indexOf(normalizeVarKey(d).substring(0, 3)));
+            if (from < 0 || (to !== undefined && to < 0)) return { error: `Dia inválido: ${chunk.trim()}` };
+            if (to === undefined) days.push(from);
+            else for (let d = from; ; d = (d + 1) % 7) { days.push(d); if (d === to) break; }
+        }
+        window.rules.push({ days: [...new Set(days)], start, end });
+    }
+    if (window.rules.length === 0) return { error: "Informe pelo menos um dia e horário." };
+    return window;
+}
+
+function isHoliday(window, date) {
+    const dm = `${String(date.getDate()).padStart(2, "0")}/${String(date.getMonth() + 1).padStart(2, "0")}`;
+    return (window.holidays || []).some(h => h === dm || h === `${dm}/${date.getFullYear()}`);
+}
+
+function isWithinSendingWindow(window, date = new Date()) {
+    if (!window || !window.rules?.length) return true;
+    if (isHoliday(window, date)) return false;
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    return window.rules.some(r => r.days.includes(date.getDay()) && minutes >= r.start && minutes < r.end);
+}
+
+// Próxima abertura da janela a partir de `from` (null se a janela nunca abre)
+function nextSendingWindowOpening(window, from = new Date()) {
+    if (isWithinSendingWindow(window, from)) return from;
+    for (let offset = 0; offset <= 370; offset++) {
+        const day = new Date(from);
+        day.setDate(day.getDate() + offset);
+        day.setHours(0, 0, 0, 0);
+        if (isHoliday(window, day)) continue;
+
+        const starts = window.rules.filter(r => r.days.includes(day.getDay())).map(r => r.start).sort((a, b) => a - b);
+        for (const start of starts) {
+            const candidate = new Date(day);
+            candidate.setMinutes(start);
+            if (candidate > from) return candidate;
+        }
+    }
+    return null;
+}
+
+function describeSendingWindow(window) {
+    if (!window || !window.rules?.length) return "Sem restrição (envia a qualquer hora)";
+    const lines = window.rules.map(r => `${r.days.map(d => WEEKDAY_KEYS[d]).join(",")} ${formatTimeOfDay(r.start)}-${formatTimeOfDay(r.end)}`);
+    if (window.holidays?.length) lines.push(`feriados: ${window.holidays.join(", ")}`);
+    return lines.join("\n");
+}
+
+// V1.362: Disparos recorrentes - tabela campaign_recurrences
+// (id, chat_id, inst_id, rule, campaign_data, next_run_at, skipped, status ACTIVE/CANCELLED, last_run_at, created_at)
+// Cada ocorrência vira uma linha PENDING em scheduled_campaigns com campaign_data.recurrenceId (histórico de execuções)
+const RECURRENCE_PREVIEW_COUNT = 5;
+
+// Formatos: "todo dia 08:30", "dias úteis 08:00", "toda segunda 09:00", "toda seg,qua 09:00",
+// "todo mês dia 10 09:00" e "primeiro dia útil 09:00". Retorna null se o texto não for uma regra
+function parseRecurrenceRule(text) {
+    const norm = String(text || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase().replace(/\s+/g, " ").trim();
+    const m = norm.match(/^(.+?)\s+(?:as\s+)?(\d{1,2}(?:[:h]\d{2})?h?)$/);
+    if (!m) return null;
+    const time = parseTimeOfDay(m[2]);
+    if (time === null || time >= 24 * 60) return null;
+
+    const spec = m[1].replace(/^(todos|todas|todo|toda)\s+(os\s+|as\s+|o\s+|a\s+)?/, "").replace(/\s+(do mes|de cada mes)$/, "").trim();
+    if (/^(dia|dias|diario|diariamente)$/.test(spec)) return { type: 'DAILY', time };
+    if (/^dias? uteis$/.test(spec)) return { type: 'WEEKLY', days: [1, 2, 3, 4, 5], time };
+    if (/^(primeiro|1o|1) dia util$/.test(spec)) return { type: 'FIRST_BUSINESS_DAY', time };
+
+    const monthly = spec.match(/^(?:mes\s+)?dia (\d{1,2})$/);
+    if (monthly) {
+        const day = parseInt(monthly[1]);
+        return day >= 1 && day <= 31 ? { type: 'MONTHLY', day, time } : null;
+    }
+
+    const days = [];
+    for (const chunk of spec.replace(/-feira/g, "").split(/\s*,\s*|\s+e\s+/)) {
+        const [from, to] = chunk.split("-").map(d => WEEKDAY_KEYS.indexOf(d.trim().substring(0, 3)));
+        if (from < 0 || (to !== undefined && to < 0)) return null;
+        if (to === undefined) days.push(from);
+        else for (let d = from; ; d = (d + 1) % 7) { days.push(d); if (d === to) break; }
+    }
+    return days.length > 0 ? { type: 'WEEKLY', days: [...new Set(days)].sort(), time } : null;
+}
+
+// Dia útil = segunda a sexta, fora dos feriados da janela de envio da campanha
+function isFirstBusinessDay(date, window) {
+    for (let d = 1; d <= date.getDate(); d++) {
+        const day = new Date(date.getFullYear(), date.getMonth(), d);
+        if (day.getDay() === 0 || day.getDay() === 6 || (window && isHoliday(window, day))) continue;
+        return d === date.getDate();
+    }
+    return false;
+}
+
+function matchesRecurrenceDay(rule, date, window) {
+    switch (rule.type) {
+        case 'DAILY': return true;
+        case 'WEEKLY': return rule.days.includes(date.getDay());
+        case 'MONTHLY': {
+            const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+            return date.getDate() === Math.min(rule.day, lastDay);
+        }
+        case 'FIRST_BUSINESS_DAY': return isFirstBusinessDay(date, window);
+        default: return false;
+    }
+}
+
+// Próxima ocorrência depois de `after`, ignorando as puladas (ISO)
+function nextRecurrenceOccurrence(rule, after = new Date(), skipped = [], window = null) {
+    for (let offset = 0; offset <= 400; offset++) {
+        const day = new Date(after);
+        day.setDate(day.getDate() + offset);
+        day.setHours(0, 0, 0, 0);
+        if (!matchesRecurrenceDay(rule, day, window)) continue;
+        day.setMinutes(rule.time);
+        if (day > after && !skipped.includes(day.toISOString())) return day;
+    }
+    return null;
+}
+
+function listUpcomingOccurrences(rec, count = RECURRENCE_PREVIEW_COUNT) {
+    const list = [];
+    let cursor = new Date();
+    while (list.length < count) {
+        const next = nextRecurrenceOccurrence(rec.rule, cursor, rec.skipped || [], rec.campaign_data?.window);
+        if (!next) break;
+        list.push(next);
+        cursor = next;
+    }
+    return list;
+}
+
+function describeRecurrenceRule(rule) {
+    const at = `às ${formatTimeOfDay(rule.time)}`;
+    switch (rule.type) {
+        case 'DAILY': return `Todo dia ${at}`;
+        case 'WEEKLY': return rule.days.join(",") === "1,2,3,4,5" ? `Dias úteis ${at}` : `Toda ${rule.days.map(d => WEEKDAY_KEYS[d]).join(", ")} ${at}`;
+        case 'MONTHLY': return `Todo dia ${rule.day} do mês ${at}`;
+        case 'FIRST_BUSINESS_DAY': return `Primeiro dia útil do mês ${at}`;
+        default: return "Regra desconhecida";
+    }
+}
+
+function formatOccurrence(date) {
+    return `${WEEKDAY_KEYS[date.getDay()]} ${date.toLocaleDateString('pt-BR')} ${formatTimeOfDay(date.getHours() * 60 + date.getMinutes())}`;
+}
+
+async function createRecurrence(chatId, camp, rule) {
+    const nextRun = nextRecurrenceOccurrence(rule, new Date(), [], camp.window);
+    if (!nextRun) return { error: "Regra sem próximas ocorrências." };
+    const { data, error } = await supabase.from('campaign_recurrences').insert({
+        chat_id: String(chatId),
+        inst_id: camp.instId,
+        rule,
+        campaign_data: camp,
+        next_run_at: nextRun.toISOString(),
+        skipped: [],
+        status: 'ACTIVE',
+        created_at: new Date().toISOString()
+    }).select().single();
+    if (error) {
+        log(`[RECURRENCE ERR] ${error.message}`);
+        return { error: error.message };
+    }
+    return { id: data.id, nextRun };
+}
+
+// Chamado pelo worker: cria a execução de cada recorrência vencida e agenda a próxima ocorrência
+async function spawnRecurringRuns() {
+    const { data, error } = await supabase.from('campaign_recurrences')
+        .select('*')
+        .eq('status', 'ACTIVE')
+        .lte('next_run_at', new Date().toISOString());
+    if (error) throw error;
+
+    for (const rec of (data || [])) {
+        const { error: insertError } = await supabase.from('scheduled_campaigns').insert({
+            chat_id: rec.chat_id,
+            inst_id: rec.inst_id,
+            scheduled_for: rec.next_run_at,
+            status: 'PENDING',
+            campaign_data: { ...rec.campaign_data, recurrenceId: rec.id }
+        });
+        if (insertError) {
+            log(`[RECURRENCE ERR] ${rec.id}: ${insertError.message}`);
+            continue;
+        }
+
+        const now = new Date();
+        const skipped = (rec.skipped || []).filter(iso => new Date(iso) > now);
+        const next = nextRecurrenceOccurrence(rec.rule, now, skipped, rec.campaign_data?.window);
+        await supabase.from('campaign_recurrences').update({
+            next_run_at: next ? next.toISOString() : null,
+            status: next ? 'ACTIVE' : 'CANCELLED',
+            skipped,
+            last_run_at: rec.next_run_at
+        }).eq('id', rec.id);
+        log(`[RECURRENCE] Execução criada para recorrência ${rec.id} (${rec.inst_id})`);
     }
-});
+}
+
+async function persistCampaign(campaign, extra = {}) {
+    if (!campaign.dbId) return;
+    await supabase.from('scheduled_campaigns').update({
+        campaign_data: { ...campaign, lastMsgId: null },
+        ...extra
+    }).eq('id', campaign.dbId);
+}
 
 async function runCampaign(chatId, instId) {
-    const campaign = activeCampaigns.get(chatId);
+    const campaign = activeCampaigns.get(instId);
     if (!campaign) return;
+    campaign.chatId = chatId;
 
     campaign.status = 'RUNNING';
-    const sessionForId = await getSession(chatId);
+    campaign.currentIndex = campaign.currentIndex || 0;
+
+    // V1.353: Etapas seguintes de uma sequência recalculam a lista antes de começar
+    const seq = campaign.sequence;
+    if (seq && seq.step > 1 && !seq.filtered) {
+        let removed = 0;
+        try {
+            removed = await filterSequenceContacts(campaign);
+        } catch (e) {
+            log(`[SEQ ERR] Falha ao filtrar contatos: ${e.message}`);
+        }
+        await persistCampaign(campaign);
+        if (campaign.contacts.length === 0) {
+            if (campaign.dbId) await supabase.from('scheduled_campaigns').update({ status: 'COMPLETED' }).eq('id', campaign.dbId);
+            releaseCampaign(campaign);
+            await bot.telegram.sendMessage(chatId, `🔁 *Sequência encerrada*\n\nNenhum contato elegível para a etapa ${seq.step} (todos responderam, se descadastraram ou foram transferidos).`, { parse_mode: "Markdown" });
+            return;
+        }
+        await bot.telegram.sendMessage(chatId, `🔁 *Etapa ${seq.step}/${seq.steps.length + 1} da sequência*\n\n👥 ${campaign.total} contatos seguem na sequência.\n🛑 ${removed} removidos (responderam, descadastrados ou transferidos).`, { parse_mode: "Markdown" });
+    }
+
+    await prepareCampaignSenders(campaign);
+    let multi = campaign.senders.length > 1;
+
+    // V1.352: Teste A/B - define o tamanho da amostra ou, após a espera, escolhe a vencedora
+    if (campaign.ab && !campaign.ab.testSize) {
+        campaign.ab.testSize = Math.ceil(campaign.total * campaign.ab.share / 100);
+        campaign.ab.phase = 'TEST';
+        if (campaign.ab.testSize >= campaign.total || (campaign.messages || []).length < 2) campaign.ab = null;
+    }
+    if (campaign.ab && campaign.ab.phase === 'WAITING') {
+        let stats = [];
+        try {
+            stats = await getVariantStats(campaign.dbId, campaign.messages.length);
+        } catch (e) {
+            log(`[AB ERR] ${e.message}`);
+        }
+        campaign.winnerVariant = stats.length > 0 ? pickWinningVariant(stats) : 0;
+        campaign.ab.phase = 'DONE';
+        await persistCampaign(campaign);
+        await bot.telegram.sendMessage(chatId, `🏆 *Teste A/B concluído!*\n\n${formatVariantStats(stats, campaign.winnerVariant)}\n\nEnviando a *Variação ${campaign.winnerVariant + 1}* para o restante da lista.`, { parse_mode: "Markdown" });
+    }
 
-    for (let i = campaign.currentIndex; i < campaign.contacts.length; i++) {
+    let finished = false;
+    while (true) {
         if (campaign.status === 'CANCELLED') break;
+        // V1.366: Instância desconectou (webhook) -> para no contato atual até reconectar
+        if (campaign.status === 'WAITING_CONNECTION') {
+            await holdCampaignForConnection(chatId, campaign);
+            break;
+        }
         if (campaign.status === 'PAUSED') {
             if (campaign.lastMsgId) {
                 try { await bot.telegram.deleteMessage(chatId, campaign.lastMsgId); } catch (e) { }
             }
             const pauseMsg = await bot.telegram.sendMessage(chatId, `⏸️ *Disparo Pausado*\nEnviados: ${campaign.current}/${campaign.total}`, {
                 parse_mode: "Markdown",
-                ...Markup.inlineKeyboard([[Markup.button.callback("▶️ Retomar", "wa_resume_mass"), Markup.button.callback("⏹️ Parar", "wa_stop_mass")]])
+                ...Markup.inlineKeyboard([[Markup.button.callback("▶️ Retomar", `wa_resume_mass_${instId}`), Markup.button.callback("⏹️ Parar", `wa_stop_mass_${instId}`)]])
             });
             campaign.lastMsgId = pauseMsg.message_id;
+            await persistCampaign(campaign);
             break;
         }
 
-        try {
-            campaign.currentIndex = i;
-            const contact = campaign.contacts[i];
-            const rawPhone = typeof contact === 'string' ? contact : contact.phone;
-            const nameFallback = "amigo(a)";
-            const contactName = (typeof contact === 'object' && contact.name) ? contact.name : nameFallback;
-
-            const phone = rawPhone.replace(/\D/g, "");
-            const isGroupNode = rawPhone.includes("@g.us");
-            const finalPhone = isGroupNode ? rawPhone : phone;
-
-            if (!finalPhone) continue;
-
-            const variations = campaign.messages || [campaign.message];
-            let chosenMsg = variations[Math.floor(Math.random() * variations.length)];
-
-            const hr = new Date().getHours();
-            const saudacao = hr < 12 ? "Bom dia" : hr < 18 ? "Boa tarde" : "Boa noite";
-            const emjs = ["😊", "👋", "🚀", "✨", "✅", "📍", "🤝", "🙌"];
-            const randomEmoji = emjs[Math.floor(Math.random() * emjs.length)];
-
-            chosenMsg = chosenMsg
-                .replace(/\{\{nome\}\}/gi, contactName)
-                .replace(/\{\{name\}\}/gi, contactName)
-                .replace(/\{\{saudacao\}\}/gi, saudacao)
-                .replace(/\{\{greet\}\}/gi, saudacao)
-                .replace(/\{\{emoji\}\}/gi, randomEmoji);
-
-            let jid = null;
-            if (phone.includes("@g.us") || rawPhone.includes("@g.us")) {
-                jid = rawPhone;
+        // V1.352: Amostra do teste A/B enviada -> aguarda o tempo definido antes de escolher a vencedora
+        if (campaign.ab && campaign.ab.phase === 'TEST' && campaign.currentIndex >= campaign.ab.testSize) {
+            const resumeAt = new Date(Date.now() + campaign.ab.waitHours * 60 * 60 * 1000);
+            campaign.ab.phase = 'WAITING';
+            campaign.status = 'WAITING';
+            await persistCampaign(campaign, { status: 'PENDING', scheduled_for: resumeAt.toISOString() });
+            await saveCampaignReport(chatId, campaign, 'AB_WAITING');
+            releaseCampaign(campaign);
+            if (campaign.lastMsgId) {
+                try { await bot.telegram.deleteMessage(chatId, campaign.lastMsgId); } catch (e) { }
             }
+            await bot.telegram.sendMessage(chatId, `🧪 *Amostra do Teste A/B enviada!*\n\n${campaign.currentIndex} contatos receberam as variações.\nEm ${resumeAt.toLocaleString('pt-BR')} a melhor variação será enviada ao restante da lista.`, {
+                parse_mode: "Markdown",
+                ...Markup.inlineKeyboard([[Markup.button.callback("📊 Ver Resultados Parciais", `wa_report_${campaign.instId}`)]])
+            });
+            break;
+        }
 
-            if (!jid) {
-                const check = await callWuzapi("/user/check", "POST", { Phone: [phone] }, instId);
-                if (check.success && check.data && check.data.Users && check.data.Users[0].IsInWhatsapp) {
-                    jid = check.data.Users[0].JID;
+        // V1.348: Fora da janela de envio -> aguarda a próxima abertura (o worker retoma via PENDING)
+        if (!isWithinSendingWindow(campaign.window)) {
+            const resumeAt = nextSendingWindowOpening(campaign.window);
+            campaign.status = 'WAITING';
+            await persistCampaign(campaign, resumeAt
+                ? { status: 'PENDING', scheduled_for: resumeAt.toISOString() }
+                : { status: 'PAUSED' });
+            releaseCampaign(campaign);
+            if (campaign.lastMsgId) {
+                try { await bot.telegram.deleteMessage(chatId, campaign.lastMsgId); } catch (e) { }
+            }
+            const when = resumeAt ? `Retomada automática em ${resumeAt.toLocaleString('pt-BR')}.` : "A janela configurada não tem próximos horários; ajuste-a e retome manualmente.";
+            await bot.telegram.sendMessage(chatId, `🌙 *Fora da janela de envio*\n\nEnviados até agora: ${campaign.current}/${campaign.total}.\n${when}`, { parse_mode: "Markdown" });
+            break;
+        }
+
+        const sender = pickNextSender(campaign);
+        if (!sender) {
+            if (!campaign.senders.some(s => s.queue.length > 0)) {
+                finished = true;
+            } else if (campaign.senders.some(s => s.status === 'ACTIVE' && s.queue.length > 0)) {
+                // Todos os números com contatos restantes atingiram o limite diário ou a cota da instância:
+                // retoma quando o primeiro deles liberar (limite da campanha só no dia seguinte)
+                const tomorrow = new Date();
+                tomorrow.setDate(tomorrow.getDate() + 1);
+                tomorrow.setHours(campaign.window ? 0 : CAMPAIGN_CAP_RESUME_HOUR, 0, 0, 0);
+                const releases = campaign.senders
+                    .filter(s => s.status === 'ACTIVE' && s.queue.length > 0)
+                    .map(s => (s.dailyCap > 0 && s.sentToday >= s.dailyCap) ? tomorrow.getTime() : Math.min(s.blockedUntil, tomorrow.getTime()));
+                let resumeAt = new Date(Math.min(...releases));
+                if (campaign.window) resumeAt = nextSendingWindowOpening(campaign.window, resumeAt) || resumeAt;
+                const sameDay = resumeAt.toLocaleDateString('pt-BR') === new Date().toLocaleDateString('pt-BR');
+                campaign.status = 'WAITING';
+                await persistCampaign(campaign, { status: 'PENDING', scheduled_for: resumeAt.toISOString() });
+                releaseCampaign(campaign);
+                await bot.telegram.sendMessage(chatId, `${sameDay ? "⏳ *Limite por hora atingido*" : "🌙 *Limite diário atingido*"}\n\nEnviados até agora: ${campaign.current}/${campaign.total}.\nO disparo continua automaticamente em ${resumeAt.toLocaleString('pt-BR')}.`, { parse_mode: "Markdown" });
+            } else {
+                // V1.367: Antes de parar, a reserva (ou outro número conectado sem fila) assume os contatos
+                let moved = 0;
+                for (const s of campaign.senders.filter(s => s.status !== 'ACTIVE' && s.queue.length > 0)) {
+                    moved += await activateBackupSender(campaign, s, 'DISCONNECTED') || moveSenderQueue(campaign, s);
                 }
+                if (moved > 0) continue;
+                // Nenhum número saudável restante (V1.366: aguarda a reconexão em vez de pausar)
+                campaign.status = 'WAITING_CONNECTION';
+                await holdCampaignForConnection(chatId, campaign);
             }
+            break;
+        }
 
-            if (jid) {
-                const body = { Phone: jid };
-                let endpoint = "/chat/send/text";
+        const wait = sender.nextAt - Date.now();
+        if (wait > 0) {
+            await new Promise(r => setTimeout(r, wait));
+            continue;
+        }
 
-                if (campaign.mediaType === 'text') {
-                    body.Body = chosenMsg;
-                } else {
-                    if (chosenMsg) body.Caption = chosenMsg;
-                    if (campaign.mediaType === 'photo') {
-                        endpoint = "/chat/send/image";
-                        body.Image = campaign.mediaData || campaign.mediaUrl;
-                    } else if (campaign.mediaType === 'video') {
-                        endpoint = "/chat/send/video";
-                        body.Video = campaign.mediaData || campaign.mediaUrl;
-                    } else if (campaign.mediaType === 'audio') {
-                        endpoint = "/chat/send/audio";
-                        body.Audio = campaign.mediaData || campaign.mediaUrl;
-                    } else if (campaign.mediaType === 'document') {
-                        endpoint = "/chat/send/document";
-                        body.Document = campaign.mediaData || campaign.mediaUrl;
-                        body.FileName = campaign.fileName || "arquivo";
-                    }
+        // V1.358: Cota da instância (compartilhada com follow-ups e rodízio)
+        const quota = await getQuotaStatus(sender.instId);
+        if (quota.blockedUntil) {
+            sender.blockedUntil = quota.blockedUntil.getTime();
+            const moved = moveSenderQueue(campaign, sender);
+            log(`[DISPARO] Cota ${quota.reason === 'DAILY' ? "diária" : "por hora"} de ${sender.instId} esgotada. ${moved} contatos repassados.`);
+            continue;
+        }
+
+        const idx = sender.queue.shift();
+        let skipDelay = false;
+        try {
+            const outcome = await sendCampaignContactWithRetry(campaign, campaign.contacts[idx], sender.instId);
+
+            if (outcome.status === 'OFFLINE') {
+                // Devolve o contato e redistribui o restante da fila entre os números saudáveis
+                sender.queue.unshift(idx);
+                sender.status = 'OFFLINE';
+                if (await activateBackupSender(campaign, sender, 'DISCONNECTED') > 0) continue;
+                const moved = moveSenderQueue(campaign, sender);
+                log(`[DISPARO] Instância ${sender.instId} desconectada. ${moved} contatos redistribuídos.`);
+                if (moved > 0) {
+                    await bot.telegram.sendMessage(chatId, `⚠️ O número *${sender.name}* desconectou. ${moved} contatos foram repassados aos demais números.`, { parse_mode: "Markdown" });
                 }
+                continue;
+            }
 
-                log(`[DISPARO] Enviando ${campaign.mediaType} para ${phone}`);
-                const result = await callWuzapi(endpoint, "POST", body, instId);
+            if (outcome.status === 'SENT') {
+                await recordCampaignRecipient(campaign, sender.instId, campaign.contacts[idx], outcome);
+                await consumeQuota(sender.instId);
+                campaign.current++;
+                sender.sent++;
+                sender.sentToday++;
+                sender.failStreak = 0;
+                if (!campaign.successNumbers) campaign.successNumbers = [];
+                campaign.successNumbers.push(outcome.phone);
+            } else if (outcome.status === 'FAILED') {
+                await recordCampaignRecipient(campaign, sender.instId, campaign.contacts[idx], outcome);
+                sender.failed++;
+                if (!campaign.failedNumbers) campaign.failedNumbers = [];
+                campaign.failedNumbers.push(outcome.phone);
+                if (outcome.retryable) campaign.retryableFailed = (campaign.retryableFailed || 0) + 1;
+                // V1.367: Falhas seguidas no mesmo número indicam bloqueio -> passa o restante para a reserva.
+                // Número inválido/sem WhatsApp é problema do destinatário e não conta
+                sender.failStreak = outcome.recipient ? 0 : (sender.failStreak || 0) + 1;
+                if (sender.failStreak >= CAMPAIGN_FAILOVER_THRESHOLD) await activateBackupSender(campaign, sender, 'FAILURES');
+            } else if (outcome.status === 'SUPPRESSED') {
+                await recordCampaignRecipient(campaign, sender.instId, campaign.contacts[idx], outcome);
+                // Nada foi enviado: segue para o próximo contato sem aguardar o intervalo
+                campaign.suppressed = (campaign.suppressed || 0) + 1;
+                skipDelay = true;
+            }
 
-                if (result.success) {
-                    campaign.current++;
-                    if (!campaign.successNumbers) campaign.successNumbers = [];
-                    campaign.successNumbers.push(phone);
-                } else {
-                    if (!campaign.failedNumbers) campaign.failedNumbers = [];
-                    campaign.failedNumbers.push(phone);
-                    log(`[DISPARO] ❌ Erro ao enviar para ${phone}: ${JSON.stringify(result)}`);
-                }
+            if (sender.dailyCap > 0 && sender.sentToday >= sender.dailyCap) {
+                moveSenderQueue(campaign, sender);
             }
+        } catch (e) {
+            log(`[DISPARO ERR] Falha no índice ${idx}: ${e.message}`);
+        }
 
-            // Progresso e Persistência
-            if ((i + 1) % 5 === 0 || (i + 1) === campaign.total) {
-                if (campaign.lastMsgId) {
-                    try { await bot.telegram.deleteMessage(chatId, campaign.lastMsgId); } catch (e) { }
-                }
+        if (!skipDelay) {
+            const min = parseInt(sender.minDelay) || 5;
+            const max = parseInt(sender.maxDelay) || 15;
+            sender.nextAt = Date.now() + Math.floor(Math.random() * (max - min + 1) + min) * 1000;
+        }
+        campaign.currentIndex++;
 
-                if (campaign.dbId) {
-                    await supabase.from('scheduled_campaigns').update({
-                        campaign_data: { ...campaign, currentIndex: i + 1, current: campaign.current }
-                    }).eq('id', campaign.dbId);
-                }
+        // Progresso e Persistência
+        const done = campaign.currentIndex;
+        if (done % 5 === 0 || done === campaign.total) {
+            if (campaign.lastMsgId) {
+                try { await bot.telegram.deleteMessage(chatId, campaign.lastMsgId); } catch (e) { }
+            }
 
-                const pct = Math.round(((i + 1) / campaign.total) * 100);
-                const filled = "🟩".repeat(Math.floor(pct / 10));
-                const empty = "⬜".repeat(10 - Math.floor(pct / 10));
+            await persistCampaign(campaign);
 
-                const lastMsg = `🚀 *Progresso do Disparo*\n\n${filled}${empty} ${pct}%\n\n📊 *Status:* ${i + 1} de ${campaign.total}\n✅ *Sucesso:* ${campaign.current}\n📱 *Instância:* \`${instId}\``;
-                const isLast = (i + 1) === campaign.total;
-                const buttons = isLast ? [] : [[Markup.button.callback("⏸️ Pausar", "wa_pause_mass"), Markup.button.callback("⏹️ Parar", "wa_stop_mass")]];
+            const pct = Math.round((done / campaign.total) * 100);
 
-                const sent = await bot.telegram.sendMessage(chatId, lastMsg, {
-                    parse_mode: "Markdown",
-                    ...Markup.inlineKeyboard(buttons)
-                });
-                campaign.lastMsgId = sent.message_id;
+            let lastMsg = `🚀 *Progresso do Disparo*\n\n${renderProgressBar(pct)} ${pct}%\n\n📊 *Status:* ${done} de ${campaign.total}\n✅ *Sucesso:* ${campaign.current}\n📱 *Instância:* \`${instId}\``;
+            multi = campaign.senders.length > 1;
+            if (multi) {
+                lastMsg += `\n\n📡 *Por número:*`;
+                for (const s of campaign.senders) {
+                    lastMsg += `\n${s.status === 'ACTIVE' ? "🟢" : "🔴"} ${s.name}: ✅ ${s.sent} | ❌ ${s.failed} | ⏳ ${s.queue.length}`;
+                }
             }
+            const isLast = done === campaign.total;
+            const buttons = isLast ? [] : [[Markup.button.callback("⏸️ Pausar", `wa_pause_mass_${instId}`), Markup.button.callback("⏹️ Parar", `wa_stop_mass_${instId}`)]];
 
-            // Delay
-            if (i < campaign.contacts.length - 1 && (campaign.status === 'RUNNING' || campaign.status === 'READY')) {
-                const min = parseInt(campaign.minDelay) || 5;
-                const max = parseInt(campaign.maxDelay) || 15;
-                const d = Math.floor(Math.random() * (max - min + 1) + min) * 1000;
-                await new Promise(r => setTimeout(r, d));
-            }
-        } catch (e) {
-            log(`[DISPARO ERR] Falha no índice ${i}: ${e.message}`);
+            const sent = await bot.telegram.sendMessage(chatId, lastMsg, {
+                parse_mode: "Markdown",
+                ...Markup.inlineKeyboard(buttons)
+            });
+            campaign.lastMsgId = sent.message_id;
         }
     }
 
-    if (campaign.status === 'RUNNING' && campaign.currentIndex === campaign.contacts.length - 1) {
-        const successRate = ((campaign.current / campaign.total) * 100).toFixed(1);
-
+    if (finished && campaign.status === 'RUNNING') {
         // Salvar relatório na sessão
-        const session = await getSession(chatId);
-        if (!session.reports) session.reports = {};
-        session.reports[campaign.instId] = {
-            total: campaign.total,
-            success: campaign.current,
-            failed: campaign.total - campaign.current,
-            successRate,
-            successNumbers: campaign.successNumbers || [],
-            failedNumbers: campaign.failedNumbers || [],
-            timestamp: new Date().toLocaleString('pt-BR')
-        };
-        await saveSession(chatId, session);
+        const successRate = await saveCampaignReport(chatId, campaign);
 
         // Marcar como COMPLETED no banco se for uma campanha persistente
         if (campaign.dbId) {
@@ -1769,28 +5010,42 @@ async function runCampaign(chatId, instId) {
             campaign.lastMsgId = null;
         }
 
-        const reportMsg = `✅ *Disparo Finalizado!*\n\n` +
+        let reportMsg = `✅ *Disparo Finalizado!*\n\n` +
             `📊 *Estatísticas:*\n` +
             `• Total de contatos: ${campaign.total}\n` +
             `• Enviados com sucesso: ${campaign.current}\n` +
             `• Taxa de sucesso: ${successRate}%\n` +
             `• Instância: \`${campaign.instId}\``;
+        if (multi) reportMsg += `\n• Números de envio: ${campaign.senders.length}`;
+        if (campaign.backup?.activated) reportMsg += `\n• 🛟 Reserva *${campaign.backup.name}* assumiu ${campaign.backup.activated.moved} contatos de *${campaign.backup.activated.fromName}*`;
+        if (campaign.suppressed) reportMsg += `\n• Descadastrados ignorados: ${campaign.suppressed}`;
+        const failedCount = (campaign.failedNumbers || []).length;
+        if (failedCount > 0) reportMsg += `\n• Falhas: ${failedCount} (🔁 ${campaign.retryableFailed || 0} temporárias)`;
+
+        const nextStepAt = await scheduleNextSequenceStep(campaign);
+        if (nextStepAt) {
+            reportMsg += `\n\n🔁 *Próxima etapa (${seq.step + 1}/${seq.steps.length + 1}):* ${nextStepAt.toLocaleString('pt-BR')}`;
+        }
 
         await bot.telegram.sendMessage(chatId, reportMsg, {
             parse_mode: "Markdown",
             ...Markup.inlineKeyboard([
                 [Markup.button.callback("📊 Ver Relatório Completo", `wa_report_${campaign.instId}`)],
+                ...(campaign.retryableFailed && campaign.dbId ? [[Markup.button.callback("🔁 Reenviar para Falhas", `wa_rep_retry_${campaign.dbId}`)]] : []),
                 [Markup.button.callback("🔙 Voltar ao Menu", `manage_${campaign.instId}`)]
             ])
         });
-        activeCampaigns.delete(chatId);
+        releaseCampaign(campaign);
     }
 }
 
-bot.action("wa_pause_mass", async (ctx) => {
+bot.action(/^wa_pause_mass_(.+)$/, async (ctx) => {
     safeAnswer(ctx);
-    if (activeCampaigns.has(ctx.chat.id)) {
-        const camp = activeCampaigns.get(ctx.chat.id);
+    const instId = ctx.match[1];
+    const { inst } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    if (activeCampaigns.has(instId)) {
+        const camp = activeCampaigns.get(instId);
         camp.status = 'PAUSED';
 
         // Atualizar status no banco
@@ -1802,74 +5057,275 @@ bot.action("wa_pause_mass", async (ctx) => {
     }
 });
 
-bot.action("wa_resume_mass", async (ctx) => {
+bot.action(/^wa_resume_mass_(.+)$/, async (ctx) => {
     safeAnswer(ctx);
-    const camp = activeCampaigns.get(ctx.chat.id);
+    const instId = ctx.match[1];
+    const { inst } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    const camp = activeCampaigns.get(instId);
     if (camp && camp.status === 'PAUSED') {
+        if (camp.dbId) {
+            await supabase.from('scheduled_campaigns').update({ status: 'RUNNING' }).eq('id', camp.dbId);
+        }
         ctx.reply("▶️ Retomando disparo...");
-        runCampaign(ctx.chat.id, camp.instId);
+        runCampaign(ctx.chat.id, instId);
     }
 });
 
-bot.action("wa_stop_mass", async (ctx) => {
+bot.action(/^wa_stop_mass_(.+)$/, async (ctx) => {
     safeAnswer(ctx);
-    if (activeCampaigns.has(ctx.chat.id)) {
-        activeCampaigns.get(ctx.chat.id).status = 'CANCELLED';
-        activeCampaigns.delete(ctx.chat.id);
+    const instId = ctx.match[1];
+    const { inst } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    if (activeCampaigns.has(instId)) {
+        const camp = activeCampaigns.get(instId);
+        camp.status = 'CANCELLED';
+        releaseCampaign(camp);
+        // V1.346: Evita que o worker retome uma campanha cancelada após reinício
+        if (camp.dbId) {
+            await supabase.from('scheduled_campaigns').update({ status: 'CANCELLED' }).eq('id', camp.dbId);
+        }
         ctx.reply("🛑 Disparo cancelado definitivamente.");
+    } else {
+        ctx.reply("❌ Não há nenhum disparo ativo nesta instância.");
     }
 });
 
 // Handlers para Agendamento / Envio Agora
-bot.action(/^(wa_mass_now_|wa_mass_confirm_start_)(.+)$/, async (ctx) => {
-    safeAnswer(ctx);
-    const instId = ctx.match[2];
-    const { inst, session } = await checkOwnership(ctx, instId);
-    if (!inst) return;
-
-    if (!session.mass_contacts || session.mass_contacts.length === 0) {
-        return ctx.reply("❌ Nenhum contato encontrado para o disparo. Por favor, envie o arquivo novamente.");
-    }
-    if (!session.mass_msgs || session.mass_msgs.length === 0) {
-        return ctx.reply("❌ Nenhuma mensagem configurada para o disparo.");
-    }
-
-    const camp = {
+// V1.360: Campanha nova com contadores zerados (assistente do bot, reenvio de falhas e API)
+function newCampaign(chatId, instId, config) {
+    return {
+        ...config,
         instId,
+        chatId,
+        message: config.messages[0],
+        currentIndex: 0,
+        current: 0,
+        total: config.contacts.length,
+        status: 'READY',
+        lastMsgId: null,
+        successNumbers: [],
+        failedNumbers: []
+    };
+}
+
+function buildCampaignFromSession(session, chatId, instId) {
+    return newCampaign(chatId, instId, {
         contacts: session.mass_contacts,
-        message: session.mass_msgs[0],
         messages: session.mass_msgs,
         mediaType: session.mass_media_type,
         mediaUrl: session.mass_media_url,
+        mediaId: session.mass_media_id || null,
         mediaData: session.mass_media_data,
         fileName: session.mass_file_name,
+        payload: session.mass_payload || null,
+        trackLinks: session.mass_track_links !== false,
         minDelay: session.temp_mass_min,
         maxDelay: session.temp_mass_max,
-        currentIndex: 0,
-        current: 0,
-        total: session.mass_contacts.length,
-        status: 'READY',
-        lastMsgId: null,
-        successNumbers: [],
-        failedNumbers: []
-    };
+        senders: buildCampaignSenders(session, instId),
+        backup: buildCampaignBackup(session, instId),
+        window: session.mass_window || null,
+        ab: buildCampaignAb(session),
+        sequence: buildCampaignSequence(session)
+    });
+}
+
+// Grava a campanha em scheduled_campaigns. Sem data começa agora (RUNNING, reservando os números de envio);
+// com data fica PENDING até o worker. Retorna { id }, { busy } ou { error }
+async function launchCampaign(chatId, camp, scheduledFor = null) {
+    if (!scheduledFor) {
+        const busy = findBusySender(camp);
+        if (busy) return { busy };
+    }
 
-    // Criar registro na tabela de campanhas agendadas com agendamento imediato (status PENDING/RUNNING)
     const { data, error } = await supabase.from('scheduled_campaigns').insert({
-        chat_id: String(ctx.chat.id),
-        inst_id: instId,
-        scheduled_for: new Date().toISOString(),
+        chat_id: String(chatId),
+        inst_id: camp.instId,
+        scheduled_for: (scheduledFor || new Date()).toISOString(),
         campaign_data: camp,
-        status: 'RUNNING'
+        status: scheduledFor ? 'PENDING' : 'RUNNING'
     }).select().single();
 
     if (error) {
         log(`[PERSIST ERR] ${error.message}`);
-        return ctx.reply("❌ Erro ao iniciar persistência da campanha. O disparo continuará apenas em memória.");
+        return { error: error.message };
+    }
+
+    if (!scheduledFor) {
+        camp.dbId = data.id;
+        claimCampaign(camp);
+    }
+    return { id: data.id };
+}
+
+// Inicia pelo bot; avisa o usuário e retorna false se não der
+async function startCampaignNow(ctx, camp) {
+    const result = await launchCampaign(ctx.chat.id, camp);
+    if (result.busy) {
+        ctx.reply(`⚠️ A instância \`${result.busy}\` já tem um disparo em andamento. Escolha outros números ou aguarde a conclusão.`, {
+            parse_mode: "Markdown",
+            ...Markup.inlineKeyboard([[Markup.button.callback("📊 Ver Andamento", "wa_mass_overview")]])
+        });
+        return false;
+    }
+    if (result.error) {
+        ctx.reply("❌ Erro ao iniciar persistência da campanha. O disparo continuará apenas em memória.");
+        return false;
+    }
+    return true;
+}
+
+function findActiveCampaign(dbId) {
+    for (const camp of new Set(activeCampaigns.values())) {
+        if (String(camp.dbId) === String(dbId)) return camp;
     }
+    return null;
+}
+
+async function pauseCampaign(dbId) {
+    const camp = findActiveCampaign(dbId);
+    if (camp) camp.status = 'PAUSED';
+    await supabase.from('scheduled_campaigns').update({ status: 'PAUSED' }).eq('id', dbId);
+}
+
+async function cancelCampaign(dbId) {
+    const camp = findActiveCampaign(dbId);
+    if (camp) {
+        camp.status = 'CANCELLED';
+        releaseCampaign(camp);
+    }
+    await supabase.from('scheduled_campaigns').update({ status: 'CANCELLED' }).eq('id', dbId);
+}
+
+// Retoma uma campanha pausada: a que ainda está em memória ou, após reinício, a partir do registro do banco.
+// Retorna { camp }, { busy } com a instância ocupada por outro disparo ou { scheduled } quando o horário ainda não chegou
+async function resumeCampaign(chatId, row) {
+    let camp = findActiveCampaign(row.id);
+    if (!camp && row.scheduled_for && new Date(row.scheduled_for) > new Date()) {
+        // Pausada antes do horário: volta para a fila do checkScheduledCampaigns
+        await supabase.from('scheduled_campaigns').update({ status: 'PENDING' }).eq('id', row.id);
+        return { scheduled: new Date(row.scheduled_for) };
+    }
+    if (!camp) {
+        camp = {
+            ...row.campaign_data,
+            dbId: row.id,
+            instId: row.inst_id,
+            chatId: Number(chatId),
+            total: row.campaign_data.contacts.length,
+            currentIndex: row.campaign_data.currentIndex || 0,
+            current: row.campaign_data.current || 0,
+            status: 'RUNNING'
+        };
+        const busy = findBusySender(camp);
+        if (busy) return { busy };
+        claimCampaign(camp);
+    }
+
+    await supabase.from('scheduled_campaigns').update({ status: 'RUNNING' }).eq('id', row.id);
+    runCampaign(Number(chatId), row.inst_id);
+    return { camp };
+}
+
+// V1.366: Queda de conexão - a campanha fica WAITING_CONNECTION no contato atual e volta sozinha no Connected/LoggedIn
+async function holdCampaignForConnection(chatId, campaign) {
+    await persistCampaign(campaign, { status: 'WAITING_CONNECTION' });
+    await saveCampaignReport(chatId, campaign);
+    releaseCampaign(campaign);
+    if (campaign.lastMsgId) {
+        try { await bot.telegram.deleteMessage(chatId, campaign.lastMsgId); } catch (e) { }
+    }
+    await bot.telegram.sendMessage(chatId, `📴 *Disparo aguardando conexão*\n\nO WhatsApp de \`${campaign.instId}\` desconectou.\nParado no contato ${campaign.currentIndex + 1} de ${campaign.total} (✅ ${campaign.current} enviados).\n\nO envio continua automaticamente assim que a instância reconectar.`, {
+        parse_mode: "Markdown",
+        ...(campaign.dbId ? Markup.inlineKeyboard([[Markup.button.callback("🗑️ Cancelar Disparo", `wa_mass_cancel_db_${campaign.dbId}`)]]) : {})
+    });
+}
+
+// Chamado pelo webhook Disconnected (V1.367: também LoggedOut/TemporaryBan, com reason para o aviso da reserva)
+async function pauseCampaignsForDisconnect(chatId, instId, reason = 'DISCONNECTED') {
+    for (const camp of new Set(activeCampaigns.values())) {
+        if (camp.status !== 'RUNNING' || !getCampaignSenderIds(camp).includes(instId)) continue;
+        const sender = (camp.senders || []).find(s => s.instId === instId);
+        if (sender && sender.status === 'ACTIVE' && await activateBackupSender(camp, sender, reason) > 0) continue;
+        if (sender && camp.senders.some(s => s !== sender && s.status === 'ACTIVE')) {
+            // Ainda há números conectados: só repassa a fila deste
+            sender.status = 'OFFLINE';
+            const moved = moveSenderQueue(camp, sender);
+            if (moved > 0) await bot.telegram.sendMessage(chatId, `⚠️ O número *${sender.name}* desconectou. ${moved} contatos foram repassados aos demais números.`, { parse_mode: "Markdown" });
+            continue;
+        }
+        // O loop do runCampaign encerra no próximo ciclo e avisa o usuário
+        camp.status = 'WAITING_CONNECTION';
+    }
+
+    const { data: pending } = await supabase.from('scheduled_campaigns')
+        .select('id, inst_id, campaign_data')
+        .eq('chat_id', String(chatId))
+        .eq('status', 'PENDING');
+    const held = [];
+    for (const row of pending || []) {
+        const ids = getCampaignSenderIds({ ...row.campaign_data, instId: row.inst_id });
+        if (!ids.includes(instId)) continue;
+        let otherOnline = false;
+        // V1.367: Com a reserva conectada o disparo sai no horário e ela assume a fila
+        const backupId = row.campaign_data.backup?.instId;
+        for (const id of [...ids, backupId].filter(id => id && id !== instId)) {
+            if (await isInstanceOnline(id)) { otherOnline = true; break; }
+        }
+        if (!otherOnline) held.push(row.id);
+    }
+    if (held.length > 0) {
+        await supabase.from('scheduled_campaigns').update({ status: 'WAITING_CONNECTION' }).in('id', held);
+        await bot.telegram.sendMessage(chatId, `📴 ${held.length} disparo(s) agendado(s) em \`${instId}\` aguardam a reconexão da instância.`, { parse_mode: "Markdown" });
+    }
+}
+
+// Chamado pelo webhook Connected/LoggedIn: retoma o que já devia estar rodando e devolve o resto para a fila do agendador
+async function resumeCampaignsAfterReconnect(chatId, instId) {
+    // Reconectou antes de o loop acordar do intervalo: a campanha ainda está em memória, basta seguir
+    for (const camp of new Set(activeCampaigns.values())) {
+        if (camp.status !== 'WAITING_CONNECTION') continue;
+        if (![...getCampaignSenderIds(camp), camp.backup?.instId].includes(instId)) continue;
+        camp.status = 'RUNNING';
+        log(`[DISPARO] ${camp.dbId || camp.instId}: ${instId} reconectou antes da pausa; envio segue.`);
+    }
+
+    const { data: waiting } = await supabase.from('scheduled_campaigns')
+        .select('*')
+        .eq('chat_id', String(chatId))
+        .eq('status', 'WAITING_CONNECTION');
+    for (const row of waiting || []) {
+        const ids = [...getCampaignSenderIds({ ...row.campaign_data, instId: row.inst_id }), row.campaign_data.backup?.instId];
+        if (!ids.includes(instId)) continue;
+        if (new Date(row.scheduled_for) > new Date()) {
+            await supabase.from('scheduled_campaigns').update({ status: 'PENDING' }).eq('id', row.id);
+            continue;
+        }
+        const { busy, camp } = await resumeCampaign(chatId, row);
+        if (busy) {
+            // Outra campanha ocupa a instância: o agendador retoma quando ela liberar
+            await supabase.from('scheduled_campaigns').update({ status: 'PENDING' }).eq('id', row.id);
+            continue;
+        }
+        await bot.telegram.sendMessage(chatId, `🔌 *Instância reconectada!*\n\nRetomando o disparo em \`${row.inst_id}\` a partir do contato ${(camp.currentIndex || 0) + 1} de ${camp.total}.`, { parse_mode: "Markdown" });
+    }
+}
+
+bot.action(/^wa_mass_confirm_start_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+
+    if (!session.mass_contacts || session.mass_contacts.length === 0) {
+        return ctx.reply("❌ Nenhum contato encontrado para o disparo. Por favor, envie o arquivo novamente.");
+    }
+    if (!session.mass_msgs || session.mass_msgs.length === 0) {
+        return ctx.reply("❌ Nenhuma mensagem configurada para o disparo.");
+    }
+    const camp = buildCampaignFromSession(session, ctx.chat.id, instId);
 
-    camp.dbId = data.id;
-    activeCampaigns.set(ctx.chat.id, camp);
+    if (!await startCampaignNow(ctx, camp)) return;
 
     session.stage = "READY";
     await syncSession(ctx, session);
@@ -1887,7 +5343,7 @@ bot.action(/^wa_mass_sched_(.+)$/, async (ctx) => {
     session.stage = `WA_WAITING_MASS_SCHEDULE_${instId}`;
     await syncSession(ctx, session);
 
-    ctx.editMessageText("📅 *Agendamento de Disparo*\n\nPor favor, envie a **data e hora** desejada no formato: `DD/MM/AAAA HH:MM`.\n\nExemplo: `15/02/2026 14:30`", { parse_mode: "Markdown" });
+    ctx.editMessageText("📅 *Agendamento de Disparo*\n\nPor favor, envie a **data e hora** desejada no formato: `DD/MM/AAAA HH:MM`.\n\nExemplo: `15/02/2026 14:30`\n\n🔁 *Ou uma recorrência:*\n`todo dia 08:30`\n`dias úteis 08:00`\n`toda segunda 09:00`\n`todo mês dia 10 09:00`\n`primeiro dia útil 09:00`", { parse_mode: "Markdown" });
 });
 
 bot.action(/^wa_set_ai_prompt_(.+)$/, async (ctx) => {
@@ -2065,33 +5521,285 @@ bot.action(/^wa_fu_set_msgs_(.+)$/, async (ctx) => {
 
 
 // Handler para relatório detalhado
-bot.action(/^wa_report_(.+)$/, async (ctx) => {
-    safeAnswer(ctx);
-    const instId = ctx.match[1];
-    const { inst, session } = await checkOwnership(ctx, instId);
-    if (!inst) return;
-    const report = session.reports ? session.reports[instId] : null;
-
+// V1.354: Tela de relatório (último disparo da instância ou item do histórico)
+async function renderCampaignReport(ctx, instId, report, fromHistory = false) {
     let reportMsg = `📊 *Relatório Completo de Disparo*\n\n` +
         `🔹 *Instância:* \`${instId}\`\n`;
+    let clicked = 0;
 
     if (report) {
         reportMsg += `🔹 *Data:* ${report.timestamp}\n` +
-            `🔹 *Status:* Finalizado\n` +
-            `✅ *Sucessos (${report.success}):*\n${report.successNumbers.length > 0 ? report.successNumbers.join(", ") : "Nenhum"}\n\n` +
-            `❌ *Falhas (${report.failed}):*\n${report.failedNumbers.length > 0 ? report.failedNumbers.join(", ") : "Nenhuma"}\n\n`;
+            `🔹 *Status:* ${report.state === 'AB_WAITING' ? "Teste A/B em andamento" : report.remaining > 0 ? "Pausado" : "Finalizado"}\n` +
+            `👥 *Contatos:* ${report.total}\n` +
+            `✅ *Sucessos:* ${report.success}\n` +
+            `❌ *Falhas:* ${report.failed}\n`;
+        if (report.failed > 0) {
+            const retryable = report.failedRetryable || 0;
+            reportMsg += `   🔁 Temporárias: ${retryable} | ⛔ Permanentes: ${report.failed - retryable}\n`;
+        }
+        reportMsg += `\n`;
+
+        if (report.suppressed) {
+            reportMsg += `🚫 *Descadastrados ignorados:* ${report.suppressed}\n\n`;
+        }
+
+        // V1.347: Detalhamento por número de envio
+        const bySender = Object.values(report.bySender || {});
+        if (bySender.length > 0) {
+            reportMsg += `📡 *Por número de envio:*\n`;
+            for (const s of bySender) {
+                reportMsg += `• ${s.backup ? "🛟 " : ""}${s.name}: ✅ ${s.sent} | ❌ ${s.failed} | ⏳ ${s.remaining} restantes\n`;
+            }
+            reportMsg += `\n`;
+        }
+
+        // V1.367: Troca para o número reserva (a coluna Instância do arquivo mostra por qual número cada contato saiu)
+        if (report.failover) {
+            const f = report.failover;
+            reportMsg += `🛟 *Reserva ativada:* ${f.toName} assumiu ${f.moved} contatos de ${f.fromName} (${FAILOVER_REASON_LABELS[f.reason] || f.reason}) em ${new Date(f.at).toLocaleString('pt-BR')}\n\n`;
+        }
+
+        // V1.350: Funil de entrega/leitura/resposta
+        if (report.campaignId) {
+            const funnel = await getCampaignFunnel(report.campaignId);
+            const pct = (n) => funnel.sent ? `${((n / funnel.sent) * 100).toFixed(1)}%` : "0%";
+            const clean = (str) => String(str || "").replace(/[*_`\[\]]/g, "");
+            reportMsg += `📈 *Funil:*\n` +
+                `📤 Enviadas: ${funnel.sent}\n` +
+                `📬 Entregues: ${funnel.delivered} (${pct(funnel.delivered)})\n` +
+                `👀 Lidas: ${funnel.read} (${pct(funnel.read)})\n` +
+                `💬 Respondidas: ${funnel.replied} (${pct(funnel.replied)})\n` +
+                `🔗 Clicaram: ${funnel.clicked} (${pct(funnel.clicked)}) — ${funnel.clicks} cliques\n\n`;
+            clicked = funnel.clicked;
+            // V1.352: Comparativo entre variações
+            if (report.variants > 1) {
+                try {
+                    const stats = await getVariantStats(report.campaignId, report.variants);
+                    reportMsg += `🧪 *Variações:*\n${formatVariantStats(stats, report.winnerVariant)}\n\n`;
+                } catch (e) {
+                    log(`[AB ERR] ${e.message}`);
+                }
+            }
+            // V1.364: Resultado da enquete / lista
+            try {
+                const answers = await getInteractionStats(report.campaignId);
+                if (answers.length > 0) {
+                    reportMsg += `🗳️ *Respostas da enquete/lista:*\n` + answers.map(([option, n]) => `• ${clean(option)}: ${n}`).join("\n") + `\n\n`;
+                }
+            } catch (e) {
+                log(`[TRACK ERR] Interações: ${e.message}`);
+            }
+            if (funnel.repliers.length > 0) {
+                reportMsg += `💬 *Quem respondeu:*\n` + funnel.repliers.map(r =>
+                    `• ${clean(r.name ? `${r.name} (${r.phone})` : r.phone)}${r.reply_text ? `: _${clean(r.reply_text).substring(0, 60)}_` : ""}`
+                ).join("\n") + `\n\n`;
+            }
+            if (funnel.clickers.length > 0) {
+                reportMsg += `🔗 *Quem clicou:*\n` + funnel.clickers.slice(0, 10).map(c =>
+                    `• ${clean(c.name ? `${c.name} (${c.phone})` : c.phone)} — ${c.clicks}x`
+                ).join("\n") + (funnel.clickers.length > 10 ? `\n...` : "") + `\n\n`;
+            }
+            reportMsg += `📥 A lista completa por destinatário está no arquivo para download.\n`;
+        }
     } else {
         reportMsg += `❌ Relatório não encontrado ou expirado.`;
     }
 
     reportMsg += `\n💡 *Dica:* Para iniciar um novo disparo, volte ao menu da instância e selecione "🚀 Disparo em Massa".`;
 
-    await safeEdit(ctx, reportMsg, {
-        parse_mode: "Markdown",
-        ...Markup.inlineKeyboard([
-            [Markup.button.callback("🔙 Voltar ao Menu", `manage_${instId}`)]
-        ])
-    });
+    const buttons = [];
+    if (report && report.campaignId) {
+        buttons.push([
+            Markup.button.callback("📥 Baixar CSV", `wa_rep_dl_csv_${report.campaignId}`),
+            Markup.button.callback("📥 Baixar XLSX", `wa_rep_dl_xlsx_${report.campaignId}`)
+        ]);
+        buttons.push([Markup.button.callback("🌐 Link para o Painel", `wa_rep_link_${report.campaignId}`)]);
+        // V1.355: Nova campanha só com as falhas temporárias (campanha já encerrada)
+        if (report.failedRetryable > 0 && !report.state && report.remaining === 0) {
+            buttons.push([Markup.button.callback(`🔁 Reenviar para Falhas (${report.failedRetryable})`, `wa_rep_retry_${report.campaignId}`)]);
+        }
+        // V1.365: Quem clicou vira público de um novo disparo
+        if (clicked > 0) {
+            buttons.push([Markup.button.callback(`🎯 Novo Disparo para Quem Clicou (${clicked})`, `wa_rep_clk_${report.campaignId}`)]);
+        }
+    }
+    buttons.push([
+        Markup.button.callback("🔄 Atualizar", fromHistory ? `wa_rep_view_${report.campaignId}` : `wa_report_${instId}`),
+        Markup.button.callback("🗂️ Histórico", `wa_report_hist_${instId}`)
+    ]);
+    buttons.push([Markup.button.callback("🔙 Voltar ao Menu", `manage_${instId}`)]);
+
+    await safeEdit(ctx, reportMsg, {
+        parse_mode: "Markdown",
+        ...Markup.inlineKeyboard(buttons)
+    });
+}
+
+// Item do histórico pelo id da campanha, conferindo se a instância pertence ao usuário
+async function getOwnedHistoryReport(ctx, campaignId) {
+    const session = await getSession(ctx.chat.id);
+    const report = (session.reportHistory || []).find(r => String(r.campaignId) === campaignId);
+    if (!report) {
+        ctx.reply("❌ Relatório não encontrado no histórico.");
+        return {};
+    }
+    const { inst } = await checkOwnership(ctx, report.instId);
+    return inst ? { report, session } : {};
+}
+
+bot.action(/^wa_report_hist_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+
+    const entries = (session.reportHistory || []).filter(r => r.instId === instId && r.campaignId);
+    const buttons = entries.slice(0, 15).map(r =>
+        [Markup.button.callback(`📊 ${r.timestamp} — ✅ ${r.success}/${r.total}`, `wa_rep_view_${r.campaignId}`)]
+    );
+    buttons.push([Markup.button.callback("🔙 Voltar", `wa_report_${instId}`)]);
+    await safeEdit(ctx, entries.length > 0
+        ? `🗂️ <b>Histórico de Relatórios</b>\n\nÚltimos ${Math.min(entries.length, 15)} disparos desta instância:`
+        : "🗂️ Nenhum relatório no histórico desta instância.", Markup.inlineKeyboard(buttons));
+});
+
+bot.action(/^wa_rep_view_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const { report } = await getOwnedHistoryReport(ctx, ctx.match[1]);
+    if (!report) return;
+    await renderCampaignReport(ctx, report.instId, report, true);
+});
+
+bot.action(/^wa_rep_dl_(csv|xlsx)_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const format = ctx.match[1];
+    const { report } = await getOwnedHistoryReport(ctx, ctx.match[2]);
+    if (!report) return;
+    try {
+        const file = await buildCampaignReportFile(report.campaignId, format);
+        await ctx.replyWithDocument({ source: file.buffer, filename: file.filename }, { caption: `📥 Relatório de ${report.timestamp} — ${file.count} destinatários.` });
+    } catch (e) {
+        log(`[REPORT EXPORT ERR] ${e.message}`);
+        ctx.reply("❌ Erro ao gerar o arquivo do relatório.");
+    }
+});
+
+bot.action(/^wa_rep_link_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const { report, session } = await getOwnedHistoryReport(ctx, ctx.match[1]);
+    if (!report) return;
+    const key = ensureApiKey(session, ctx.chat.id);
+    await syncSession(ctx, session);
+    const expires = Date.now() + REPORT_LINK_TTL;
+    const sig = signReportLink(key, report.campaignId, expires);
+    const url = `${getPublicBaseUrl()}/api/campaigns/${report.campaignId}/report?format=xlsx&expires=${expires}&sig=${sig}`;
+    ctx.reply(`🌐 <b>Download pelo painel</b>\n\n<code>${escapeHtml(url)}</code>\n\nUse <code>format=csv</code> para CSV. ⏳ O link vale por 24 horas; não compartilhe.`, { parse_mode: "HTML" });
+});
+
+// V1.355: Reenvio apenas para os números que falharam por motivo temporário, com a mesma configuração da campanha
+bot.action(/^wa_rep_retry_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const { report } = await getOwnedHistoryReport(ctx, ctx.match[1]);
+    if (!report) return;
+
+    const { data: row } = await supabase.from('scheduled_campaigns')
+        .select('status, campaign_data')
+        .eq('id', report.campaignId)
+        .eq('chat_id', String(ctx.chat.id))
+        .maybeSingle();
+    if (!row || !row.campaign_data) return ctx.reply("❌ Campanha original não encontrada.");
+    if (!['COMPLETED', 'CANCELLED'].includes(row.status)) {
+        return ctx.reply("⚠️ Essa campanha ainda não terminou. Aguarde a conclusão para reenviar às falhas.");
+    }
+
+    let failures = [];
+    try {
+        failures = await selectAllRows(() => supabase.from('campaign_recipients')
+            .select('phone')
+            .eq('campaign_id', report.campaignId)
+            .eq('status', 'FAILED')
+            .eq('failure_type', 'TRANSIENT'));
+    } catch (e) {
+        log(`[RETRY ERR] ${e.message}`);
+        return ctx.reply("❌ Erro ao buscar as falhas da campanha.");
+    }
+
+    // Reaproveita o contato original (nome e variáveis da planilha) de cada número
+    const original = row.campaign_data;
+    const keyOf = (phone) => phone.includes("@g.us") ? phone : phoneKey(phone);
+    const byPhone = new Map((original.contacts || []).map(c => {
+        const phone = typeof c === 'string' ? c : c.phone;
+        return [keyOf(phone), c];
+    }));
+    const seen = new Set();
+    const contacts = [];
+    for (const f of failures) {
+        if (seen.has(f.phone)) continue;
+        seen.add(f.phone);
+        contacts.push(byPhone.get(f.phone) || { phone: f.phone });
+    }
+    if (contacts.length === 0) return ctx.reply("✅ Nenhuma falha temporária para reenviar.");
+
+    const camp = newCampaign(ctx.chat.id, report.instId, {
+        contacts,
+        messages: original.messages || [original.message],
+        mediaType: original.mediaType,
+        mediaUrl: original.mediaUrl,
+        mediaId: original.mediaId || null,
+        mediaData: original.mediaData,
+        fileName: original.fileName,
+        payload: original.payload || null,
+        trackLinks: original.trackLinks,
+        minDelay: original.minDelay,
+        maxDelay: original.maxDelay,
+        senders: (original.senders || []).filter(s => !s.backup).map(({ instId, name, minDelay, maxDelay, dailyCap }) => ({ instId, name, minDelay, maxDelay, dailyCap })),
+        backup: original.backup ? { instId: original.backup.instId, name: original.backup.name } : null,
+        window: original.window || null,
+        ab: null,
+        sequence: null,
+        winnerVariant: original.winnerVariant,
+        retryOf: report.campaignId
+    });
+
+    if (!await startCampaignNow(ctx, camp)) return;
+    await ctx.reply(`🔁 Reenviando para ${contacts.length} números que falharam por motivo temporário...`);
+    runCampaign(ctx.chat.id, camp.instId);
+});
+
+// V1.365: Novo disparo com quem clicou nos links da campanha
+bot.action(/^wa_rep_clk_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const { report, session } = await getOwnedHistoryReport(ctx, ctx.match[1]);
+    if (!report) return;
+
+    const { data: row } = await supabase.from('scheduled_campaigns')
+        .select('campaign_data')
+        .eq('id', report.campaignId)
+        .eq('chat_id', String(ctx.chat.id))
+        .maybeSingle();
+    const { clickers } = await getCampaignClicks(report.campaignId);
+    if (clickers.length === 0) return ctx.reply("❌ Ninguém clicou nos links desta campanha ainda.");
+
+    // Mantém nome e variáveis do contato original
+    const byPhone = new Map((row?.campaign_data?.contacts || []).filter(c => typeof c !== 'string').map(c => [
+        c.phone.includes("@g.us") ? c.phone : phoneKey(c.phone), c
+    ]));
+    session.mass_contacts = clickers.map(c => byPhone.get(c.phone) || { name: c.name, phone: c.phone });
+    session.stage = `WA_WAITING_MASS_MSG_${report.instId}`;
+    await syncSession(ctx, session);
+
+    await safeEdit(ctx, `🎯 <b>${clickers.length} contatos que clicaram importados!</b>\n\n` +
+        `Agora, envie o <b>conteúdo</b> que deseja disparar (Texto, Foto, Vídeo, etc).`,
+        Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_rep_view_${report.campaignId}`)]]));
+});
+
+bot.action(/^wa_report_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const instId = ctx.match[1];
+    const { inst, session } = await checkOwnership(ctx, instId);
+    if (!inst) return;
+    const report = session.reports ? session.reports[instId] : null;
+    await renderCampaignReport(ctx, instId, report);
 });
 
 // Handlers Individuais
@@ -2390,15 +6098,371 @@ bot.action(/^wa_toggle_presence_(.+)$/, async (ctx) => {
     }
 });
 
+// V1.368: Base de conhecimento com busca (RAG). Os documentos são divididos em trechos com embedding
+// e só os trechos mais parecidos com a pergunta entram no contexto da IA.
+// V1.369: Vários documentos por instância (PDF, DOCX, TXT, CSV/XLSX e notas), cada um ativável, substituível e removível
+// Tabela ai_knowledge_documents (id, instance_id, name, kind, enabled, content, created_at, updated_at)
+// Tabela ai_knowledge_chunks (id, instance_id, document_id, chunk_index, content, embedding jsonb ou vector, source_hash, created_at)
+// Tabela ai_knowledge_usage (id, instance_id, lead_jid, question, chunk_ids jsonb, scores jsonb, answer, created_at)
+const KNOWLEDGE_EMBEDDING_MODEL = process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small";
+const KNOWLEDGE_MAX_CHARS = 500000;
+const KNOWLEDGE_CHUNK_SIZE = 1200;
+const KNOWLEDGE_CHUNK_OVERLAP = 200;
+const KNOWLEDGE_EMBED_BATCH = 100;
+const KNOWLEDGE_TOP_K = 4;
+const KNOWLEDGE_MIN_SCORE = 0.2;
+const KNOWLEDGE_FALLBACK_CHARS = 15000; // Sem embeddings (erro na OpenAI) volta ao texto truncado
+const KNOWLEDGE_CACHE_TTL = 30 * 1000; // Edições feitas pelo painel web entram em até 30s
+const KNOWLEDGE_RETRY_DELAY = 5 * 60 * 1000; // Documento que falhou ao indexar não gera embeddings a cada pergunta
+
+const KNOWLEDGE_KINDS = {
+    PDF: { icon: "📕", label: "PDF" },
+    DOCX: { icon: "📘", label: "Word" },
+    TXT: { icon: "📄", label: "Texto" },
+    CSV: { icon: "📊", label: "CSV" },
+    XLSX: { icon: "📊", label: "Planilha" },
+    NOTE: { icon: "📝", label: "Nota" }
+};
+
+const knowledgeIndexCache = new Map(); // instId -> { loadedAt, docs: Map(docId -> { updatedAt, chunks }), chunks: [{ id, documentId, docName, index, content, embedding }] }
+const knowledgeIndexing = new Map(); // instId -> Promise (evita indexar o mesmo texto em paralelo)
+const knowledgeIndexFailures = new Map(); // docId -> { hash, at } da última indexação que falhou
+
+function hashKnowledge(text) {
+    return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+// Parágrafos/frases agrupados até KNOWLEDGE_CHUNK_SIZE, repetindo o fim do trecho anterior no início do próximo
+function splitKnowledgeText(text) {
+    const pieces = text.replace(/\r/g, "").split(/\n{2,}|(?<=[.!?;])\s+/).map(p => p.trim()).filter(Boolean);
+    const chunks = [];
+    let current = "";
+    for (let piece of pieces) {
+        while (piece.length > KNOWLEDGE_CHUNK_SIZE) {
+            if (current) { chunks.push(current); current = ""; }
+            chunks.push(piece.substring(0, KNOWLEDGE_CHUNK_SIZE));
+            piece = piece.substring(KNOWLEDGE_CHUNK_SIZE - KNOWLEDGE_CHUNK_OVERLAP);
+        }
+        if (current && current.length + piece.length + 1 > KNOWLEDGE_CHUNK_SIZE) {
+            chunks.push(current);
+            current = current.substring(Math.max(0, current.length - KNOWLEDGE_CHUNK_OVERLAP)).replace(/^\S*\s/, "");
+        }
+        current = current ? `${current} ${piece}` : piece;
+    }
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+// Tipo do documento pela extensão (ou mime) do arquivo enviado
+function detectKnowledgeKind(fileName, mime) {
+    const ext = String(fileName || "").toLowerCase().split(".").pop();
+    if (ext === "pdf" || mime === "application/pdf") return "PDF";
+    if (ext === "docx") return "DOCX";
+    if (ext === "xlsx" || ext === "xls") return "XLSX";
+    if (ext === "csv") return "CSV";
+    if (["txt", "md"].includes(ext) || String(mime || "").startsWith("text/")) return "TXT";
+    return null;
+}
+
+// Planilhas viram uma linha por registro ("Coluna: valor | Coluna: valor") para a busca achar o item certo
+function sheetToKnowledgeText(workbook) {
+    const parts = [];
+    for (const sheetName of workbook.SheetNames) {
+        const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: "", raw: false })
+            .filter(r => r.some(v => String(v).trim()));
+        if (rows.length === 0) continue;
+        const [header, ...data] = rows;
+        const lines = data.map(r => r.map((v, i) => String(v).trim() ? `${String(header[i] || `Coluna ${i + 1}`).trim()}: ${String(v).trim()}` : "").filter(Boolean).join(" | "));
+        parts.push(`${workbook.SheetNames.length > 1 ? `## ${sheetName}\n\n` : ""}${lines.join("\n\n")}`);
+    }
+    return parts.join("\n\n");
+}
+
+// DOCX é um zip: o texto fica em word/document.xml (um <w:p> por parágrafo)
+function docxToKnowledgeText(buffer) {
+    const zip = XLSX.CFB.read(buffer, { type: "buffer" });
+    const entry = XLSX.CFB.find(zip, "/word/document.xml");
+    if (!entry) throw new Error("word/document.xml ausente");
+    return Buffer.from(entry.content).toString("utf-8")
+        .replace(/<w:tab\/>/g, "\t")
+        .replace(/<w:br\/>|<\/w:tc>/g, " ")
+        .replace(/<\/w:p>/g, "\n\n")
+        .replace(/<[^>]+>/g, "")
+        .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+}
+
+async function extractKnowledgeText(buffer, kind) {
+    let text;
+    if (kind === "PDF") {
+        const parser = new PDFParse({ data: buffer });
+        text = (await parser.getText()).text;
+    } else if (kind === "DOCX") {
+        text = docxToKnowledgeText(buffer);
+    } else if (kind === "CSV" || kind === "XLSX") {
+        text = sheetToKnowledgeText(XLSX.read(buffer, { type: "buffer", codepage: 65001 }));
+    } else {
+        text = buffer.toString("utf-8");
+    }
+    return normalizeKnowledgeText(text);
+}
+
+// Mantém as quebras de parágrafo (usadas na divisão em trechos) e limpa o resto dos espaços
+function normalizeKnowledgeText(text) {
+    return String(text || "")
+        .replace(/\r/g, "")
+        .replace(/[ \t\f\v]+/g, " ")
+        .replace(/ *\n */g, "\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim()
+        .substring(0, KNOWLEDGE_MAX_CHARS);
+}
+
+async function listKnowledgeDocs(instId) {
+    const { data, error } = await supabase.from('ai_knowledge_documents')
+        .select('id, name, kind, enabled, updated_at, content')
+        .eq('instance_id', instId)
+        .order('created_at', { ascending: true });
+    if (error) throw error;
+    return (data || []).map(({ content, ...d }) => ({ ...d, chars: (content || "").length }));
+}
+
+async function getKnowledgeDoc(docId) {
+    const { data } = await supabase.from('ai_knowledge_documents').select('*').eq('id', docId).maybeSingle();
+    return data;
+}
+
+// Cria (sem docId) ou substitui o conteúdo de um documento e já indexa os trechos. Retorna { doc, chunkCount }
+async function saveKnowledgeDoc(instId, { docId = null, name, kind, content }) {
+    const now = new Date().toISOString();
+    const { data: doc, error } = docId
+        ? await supabase.from('ai_knowledge_documents').update({ kind, content, updated_at: now }).eq('id', docId).select().single()
+        : await supabase.from('ai_knowledge_documents').insert({ instance_id: instId, name, kind, content, enabled: true, created_at: now, updated_at: now }).select().single();
+    if (error) throw error;
+
+    let chunkCount = 0;
+    try {
+        chunkCount = await indexKnowledgeDoc(doc);
+    } catch (e) {
+        // O texto já está salvo: a indexação é refeita na próxima pergunta (loadKnowledgeIndex)
+        log(`[RAG ERR] ${instId}: ${e.message}`);
+    }
+    invalidateKnowledgeIndex(instId);
+    return { doc, chunkCount };
+}
+
+async function updateKnowledgeDoc(doc, fields) {
+    await supabase.from('ai_knowledge_documents').update({ ...fields, updated_at: new Date().toISOString() }).eq('id', doc.id);
+    invalidateKnowledgeIndex(doc.instance_id);
+}
+
+async function deleteKnowledgeDoc(doc) {
+    await supabase.from('ai_knowledge_chunks').delete().eq('document_id', doc.id);
+    await supabase.from('ai_knowledge_documents').delete().eq('id', doc.id);
+    knowledgeIndexFailures.delete(doc.id);
+    invalidateKnowledgeIndex(doc.instance_id);
+}
+
+// Base antiga (inst.ai_knowledge_base, um texto único) vira o primeiro documento da lista
+async function migrateLegacyKnowledge(inst) {
+    if (!inst.ai_knowledge_base) return false;
+    const { count } = await supabase.from('ai_knowledge_documents').select('id', { count: 'exact', head: true }).eq('instance_id', inst.id);
+    if (!count) await saveKnowledgeDoc(inst.id, { name: "Base de conhecimento", kind: "TXT", content: normalizeKnowledgeText(inst.ai_knowledge_base) });
+    inst.ai_knowledge_base = null;
+
+    // Grava a sessão na hora (também no webhook): senão o texto antigo voltaria a virar documento se o usuário excluir todos
+    const ownerId = inst.id.split("_")[1];
+    const session = await getSession(ownerId);
+    const stored = (session.whatsapp?.instances || []).find(i => i.id === inst.id);
+    if (stored) stored.ai_knowledge_base = null;
+    await saveSession(ownerId, session);
+    return true;
+}
+
+async function embedTexts(texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += KNOWLEDGE_EMBED_BATCH) {
+        const res = await openai.embeddings.create({ model: KNOWLEDGE_EMBEDDING_MODEL, input: texts.slice(i, i + KNOWLEDGE_EMBED_BATCH) });
+        vectors.push(...res.data.sort((a, b) => a.index - b.index).map(d => d.embedding));
+    }
+    return vectors;
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0, na = 0, nb = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        na += a[i] * a[i];
+        nb += b[i] * b[i];
+    }
+    return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+// Recria os trechos de um documento. Retorna a quantidade de trechos gravados.
+// Os embeddings são gerados antes de mexer no banco: se a OpenAI falhar, os trechos antigos continuam valendo
+async function indexKnowledgeDoc(doc) {
+    if (!doc.content) {
+        await supabase.from('ai_knowledge_chunks').delete().eq('document_id', doc.id);
+        return 0;
+    }
+
+    const hash = hashKnowledge(doc.content);
+    const contents = splitKnowledgeText(doc.content);
+    const embeddings = await embedTexts(contents);
+    const rows = contents.map((content, index) => ({
+        instance_id: doc.instance_id, document_id: doc.id, chunk_index: index, content, embedding: embeddings[index], source_hash: hash
+    }));
+
+    // Sobras de uma gravação interrompida deste mesmo texto
+    await supabase.from('ai_knowledge_chunks').delete().eq('document_id', doc.id).eq('source_hash', hash);
+    for (let i = 0; i < rows.length; i += KNOWLEDGE_EMBED_BATCH) {
+        const { error } = await supabase.from('ai_knowledge_chunks').insert(rows.slice(i, i + KNOWLEDGE_EMBED_BATCH));
+        if (error) {
+            await supabase.from('ai_knowledge_chunks').delete().eq('document_id', doc.id).eq('source_hash', hash);
+            throw error;
+        }
+    }
+    await supabase.from('ai_knowledge_chunks').delete().eq('document_id', doc.id).or(`source_hash.neq.${hash},source_hash.is.null`);
+    knowledgeIndexFailures.delete(doc.id);
+    log(`[RAG] ${doc.instance_id}: "${doc.name}" com ${rows.length} trechos indexados.`);
+    return rows.length;
+}
+
+// O pgvector devolve o embedding como texto ("[0.1,0.2,...]"); jsonb já vem como array
+function parseEmbedding(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== "string") return null;
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Trechos de um documento já no formato do índice; reindexa se o texto mudou desde a última indexação
+async function loadKnowledgeDocChunks(docId) {
+    const doc = await getKnowledgeDoc(docId);
+    if (!doc) return [];
+    const load = () => selectAllRows(() => supabase.from('ai_knowledge_chunks')
+        .select('id, chunk_index, content, embedding, source_hash')
+        .eq('document_id', docId)
+        .order('chunk_index', { ascending: true }));
+    let rows = await load();
+    const hash = doc.content ? hashKnowledge(doc.content) : null;
+    const failure = knowledgeIndexFailures.get(docId);
+    const backingOff = failure && failure.hash === hash && Date.now() - failure.at < KNOWLEDGE_RETRY_DELAY;
+    if (hash && !backingOff && (rows.length === 0 || rows.some(r => r.source_hash !== hash))) {
+        try {
+            await indexKnowledgeDoc(doc);
+            rows = await load();
+        } catch (e) {
+            // Segue com os trechos da versão anterior (se houver) e só tenta de novo após KNOWLEDGE_RETRY_DELAY
+            knowledgeIndexFailures.set(docId, { hash, at: Date.now() });
+            log(`[RAG ERR] ${doc.instance_id}: falha ao indexar "${doc.name}": ${e.message}`);
+        }
+    }
+    return rows
+        .map(r => ({ id: r.id, documentId: docId, index: r.chunk_index, content: r.content, embedding: parseEmbedding(r.embedding) }))
+        .filter(c => c.embedding);
+}
+
+// Índice em memória dos documentos ativos. A cada KNOWLEDGE_CACHE_TTL só confere o updated_at
+// e recarrega (ou reindexa) os documentos que mudaram, ex.: editados pelo painel web
+async function loadKnowledgeIndex(inst) {
+    const cached = knowledgeIndexCache.get(inst.id);
+    if (cached && Date.now() - cached.loadedAt < KNOWLEDGE_CACHE_TTL) return cached;
+
+    if (!knowledgeIndexing.has(inst.id)) {
+        knowledgeIndexing.set(inst.id, (async () => {
+            await migrateLegacyKnowledge(inst);
+            const { data: docs, error } = await supabase.from('ai_knowledge_documents')
+                .select('id, name, updated_at')
+                .eq('instance_id', inst.id)
+                .eq('enabled', true);
+            if (error) throw error;
+
+            const previous = knowledgeIndexCache.get(inst.id)?.docs || new Map();
+            const next = new Map();
+            for (const doc of docs || []) {
+                const old = previous.get(doc.id);
+                // Documento com indexação pendente (falhou antes) também é conferido de novo
+                const fresh = old && old.updatedAt === doc.updated_at && !knowledgeIndexFailures.has(doc.id);
+                const chunks = fresh ? old.chunks : await loadKnowledgeDocChunks(doc.id);
+                next.set(doc.id, { updatedAt: doc.updated_at, chunks: chunks.map(c => ({ ...c, docName: doc.name })) });
+            }
+            knowledgeIndexCache.set(inst.id, {
+                loadedAt: Date.now(),
+                docs: next,
+                chunks: [...next.values()].flatMap(d => d.chunks)
+            });
+        })().finally(() => knowledgeIndexing.delete(inst.id)));
+    }
+    await knowledgeIndexing.get(inst.id);
+    return knowledgeIndexCache.get(inst.id) || null;
+}
+
+// Força a conferência dos documentos na próxima pergunta sem descartar os embeddings já carregados
+function invalidateKnowledgeIndex(instId) {
+    const cached = knowledgeIndexCache.get(instId);
+    if (cached) cached.loadedAt = 0;
+}
+
+// Trechos mais relevantes para a pergunta: [{ id, docName, index, content, score }]
+async function retrieveKnowledge(inst, question) {
+    const index = await loadKnowledgeIndex(inst);
+    if (!index || index.chunks.length === 0) return [];
+    const [queryVector] = await embedTexts([question]);
+    return index.chunks
+        .map(c => ({ id: c.id, docName: c.docName, index: c.index, content: c.content, score: cosineSimilarity(queryVector, c.embedding) }))
+        .filter(c => c.score >= KNOWLEDGE_MIN_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, KNOWLEDGE_TOP_K);
+}
+
+// Bloco do prompt com os trechos da pergunta atual (ou os documentos ativos truncados se a busca falhar)
+async function buildKnowledgeContext(inst, question) {
+    if (!inst) return { context: "", chunks: [] };
+    if (question) {
+        try {
+            const chunks = await retrieveKnowledge(inst, question);
+            const context = chunks.length > 0
+                ? `\n# BASE DE CONHECIMENTO (TRECHOS RELEVANTES PARA A PERGUNTA - USE PARA RESPONDER)\n${chunks.map(c => `[${c.docName} - Trecho ${c.index + 1}]\n${c.content}`).join("\n\n")}\n`
+                : "";
+            return { context, chunks };
+        } catch (e) {
+            log(`[RAG ERR] ${inst.id}: ${e.message}`);
+        }
+    }
+    const { data: docs } = await supabase.from('ai_knowledge_documents')
+        .select('name, content')
+        .eq('instance_id', inst.id)
+        .eq('enabled', true);
+    // Sem documentos carregados (tabelas ausentes ou migração que falhou) ainda usa a base antiga da instância
+    const fallback = ((docs || []).map(d => `## ${d.name}\n${d.content}`).join("\n\n") || inst.ai_knowledge_base || "").substring(0, KNOWLEDGE_FALLBACK_CHARS);
+    return { context: fallback ? `\n# BASE DE CONHECIMENTO EXTRA (USE PARA RESPONDER)\n${fallback}\n` : "", chunks: [] };
+}
+
+async function recordKnowledgeUsage(instId, leadJid, question, chunks, answer) {
+    if (chunks.length === 0) return;
+    const { error } = await supabase.from('ai_knowledge_usage').insert({
+        instance_id: instId,
+        lead_jid: leadJid,
+        question: question.substring(0, 1000),
+        chunk_ids: chunks.map(c => c.id),
+        scores: chunks.map(c => Number(c.score.toFixed(3))),
+        answer: (answer || "").substring(0, 1000)
+    });
+    if (error) log(`[RAG ERR] Uso: ${error.message}`);
+}
+
+// V1.368: A base de conhecimento não entra mais aqui - handleAiSdr acrescenta só os trechos relevantes da pergunta
 function generateSystemPrompt(inst) {
     const userPrompt = inst.ai_prompt || "Você é um assistente virtual prestativo.";
     const humanTopics = inst.ai_human_topics || "Não há temas específicos; tente ajudar o cliente o máximo possível.";
-    const knowledgeBase = inst.ai_knowledge_base ? `\n# BASE DE CONHECIMENTO EXTRA (USE PARA RESPONDER)\n${inst.ai_knowledge_base}\n` : "";
 
     return `
 # OBJETIVO E PERSONA
 ${userPrompt}
-${knowledgeBase}
 
 # MODO HUMANIZADO (HIGH-CONVERSION)
 - Use gírias leves se o tom for amigável.
@@ -2442,7 +6506,7 @@ async function renderAiMenu(ctx, instId) {
         [Markup.button.callback(isEnabled ? "🔴 Desativar IA" : "🟢 Ativar IA", `wa_toggle_ai_${instId}`)],
         [Markup.button.callback("📝 Editar System Prompt", `wa_set_ai_prompt_${instId}`)],
         [Markup.button.callback("🤝 Temas para Humano", `wa_set_ai_human_${instId}`)],
-        [Markup.button.callback("📚 Base de Conhecimento (PDF)", `wa_set_ai_knowledge_${instId}`)],
+        [Markup.button.callback("📚 Base de Conhecimento", `wa_set_ai_knowledge_${instId}`)],
         [Markup.button.callback("⏱️ Tempo de Reativação", `wa_ai_resume_time_${instId}`)],
         [Markup.button.callback("🔔 Follow-ups", `wa_ai_followup_menu_${instId}`)],
         [Markup.button.callback("🔙 Voltar", `manage_${instId}`)]
@@ -2527,74 +6591,226 @@ bot.action(/^wa_ai_sync_web_(.+)$/, async (ctx) => {
     }
 });
 
+// V1.369: Base de conhecimento com vários documentos - nesta tela qualquer arquivo enviado vira um novo documento
+const KNOWLEDGE_MAX_FILE_SIZE = 20 * 1024 * 1024; // Limite de download de arquivos da API do Telegram
+
+async function renderKnowledgeMenu(ctx, instId) {
+    const docs = await listKnowledgeDocs(instId);
+
+    let text = `📚 <b>Base de Conhecimento</b>\n\n`;
+    if (docs.length === 0) text += `Nenhum documento cadastrado.\n`;
+    for (const d of docs) {
+        text += `${d.enabled ? "✅" : "⏸️"} ${KNOWLEDGE_KINDS[d.kind]?.icon || "📄"} <b>${escapeHtml(d.name)}</b> — ${d.chars} caracteres\n`;
+    }
+    text += `\n📎 Envie um arquivo <b>PDF, DOCX, TXT, CSV ou XLSX</b> para adicioná-lo (a legenda vira o nome do documento) ou crie uma nota digitada.\n\n` +
+        `<i>Dica: tabelas de preços, manuais e catálogos deixam as respostas mais precisas. A cada pergunta, a IA consulta só os trechos relacionados dos documentos ativos.</i>`;
+
+    const buttons = docs.map(d => [Markup.button.callback(`${d.enabled ? "✅" : "⏸️"} ${d.name}`, `wa_ai_kb_doc_${d.id}`)]);
+    buttons.push([Markup.button.callback("📝 Nova Nota", `wa_ai_kb_note_${instId}`), Markup.button.callback("🔎 Trechos Usados", `wa_ai_kb_usage_${instId}`)]);
+    buttons.push([Markup.button.callback("🔙 Voltar", `wa_ai_menu_${instId}`)]);
+    await safeEdit(ctx, text, Markup.inlineKeyboard(buttons));
+}
+
+async function getOwnedKnowledgeDoc(ctx, docId) {
+    const doc = await getKnowledgeDoc(docId);
+    if (!doc) {
+        ctx.reply("❌ Documento não encontrado.");
+        return {};
+    }
+    const { inst, session } = await checkOwnership(ctx, doc.instance_id);
+    return inst ? { doc, session } : {};
+}
+
+async function renderKnowledgeDoc(ctx, doc) {
+    const { count } = await supabase.from('ai_knowledge_chunks').select('id', { count: 'exact', head: true }).eq('document_id', doc.id);
+    const content = doc.content || "";
+    const text = `${KNOWLEDGE_KINDS[doc.kind]?.icon || "📄"} <b>${escapeHtml(doc.name)}</b>\n\n` +
+        `📂 Tipo: <b>${KNOWLEDGE_KINDS[doc.kind]?.label || doc.kind}</b>\n` +
+        `🔋 Status: <b>${doc.enabled ? "ativo" : "desativado"}</b>\n` +
+        `🔤 ${content.length} caracteres em ${count || 0} trechos\n` +
+        `🕒 Atualizado em ${new Date(doc.updated_at).toLocaleString('pt-BR')}\n\n` +
+        `👀 <i>${escapeHtml(content.substring(0, 300))}${content.length > 300 ? "..." : ""}</i>`;
+
+    await safeEdit(ctx, text, Markup.inlineKeyboard([
+        [Markup.button.callback(doc.enabled ? "⏸️ Desativar" : "▶️ Ativar", `wa_ai_kb_tog_${doc.id}`), Markup.button.callback("✏️ Renomear", `wa_ai_kb_ren_${doc.id}`)],
+        [Markup.button.callback("🔄 Substituir Conteúdo", `wa_ai_kb_rep_${doc.id}`), Markup.button.callback("🗑️ Excluir", `wa_ai_kb_del_${doc.id}`)],
+        [Markup.button.callback("🔙 Voltar", `wa_set_ai_knowledge_${doc.instance_id}`)]
+    ]));
+}
+
 bot.action(/^wa_set_ai_knowledge_(.+)$/, async (ctx) => {
     safeAnswer(ctx);
     const id = ctx.match[1];
     const { inst, session } = await checkOwnership(ctx, id);
     if (!inst) return;
 
+    await migrateLegacyKnowledge(inst);
     session.stage = `WA_WAITING_AI_KNOWLEDGE_${id}`;
     await syncSession(ctx, session);
+    await renderKnowledgeMenu(ctx, id);
+});
 
-    const hasKnowledge = inst.ai_knowledge_base ? "✅ Já possui uma base ativa." : "❌ Nenhuma base configurada.";
+bot.action(/^wa_ai_kb_doc_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const { doc, session } = await getOwnedKnowledgeDoc(ctx, ctx.match[1]);
+    if (!doc) return;
+    session.stage = `WA_WAITING_AI_KNOWLEDGE_${doc.instance_id}`;
+    await syncSession(ctx, session);
+    await renderKnowledgeDoc(ctx, doc);
+});
 
-    ctx.reply(`📚 *Base de Conhecimento (PDF)*\n\n${hasKnowledge}\n\nEnvie um arquivo **PDF** agora para treinar o robô com novas informações.\n\n_Dica: Envie tabelas de preços, manuais ou catálogos para respostas precisas._`, {
-        parse_mode: "Markdown",
-        ...Markup.inlineKeyboard([[Markup.button.callback("🗑️ Limpar Base Atual", `wa_clear_ai_knowledge_${id}`)]])
-    });
+bot.action(/^wa_ai_kb_tog_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const { doc } = await getOwnedKnowledgeDoc(ctx, ctx.match[1]);
+    if (!doc) return;
+    doc.enabled = !doc.enabled;
+    await updateKnowledgeDoc(doc, { enabled: doc.enabled });
+    await renderKnowledgeDoc(ctx, doc);
+});
+
+bot.action(/^wa_ai_kb_ren_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const { doc, session } = await getOwnedKnowledgeDoc(ctx, ctx.match[1]);
+    if (!doc) return;
+    session.stage = `WA_WAITING_AI_KB_RENAME_${doc.id}`;
+    await syncSession(ctx, session);
+    await safeEdit(ctx, `✏️ Envie o novo nome para <b>${escapeHtml(doc.name)}</b>.`,
+        Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_ai_kb_doc_${doc.id}`)]]));
+});
+
+bot.action(/^wa_ai_kb_rep_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const { doc, session } = await getOwnedKnowledgeDoc(ctx, ctx.match[1]);
+    if (!doc) return;
+    session.stage = `WA_WAITING_AI_KB_REPLACE_${doc.id}`;
+    await syncSession(ctx, session);
+    const how = doc.kind === "NOTE"
+        ? "Digite o novo texto da nota."
+        : "Envie o novo arquivo (PDF, DOCX, TXT, CSV ou XLSX). O nome do documento é mantido.";
+    await safeEdit(ctx, `🔄 <b>Substituir ${escapeHtml(doc.name)}</b>\n\n${how}`,
+        Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_ai_kb_doc_${doc.id}`)]]));
+});
+
+bot.action(/^wa_ai_kb_delok_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const { doc } = await getOwnedKnowledgeDoc(ctx, ctx.match[1]);
+    if (!doc) return;
+    await deleteKnowledgeDoc(doc);
+    await renderKnowledgeMenu(ctx, doc.instance_id);
+});
+
+bot.action(/^wa_ai_kb_del_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const { doc } = await getOwnedKnowledgeDoc(ctx, ctx.match[1]);
+    if (!doc) return;
+    await safeEdit(ctx, `🗑️ Excluir <b>${escapeHtml(doc.name)}</b> da base de conhecimento?`, Markup.inlineKeyboard([
+        [Markup.button.callback("✅ Sim, excluir", `wa_ai_kb_delok_${doc.id}`), Markup.button.callback("❌ Cancelar", `wa_ai_kb_doc_${doc.id}`)]
+    ]));
 });
 
-bot.action(/^wa_clear_ai_knowledge_(.+)$/, async (ctx) => {
+bot.action(/^wa_ai_kb_note_(.+)$/, async (ctx) => {
     safeAnswer(ctx);
     const id = ctx.match[1];
     const { inst, session } = await checkOwnership(ctx, id);
     if (!inst) return;
-    if (inst) {
-        inst.ai_knowledge_base = null;
-        await syncSession(ctx, session);
-        ctx.reply("🗑️ *Base de conhecimento removida!*");
-        await renderAiMenu(ctx, id);
+    session.stage = `WA_WAITING_AI_KB_NOTE_${id}`;
+    await syncSession(ctx, session);
+    await safeEdit(ctx, `📝 <b>Nova Nota</b>\n\nDigite o título na primeira linha e o conteúdo nas linhas seguintes.\n\nExemplo:\n<code>Horário de atendimento\nSegunda a sexta, das 9h às 18h. Sábados até 12h.</code>`,
+        Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_set_ai_knowledge_${id}`)]]));
+});
+
+// V1.368: Últimas respostas da IA com os trechos da base que foram usados em cada uma
+const KNOWLEDGE_USAGE_LIMIT = 5;
+
+bot.action(/^wa_ai_kb_usage_(.+)$/, async (ctx) => {
+    safeAnswer(ctx);
+    const id = ctx.match[1];
+    const { inst } = await checkOwnership(ctx, id);
+    if (!inst) return;
+
+    const { data: usage } = await supabase.from('ai_knowledge_usage')
+        .select('lead_jid, question, chunk_ids, scores, created_at')
+        .eq('instance_id', id)
+        .order('created_at', { ascending: false })
+        .limit(KNOWLEDGE_USAGE_LIMIT);
+    const chunkIds = [...new Set((usage || []).flatMap(u => u.chunk_ids || []))];
+    const { data: chunks } = chunkIds.length > 0
+        ? await supabase.from('ai_knowledge_chunks').select('id, document_id, chunk_index, content').in('id', chunkIds)
+        : { data: [] };
+    const byId = new Map((chunks || []).map(c => [c.id, c]));
+    const docNames = new Map((await listKnowledgeDocs(id)).map(d => [d.id, d.name]));
+
+    let text = `🔎 <b>Trechos Usados nas Respostas</b>\n\n`;
+    if (!usage || usage.length === 0) {
+        text += `Nenhuma resposta usou a base de conhecimento ainda.`;
     }
+    for (const u of usage || []) {
+        text += `💬 <b>${escapeHtml(u.lead_jid.split("@")[0])}</b> (${new Date(u.created_at).toLocaleString('pt-BR')})\n<i>${escapeHtml(u.question.substring(0, 120))}</i>\n`;
+        (u.chunk_ids || []).forEach((chunkId, i) => {
+            const c = byId.get(chunkId);
+            const score = Array.isArray(u.scores) ? ` — ${Math.round(u.scores[i] * 100)}%` : "";
+            text += c
+                ? `• ${escapeHtml(docNames.get(c.document_id) || "Documento")}, trecho ${c.chunk_index + 1}${score}: ${escapeHtml(c.content.substring(0, 100))}...\n`
+                : `• Trecho removido (documento atualizado)${score}\n`;
+        });
+        text += `\n`;
+    }
+
+    await safeEdit(ctx, text, Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_set_ai_knowledge_${id}`)]]));
 });
 
 bot.on('document', async (ctx, next) => {
     const session = await getSession(ctx.chat.id);
-    if (!session.stage || !session.stage.startsWith("WA_WAITING_AI_KNOWLEDGE_")) return next();
+    const stage = session.stage || "";
+    const replacing = stage.startsWith("WA_WAITING_AI_KB_REPLACE_");
+    if (!stage.startsWith("WA_WAITING_AI_KNOWLEDGE_") && !replacing) return next();
+
+    let instId;
+    let target = null;
+    if (replacing) {
+        ({ doc: target } = await getOwnedKnowledgeDoc(ctx, stage.replace("WA_WAITING_AI_KB_REPLACE_", "")));
+        if (!target) return;
+        instId = target.instance_id;
+    } else {
+        instId = stage.replace("WA_WAITING_AI_KNOWLEDGE_", "");
+        const { inst } = await checkOwnership(ctx, instId);
+        if (!inst) return;
+    }
 
-    const instId = session.stage.split("WA_WAITING_AI_KNOWLEDGE_")[1];
     const doc = ctx.message.document;
-
-    if (doc.mime_type !== 'application/pdf') {
-        return ctx.reply("❌ Por favor, envie apenas arquivos no formato **PDF**.");
+    const kind = detectKnowledgeKind(doc.file_name, doc.mime_type);
+    if (!kind) {
+        return ctx.reply("❌ Formato não suportado. Envie um arquivo PDF, DOCX, TXT, CSV ou XLSX.");
+    }
+    if (doc.file_size > KNOWLEDGE_MAX_FILE_SIZE) {
+        return ctx.reply("❌ Arquivo muito grande. O limite é de 20 MB.");
     }
 
-    const loadingMsg = await ctx.reply("⏳ *Lendo e extraindo informações do PDF...*");
+    const loadingMsg = await ctx.reply(`⏳ *Lendo e extraindo informações do arquivo (${KNOWLEDGE_KINDS[kind].label})...*`, { parse_mode: "Markdown" });
+    const editLoading = (text) => ctx.telegram.editMessageText(ctx.chat.id, loadingMsg.message_id, null, text, { parse_mode: "HTML" });
 
     try {
         const fileLink = await ctx.telegram.getFileLink(doc.file_id);
         const response = await fetch(fileLink);
         const buffer = await response.buffer();
-
-        const parser = new PDFParse({ data: buffer });
-        const data = await parser.getText();
-        const text = data.text.replace(/\s+/g, ' ').trim();
+        const text = await extractKnowledgeText(buffer, kind);
 
         if (text.length < 10) {
-            return ctx.editMessageText("⚠️ O PDF parece estar vazio ou não foi possível extrair o texto.");
+            return editLoading("⚠️ O arquivo parece estar vazio ou não foi possível extrair o texto.");
         }
 
-        const inst = session.whatsapp.instances.find(i => i.id === instId);
-        if (inst) {
-            inst.ai_knowledge_base = text.substring(0, 15000); // Limite de 15k caracteres
-            session.stage = "READY";
-            await syncSession(ctx, session);
+        await editLoading("⏳ <b>Indexando trechos para a busca da IA...</b>");
+        const name = target ? target.name : ((ctx.message.caption || "").trim() || (doc.file_name || "").replace(/\.[^.]+$/, "") || KNOWLEDGE_KINDS[kind].label).substring(0, 60);
+        const { chunkCount } = await saveKnowledgeDoc(instId, { docId: target?.id, name, kind, content: text });
 
-            await ctx.telegram.editMessageText(ctx.chat.id, loadingMsg.message_id, null, `✅ *Conhecimento Atualizado!*\n\nExtraímos ${text.length} caracteres do documento. O robô já está pronto para usar essas informações.`);
-            await renderAiMenu(ctx, instId);
-        }
+        session.stage = `WA_WAITING_AI_KNOWLEDGE_${instId}`;
+        await syncSession(ctx, session);
+
+        await editLoading(`✅ <b>${target ? "Documento substituído" : "Documento adicionado"}!</b>\n\n<b>${escapeHtml(name)}</b>: ${text.length} caracteres${chunkCount ? `, divididos em ${chunkCount} trechos` : " (a divisão em trechos será concluída na primeira pergunta)"}.`);
+        await renderKnowledgeMenu(ctx, instId);
     } catch (e) {
-        log(`[PDF ERR] ${e.message}`);
-        ctx.editMessageText("❌ Ocorreu um erro ao processar o PDF. Verifique se o arquivo não está protegido por senha.");
+        log(`[KB ERR] ${e.message}`);
+        editLoading("❌ Ocorreu um erro ao processar o arquivo. Verifique se ele não está protegido por senha ou corrompido.");
     }
 });
 
@@ -2795,7 +7011,8 @@ bot.action(/^wa_broker_confirm_del_(.+)_(.+)$/, async (ctx) => {
 
 
 // Função para processar IA (Suporta Texto, Áudio/Whisper e Histórico/Memória)
-async function handleAiSdr({ text, audioBase64, history = [], systemPrompt, chatId, instanceId }) {
+// V1.368: inst opcional - com base de conhecimento, os trechos relevantes da pergunta entram no prompt
+async function handleAiSdr({ text, audioBase64, history = [], systemPrompt, chatId, instanceId, inst = null }) {
     try {
         let userMessage = text;
 
@@ -2818,8 +7035,11 @@ async function handleAiSdr({ text, audioBase64, history = [], systemPrompt, chat
 
         if (!userMessage && history.length === 0) return null;
 
-        // 2. Formatar Histórico (Priority: SUPABASE)
-        const messages = [{ role: "system", content: systemPrompt }];
+        // 2. Trechos da base de conhecimento para esta pergunta (RAG)
+        const knowledge = await buildKnowledgeContext(inst, userMessage);
+
+        // 3. Formatar Histórico (Priority: SUPABASE)
+        const messages = [{ role: "system", content: systemPrompt + knowledge.context }];
 
         // Buscar histórico no banco de dados
         const { data: dbHistory, error: dbErr } = await supabase
@@ -2857,7 +7077,7 @@ async function handleAiSdr({ text, audioBase64, history = [], systemPrompt, chat
             messages.push({ role: "user", content: userMessage });
         }
 
-        // 3. Gerar resposta humanizada
+        // 4. Gerar resposta humanizada
         const response = await openai.chat.completions.create({
             model: DEFAULT_MODEL,
             messages: messages,
@@ -2876,6 +7096,7 @@ async function handleAiSdr({ text, audioBase64, history = [], systemPrompt, chat
                 role: "assistant",
                 content: aiResponse
             });
+            await recordKnowledgeUsage(instanceId, chatId, userMessage, knowledge.chunks, aiResponse);
         }
 
         // Fallback de Segurança: Se o usuário pediu humano explicitamente e a IA não gerou a tag, forçar.
@@ -2908,7 +7129,7 @@ bot.command("reiniciar", async (ctx) => {
 });
 
 // --- Módulo de Distribuição de Leads (Rodízio Round-Robin) ---
-async function distributeLead(tgChatId, leadJid, instId, leadName, summary) {
+async function distributeLead(tgChatId, leadJid, instId, leadName, summary, leadPhone = null) {
     try {
         log(`[RODÍZIO] Buscando corretores para ${tgChatId}...`);
         const session = await getSession(tgChatId);
@@ -2937,6 +7158,7 @@ async function distributeLead(tgChatId, leadJid, instId, leadName, summary) {
                     status: "TRANSFERRED"
                 }, { onConflict: "chat_id, instance_id" });
             log(`[DISTRIBUTE DEBUG] Upsert TRANSFERRED (Rodízio OFF) para ${leadName}: ${upsertResult.error ? 'ERRO - ' + upsertResult.error.message : 'OK'}`);
+            await recordLeadPhone(instId, leadJid, leadPhone);
             return;
         }
 
@@ -2974,6 +7196,7 @@ async function distributeLead(tgChatId, leadJid, instId, leadName, summary) {
                 status: "TRANSFERRED"
             }, { onConflict: "chat_id, instance_id" });
         log(`[DISTRIBUTE DEBUG] Upsert TRANSFERRED (Rodízio ON) para ${leadName}: ${upsertResult.error ? 'ERRO - ' + upsertResult.error.message : 'OK'}`);
+        await recordLeadPhone(instId, leadJid, leadPhone);
 
         const rawPhone = broker.phone;
         const cleanPhone = rawPhone.replace(/\D/g, "");
@@ -2992,13 +7215,21 @@ async function distributeLead(tgChatId, leadJid, instId, leadName, summary) {
             log(`[RODÍZIO] ⚠️ /user/check falhou ou número não está no WA. Usando fallback: ${finalBrokerJid}`);
         }
 
-        log(`[RODÍZIO] Enviando zap para broker: ${finalBrokerJid}`);
-        const res = await callWuzapi("/chat/send/text", "POST", { Phone: finalBrokerJid, Body: msg }, instId);
-
-        if (res && (res.success || res.code === 200)) {
-            log(`[RODÍZIO] ✅ Notificação enviada com sucesso para ${broker.name}`);
+        // V1.358: Com a cota da instância esgotada, o aviso ao corretor não sai pelo WhatsApp
+        const quota = await getQuotaStatus(instId, session);
+        if (quota.blockedUntil) {
+            log(`[RODÍZIO] ⛔ Cota de ${instId} esgotada. Corretor ${broker.name} não notificado pelo WhatsApp.`);
+            bot.telegram.sendMessage(tgChatId, `⛔ *Cota de envio esgotada:* o aviso do lead **${leadName}** não foi enviado ao corretor **${broker.name}** pelo WhatsApp. Avise-o manualmente.`, { parse_mode: "Markdown" });
         } else {
-            log(`[RODÍZIO] ❌ FALHA ao notificar broker ${broker.name}: ${JSON.stringify(res)}`);
+            log(`[RODÍZIO] Enviando zap para broker: ${finalBrokerJid}`);
+            const res = await callWuzapi("/chat/send/text", "POST", { Phone: finalBrokerJid, Body: msg }, instId);
+
+            if (res && (res.success || res.code === 200)) {
+                log(`[RODÍZIO] ✅ Notificação enviada com sucesso para ${broker.name}`);
+                await consumeQuota(instId);
+            } else {
+                log(`[RODÍZIO] ❌ FALHA ao notificar broker ${broker.name}: ${JSON.stringify(res)}`);
+            }
         }
 
         // Atualizar índice para o próximo (Corretor vai pro fim da fila)
@@ -3503,14 +7734,7 @@ bot.on("text", async (ctx) => {
         const { inst: ownershipOk } = await checkOwnership(ctx, instId);
         if (!ownershipOk) return;
 
-        const lines = ctx.message.text.split("\n").map(n => n.trim()).filter(n => n.length > 5);
-        const contacts = lines.map(line => {
-            if (line.includes(";")) {
-                const [name, phone] = line.split(";").map(p => p.trim());
-                return { name, phone: phone.replace(/\D/g, "") };
-            }
-            return { name: null, phone: line.replace(/\D/g, "") };
-        }).filter(c => c.phone.length >= 8);
+        const contacts = parseContactTxt(ctx.message.text);
 
         if (contacts.length === 0) return ctx.reply("❌ Nenhum número válido encontrado.\n\nEnvie os números (um por linha) no formato `Telefone` ou `Nome;Telefone`.\n\n💡 *Dica:* Você também pode enviar um **arquivo .txt** com a lista de contatos.");
 
@@ -3524,6 +7748,7 @@ bot.on("text", async (ctx) => {
             `🖼️ *Foto / Vídeo / Documento:* Envie o arquivo. A legenda será usada como a mensagem.\n` +
             `🎙️ *Áudio / Voz:* Envie o arquivo de áudio ou grave uma nota de voz.\n\n` +
             `💡 *Anti-Spam:* Envie várias variações separadas por \`;;;\` (na legenda ou no texto).\n` +
+            `🎲 *Spintax:* \`{Olá|Oi|E aí} {{nome}}, {tudo bem|como vai}?\` sorteia uma combinação por contato (aceita grupos aninhados).\n` +
             `💡 *Personalização:* Use \`{{nome}}\` para o nome do contato.\n\n` +
             `*Exemplo:* \`Oi {{nome}}!;;;Olá, como vai?;;;Fala {{nome}}!\``;
 
@@ -3532,55 +7757,305 @@ bot.on("text", async (ctx) => {
             ...Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_init_${instId}`)]])
         });
 
-        session.last_ui_id = sent.message_id;
+        session.last_ui_id = sent.message_id;
+        await syncSession(ctx, session);
+
+    } else if (session.stage && session.stage.startsWith("WA_WAITING_AI_KB_NOTE_")) {
+        // V1.369: Nota digitada na base de conhecimento (primeira linha = título)
+        const instId = session.stage.replace("WA_WAITING_AI_KB_NOTE_", "");
+        const { inst: ownershipOk } = await checkOwnership(ctx, instId);
+        if (!ownershipOk) return;
+        const [firstLine, ...rest] = ctx.message.text.trim().split("\n");
+        const content = normalizeKnowledgeText(rest.length > 0 ? rest.join("\n") : firstLine);
+        if (content.length < 10) return ctx.reply("❌ A nota está muito curta. Envie o título na primeira linha e o conteúdo nas seguintes.");
+
+        const name = firstLine.trim().substring(0, 60);
+        const { chunkCount } = await saveKnowledgeDoc(instId, { name, kind: "NOTE", content });
+        session.stage = `WA_WAITING_AI_KNOWLEDGE_${instId}`;
+        await syncSession(ctx, session);
+        await ctx.reply(`✅ Nota <b>${escapeHtml(name)}</b> adicionada${chunkCount ? ` (${chunkCount} trechos)` : ""}.`, { parse_mode: "HTML" });
+        await renderKnowledgeMenu(ctx, instId);
+
+    } else if (session.stage && session.stage.startsWith("WA_WAITING_AI_KB_RENAME_")) {
+        const { doc } = await getOwnedKnowledgeDoc(ctx, session.stage.replace("WA_WAITING_AI_KB_RENAME_", ""));
+        if (!doc) return;
+        const name = ctx.message.text.trim().substring(0, 60);
+        if (!name) return ctx.reply("❌ Envie um nome válido.");
+        doc.name = name;
+        await updateKnowledgeDoc(doc, { name });
+        session.stage = `WA_WAITING_AI_KNOWLEDGE_${doc.instance_id}`;
+        await syncSession(ctx, session);
+        await renderKnowledgeDoc(ctx, doc);
+
+    } else if (session.stage && session.stage.startsWith("WA_WAITING_AI_KB_REPLACE_")) {
+        const { doc } = await getOwnedKnowledgeDoc(ctx, session.stage.replace("WA_WAITING_AI_KB_REPLACE_", ""));
+        if (!doc) return;
+        if (doc.kind !== "NOTE") return ctx.reply("❌ Envie o novo arquivo (PDF, DOCX, TXT, CSV ou XLSX) para substituir este documento.");
+        const content = normalizeKnowledgeText(ctx.message.text);
+        if (content.length < 10) return ctx.reply("❌ O texto está muito curto.");
+
+        const { doc: saved } = await saveKnowledgeDoc(doc.instance_id, { docId: doc.id, kind: "NOTE", content });
+        session.stage = `WA_WAITING_AI_KNOWLEDGE_${doc.instance_id}`;
+        await syncSession(ctx, session);
+        await renderKnowledgeDoc(ctx, saved);
+
+    } else if (session.stage && session.stage.startsWith("WA_WAITING_AI_AUD_KEYWORD_")) {
+        const instId = session.stage.replace("WA_WAITING_AI_AUD_KEYWORD_", "");
+        const { inst: ownershipOk } = await checkOwnership(ctx, instId);
+        if (!ownershipOk) return;
+        // % e _ são curingas no ilike
+        const keyword = ctx.message.text.trim().replace(/[%_]/g, "").substring(0, 60);
+        if (keyword.length < 2) return ctx.reply("❌ Envie pelo menos 2 caracteres.");
+
+        session.temp_ai_audience = { ...DEFAULT_AI_AUDIENCE, ...(session.temp_ai_audience || {}), keyword };
+        session.stage = `WA_WAITING_MASS_CONTACTS_${instId}`;
+        await syncSession(ctx, session);
+        await renderAiAudience(ctx, instId, session);
+
+    } else if (session.stage && session.stage.startsWith("WA_WAITING_LIB_NAME_")) {
+        const instId = session.stage.replace("WA_WAITING_LIB_NAME_", "");
+        const { inst: ownershipOk } = await checkOwnership(ctx, instId);
+        if (!ownershipOk) return;
+        const name = ctx.message.text.trim().substring(0, 60);
+        const lib = session.temp_lib;
+        if (!name || !lib) return ctx.reply("❌ Envie um nome válido.");
+
+        if (lib.mode === 'NEW') {
+            session.temp_lib = { kind: lib.kind, name };
+            session.stage = `WA_WAITING_LIB_CONTENT_${instId}`;
+            await syncSession(ctx, session);
+            return promptLibraryContent(ctx, instId, session.temp_lib);
+        }
+
+        session.stage = "READY";
+        delete session.temp_lib;
+        await syncSession(ctx, session);
+
+        if (lib.mode === 'RENAME') {
+            await supabase.from('campaign_library').update({ name, updated_at: new Date().toISOString() }).eq('id', lib.id).eq('chat_id', String(ctx.chat.id));
+            const item = await getLibraryItem(ctx.chat.id, lib.id);
+            return item ? renderLibraryItem(ctx, instId, item) : renderLibraryList(ctx, instId, libraryCode(lib.kind));
+        }
+
+        const data = lib.kind === 'TEMPLATE' ? templateFromSession(session) : { contacts: session.mass_contacts || [] };
+        const ok = await saveLibraryItem(ctx.chat.id, lib.kind, name, data);
+        await ctx.reply(ok ? `✅ <b>${escapeHtml(name)}</b> salvo na biblioteca!` : "❌ Erro ao salvar na biblioteca.", { parse_mode: "HTML" });
+        await renderMassLaunchMenu(ctx, instId);
+
+    } else if (session.stage && session.stage.startsWith("WA_WAITING_LIB_CONTENT_")) {
+        const instId = session.stage.replace("WA_WAITING_LIB_CONTENT_", "");
+        const { inst: ownershipOk } = await checkOwnership(ctx, instId);
+        if (!ownershipOk) return;
+        if (!session.temp_lib) return;
+
+        if (session.temp_lib.kind === 'TEMPLATE') {
+            const rawMsg = ctx.message.text || "";
+            const interactive = parseInteractiveText(rawMsg);
+            if (interactive) {
+                if (interactive.error) return ctx.reply(`❌ ${interactive.error}.`);
+                return applyInteractiveContent(ctx, session, instId, interactive.type, interactive.payload, interactive.message);
+            }
+            const variations = rawMsg.split(";;;").map(v => v.trim()).filter(v => v.length > 0);
+            const spin = analyzeSpintax(variations);
+            if (spin.error) return ctx.reply(`❌ *Spintax inválido:* ${spin.error}`, { parse_mode: "Markdown" });
+            if (variations.length === 0) return ctx.reply("❌ Envie o texto da mensagem.");
+            await finishLibraryContent(ctx, session, instId, { messages: variations, mediaType: 'text', mediaId: null, fileName: null });
+        } else {
+            const contacts = parseContactTxt(ctx.message.text || "");
+            if (contacts.length === 0) return ctx.reply("❌ Nenhum número válido encontrado. Envie um por linha.");
+            await finishLibraryContent(ctx, session, instId, { contacts });
+        }
+
+    } else if (session.stage && session.stage.startsWith("WA_WAITING_MASS_MSG_")) {
+        const instId = session.stage.replace("WA_WAITING_MASS_MSG_", "");
+        const { inst: ownershipOk } = await checkOwnership(ctx, instId);
+        if (!ownershipOk) return;
+
+        const rawMsg = ctx.message.text || "";
+
+        // V1.364: "LISTA:" / "ENQUETE:" na primeira linha
+        const interactive = parseInteractiveText(rawMsg);
+        if (interactive) {
+            if (interactive.error) return ctx.reply(`❌ ${interactive.error}.`);
+            return applyInteractiveContent(ctx, session, instId, interactive.type, interactive.payload, interactive.message);
+        }
+
+        const variations = rawMsg.split(";;;").map(v => v.trim()).filter(v => v.length > 0);
+
+        // V1.351: Valida o spintax antes de aceitar a mensagem
+        const spin = analyzeSpintax(variations.length > 0 ? variations : [rawMsg]);
+        if (spin.error) {
+            return ctx.reply(`❌ *Spintax inválido:* ${spin.error}\n\nUse o formato \`{opção 1|opção 2}\` (pode aninhar). Corrija e envie a mensagem novamente.`, { parse_mode: "Markdown" });
+        }
+
+        session.mass_msgs = variations.length > 0 ? variations : [rawMsg];
+        session.mass_media_type = 'text';
+        session.mass_media_id = null;
+        session.mass_payload = null;
+        delete session.mass_media_data;
+        session.stage = `WA_WAITING_MASS_DELAY_${instId}`;
+
+        // Limpar prompt anterior e msg enviada
+        if (session.last_ui_id) try { await ctx.telegram.deleteMessage(ctx.chat.id, session.last_ui_id); } catch (e) { }
+        try { await ctx.deleteMessage(); } catch (e) { }
+
+        const sent = await ctx.reply(`📝 ${session.mass_msgs.length} variações de mensagem salvas (🎲 ${formatVariantCount(spin.count)} variantes únicas).\n\nAgora, defina o **intervalo de tempo** (delay) em segundos no formato \`MÍN-MÁX\`.\n\nExemplo: \`10-30\`.`, {
+            ...Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_new_start_${instId}`)]])
+        });
+
+        session.last_ui_id = sent.message_id;
+        await syncSession(ctx, session);
+
+    } else if (session.stage && session.stage.startsWith("WA_WAITING_MASS_DELAY_")) {
+        const instId = session.stage.replace("WA_WAITING_MASS_DELAY_", "");
+        const { inst: ownershipOk } = await checkOwnership(ctx, instId);
+        if (!ownershipOk) return;
+        const parts = ctx.message.text.split("-");
+        const min = parseInt(parts[0]);
+        const max = parseInt(parts[1]);
+
+        if (isNaN(min) || isNaN(max) || min < 1) {
+            return ctx.reply("❌ Formato inválido. Use algo como `10-30`.");
+        }
+
+        session.temp_mass_min = min;
+        session.temp_mass_max = max;
+        session.mass_senders = [{ instId, minDelay: min, maxDelay: max, dailyCap: 0 }];
+        session.mass_backup = null;
+        session.mass_ab = null;
+        session.mass_sequence = [];
+        await syncSession(ctx, session);
+
+        await renderMassLaunchMenu(ctx, instId);
+
+    } else if (session.stage && session.stage.startsWith("WA_WAITING_MASS_SENDER_CFG_")) {
+        const instId = session.stage.replace("WA_WAITING_MASS_SENDER_CFG_", "");
+        const { inst: ownershipOk } = await checkOwnership(ctx, instId);
+        if (!ownershipOk) return;
+        const match = ctx.message.text.trim().match(/^(\d+)\s*-\s*(\d+)(?:\s+(\d+))?$/);
+        const min = match ? parseInt(match[1]) : NaN;
+        const max = match ? parseInt(match[2]) : NaN;
+
+        if (isNaN(min) || isNaN(max) || min < 1 || max < min) {
+            return ctx.reply("❌ Formato inválido. Use algo como `10-30 200`.");
+        }
+
+        session.mass_senders = buildCampaignSenders(session, instId).map(({ name, ...cfg }) =>
+            cfg.instId === session.temp_sender_inst ? { ...cfg, minDelay: min, maxDelay: max, dailyCap: parseInt(match[3]) || 0 } : cfg
+        );
+        delete session.temp_sender_inst;
+        session.stage = "READY";
+        await syncSession(ctx, session);
+
+        await renderMassSenders(ctx, instId);
+
+    } else if (session.stage && session.stage.startsWith("WA_WAITING_QUOTA_LIMITS_")) {
+        const instId = session.stage.replace("WA_WAITING_QUOTA_LIMITS_", "");
+        const { inst } = await checkOwnership(ctx, instId);
+        if (!inst) return;
+        const match = ctx.message.text.trim().match(/^(\d+)\s+(\d+)$/);
+        if (!match) return ctx.reply("❌ Formato inválido. Use algo como `500 60`.");
+
+        inst.quota = { ...(inst.quota || {}), daily: parseInt(match[1]), hourly: parseInt(match[2]) };
+        session.stage = "READY";
+        await syncSession(ctx, session);
+        await renderQuotaMenu(ctx, instId);
+
+    } else if (session.stage && session.stage.startsWith("WA_WAITING_QUOTA_WARMUP_")) {
+        const instId = session.stage.replace("WA_WAITING_QUOTA_WARMUP_", "");
+        const { inst } = await checkOwnership(ctx, instId);
+        if (!inst) return;
+        const match = ctx.message.text.trim().match(/^(\d+)\s+(\d+)\s+(\d+)$/);
+        const [start, target, days] = match ? match.slice(1).map(n => parseInt(n)) : [];
+        if (!match || start < 1 || target <= start || days < 2) {
+            return ctx.reply("❌ Formato inválido. Use `inicial final dias`, com final maior que o inicial e pelo menos 2 dias. Ex: `30 500 14`");
+        }
+
+        inst.quota = { ...(inst.quota || {}), warmup: { start, target, days, startedAt: new Date().toISOString() } };
+        session.stage = "READY";
         await syncSession(ctx, session);
+        await renderQuotaMenu(ctx, instId);
 
-    } else if (session.stage && session.stage.startsWith("WA_WAITING_MASS_MSG_")) {
-        const instId = session.stage.replace("WA_WAITING_MASS_MSG_", "");
+    } else if (session.stage && session.stage.startsWith("WA_WAITING_MASS_WINDOW_")) {
+        const instId = session.stage.replace("WA_WAITING_MASS_WINDOW_", "");
         const { inst: ownershipOk } = await checkOwnership(ctx, instId);
         if (!ownershipOk) return;
 
-        const rawMsg = ctx.message.text || "";
-        const variations = rawMsg.split(";;;").map(v => v.trim()).filter(v => v.length > 0);
+        const window = parseSendingWindow(ctx.message.text);
+        if (window.error) {
+            return ctx.reply(`❌ ${window.error}\n\nExemplo: seg-sex 09:00-18:00`);
+        }
 
-        session.mass_msgs = variations.length > 0 ? variations : [rawMsg];
-        session.mass_media_type = 'text';
-        session.stage = `WA_WAITING_MASS_DELAY_${instId}`;
+        session.mass_window = window;
+        session.stage = "READY";
+        await syncSession(ctx, session);
 
-        // Limpar prompt anterior e msg enviada
-        if (session.last_ui_id) try { await ctx.telegram.deleteMessage(ctx.chat.id, session.last_ui_id); } catch (e) { }
-        try { await ctx.deleteMessage(); } catch (e) { }
+        await renderMassWindow(ctx, instId);
 
-        const sent = await ctx.reply(`📝 ${session.mass_msgs.length} variações de mensagem salvas.\n\nAgora, defina o **intervalo de tempo** (delay) em segundos no formato \`MÍN-MÁX\`.\n\nExemplo: \`10-30\`.`, {
-            ...Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_new_start_${instId}`)]])
-        });
+    } else if (session.stage && session.stage.startsWith("WA_WAITING_OPTOUT_")) {
+        const [, kind, instId] = session.stage.match(/^WA_WAITING_OPTOUT_([A-Z]+)_(.+)$/) || [];
+        const { inst: ownershipOk } = await checkOwnership(ctx, instId);
+        if (!ownershipOk) return;
+        const input = ctx.message.text.trim();
+        const config = getOptoutConfig(session);
+
+        if (kind === "KEYWORDS") {
+            const keywords = input.split(/[,;\n]+/).map(k => k.trim().toUpperCase()).filter(Boolean);
+            if (keywords.length === 0) return ctx.reply("❌ Envie pelo menos uma palavra-chave.");
+            session.optout = { ...config, keywords };
+        } else if (kind === "REPLY") {
+            session.optout = { ...config, reply: input === "0" ? "" : input };
+        } else if (kind === "ADD" || kind === "REMOVE") {
+            const phones = extractPhones(input);
+            if (phones.length === 0) return ctx.reply("❌ Nenhum número válido encontrado.");
+            try {
+                const count = kind === "ADD"
+                    ? await addSuppressions(ctx.chat.id, phones, "manual")
+                    : await removeSuppressions(ctx.chat.id, phones);
+                await ctx.reply(kind === "ADD" ? `✅ ${count} números adicionados à lista.` : `✅ ${count} números removidos da lista.`);
+            } catch (e) {
+                log(`[OPTOUT ERR] ${e.message}`);
+                return ctx.reply("❌ Erro ao atualizar a lista de descadastro.");
+            }
+        } else {
+            return ctx.reply("📥 Envie o arquivo com os números (.txt, .csv ou .xlsx).");
+        }
 
-        session.last_ui_id = sent.message_id;
+        session.stage = "READY";
         await syncSession(ctx, session);
+        await renderOptoutMenu(ctx, instId);
 
-    } else if (session.stage && session.stage.startsWith("WA_WAITING_MASS_DELAY_")) {
-        const instId = session.stage.replace("WA_WAITING_MASS_DELAY_", "");
+    } else if (session.stage && session.stage.startsWith("WA_WAITING_SEQ_DELAY_")) {
+        const instId = session.stage.replace("WA_WAITING_SEQ_DELAY_", "");
         const { inst: ownershipOk } = await checkOwnership(ctx, instId);
         if (!ownershipOk) return;
-        const parts = ctx.message.text.split("-");
-        const min = parseInt(parts[0]);
-        const max = parseInt(parts[1]);
-
-        if (isNaN(min) || isNaN(max) || min < 1) {
-            return ctx.reply("❌ Formato inválido. Use algo como `10-30`.");
+        const days = parseInt(ctx.message.text.trim());
+        if (isNaN(days) || days < 1 || days > 90) {
+            return ctx.reply("❌ Envie um número de dias entre 1 e 90.");
         }
 
-        session.temp_mass_min = min;
-        session.temp_mass_max = max;
+        session.temp_seq_delay = days;
+        session.stage = `WA_WAITING_SEQ_MSG_${instId}`;
         await syncSession(ctx, session);
+        await safeEdit(ctx, `📝 <b>Conteúdo da etapa (+${days} dia(s))</b>\n\nEnvie o texto ou a mídia (Foto, Vídeo, Áudio, Documento) desta etapa. Variações com <code>;;;</code>, spintax e <code>{{nome}}</code> funcionam normalmente.`,
+            Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_seq_${instId}`)]]));
 
-        ctx.reply("🕒 *Quando deseja realizar o disparo?*", {
-            parse_mode: "Markdown",
-            ...Markup.inlineKeyboard([
-                [Markup.button.callback("🚀 Enviar Agora", `wa_mass_now_${instId}`)],
-                [Markup.button.callback("📅 Agendar para depois", `wa_mass_sched_${instId}`)]
-            ])
-        });
+    } else if (session.stage && session.stage.startsWith("WA_WAITING_SEQ_MSG_")) {
+        const instId = session.stage.replace("WA_WAITING_SEQ_MSG_", "");
+        const { inst: ownershipOk } = await checkOwnership(ctx, instId);
+        if (!ownershipOk) return;
+        const interactive = parseInteractiveText(ctx.message.text);
+        if (interactive) {
+            if (interactive.error) return ctx.reply(`❌ ${interactive.error}.`);
+            return applyInteractiveContent(ctx, session, instId, interactive.type, interactive.payload, interactive.message);
+        }
+        const variations = ctx.message.text.split(";;;").map(v => v.trim()).filter(v => v.length > 0);
+        if (variations.length === 0) return ctx.reply("❌ Envie o texto da etapa.");
+        const spin = analyzeSpintax(variations);
+        if (spin.error) {
+            return ctx.reply(`❌ *Spintax inválido:* ${spin.error}\n\nCorrija e envie novamente.`, { parse_mode: "Markdown" });
+        }
+        await addSequenceStep(ctx, session, instId, { messages: variations, mediaType: 'text' });
 
     } else if (session.stage && session.stage.startsWith("WA_WAITING_MASS_SCHEDULE_")) {
         const instId = session.stage.replace("WA_WAITING_MASS_SCHEDULE_", "");
@@ -3592,7 +8067,22 @@ bot.on("text", async (ctx) => {
         const reg = /^(\d{2})\/(\d{2})\/(\d{4}) (\d{2}):(\d{2})$/;
         const match = dateStr.match(reg);
 
-        if (!match) return ctx.reply("❌ Formato inválido. Use `DD/MM/AAAA HH:MM`.");
+        // V1.362: Regra de recorrência no lugar de uma data fixa
+        const rule = match ? null : parseRecurrenceRule(dateStr);
+        if (rule) {
+            const camp = buildCampaignFromSession(session, ctx.chat.id, instId);
+            const { error, nextRun } = await createRecurrence(ctx.chat.id, camp, rule);
+            if (error) return ctx.reply("❌ Erro ao salvar a recorrência no banco.");
+
+            session.stage = "READY";
+            await syncSession(ctx, session);
+            return ctx.reply(`✅ <b>Disparo Recorrente Criado!</b>\n\n🔁 ${describeRecurrenceRule(rule)}\n📅 Próxima execução: <code>${formatOccurrence(nextRun)}</code>\n🚀 Instância: <code>${instId}</code>`, {
+                parse_mode: "HTML",
+                ...Markup.inlineKeyboard([[Markup.button.callback("🔁 Ver Recorrentes", `wa_rec_list_${instId}`)]])
+            });
+        }
+
+        if (!match) return ctx.reply("❌ Formato inválido. Use `DD/MM/AAAA HH:MM` ou uma recorrência como `toda segunda 09:00`.");
 
         const [_, d, m, y, h, min] = match;
         // Força o fuso horário de Brasília (UTC-3)
@@ -3608,30 +8098,10 @@ bot.on("text", async (ctx) => {
             return ctx.reply(`❌ *Data no passado!*\n\nHora Atual (Brasília): \`${serverDateStr} ${serverTimeStr}\`\nSua entrada: \`${dateStr}\`\n\nPor favor, envie um horário futuro.`, { parse_mode: "Markdown" });
         }
 
-        const campaignData = {
-            contacts: session.mass_contacts,
-            messages: session.mass_msgs,
-            message: session.mass_msgs[0],
-            mediaType: session.mass_media_type,
-            mediaUrl: session.mass_media_url,
-            mediaData: session.mass_media_data,
-            fileName: session.mass_file_name,
-            minDelay: session.temp_mass_min,
-            maxDelay: session.temp_mass_max
-        };
-
-        const { error } = await supabase
-            .from('scheduled_campaigns')
-            .insert({
-                chat_id: String(ctx.chat.id),
-                inst_id: instId,
-                scheduled_for: scheduledFor.toISOString(),
-                campaign_data: campaignData,
-                status: 'PENDING'
-            });
+        const camp = buildCampaignFromSession(session, ctx.chat.id, instId);
+        const { error } = await launchCampaign(ctx.chat.id, camp, scheduledFor);
 
         if (error) {
-            log(`[SCHED ERR] ${error.message}`);
             return ctx.reply("❌ Erro ao salvar agendamento no banco.");
         }
 
@@ -3807,6 +8277,87 @@ async function handleMassMedia(ctx, type, fileId, caption, fileName, fileSize) {
     const session = await getSession(ctx.chat.id);
     if (!session.stage) return;
 
+    // V1.349: Importação da lista de descadastro
+    if (session.stage.startsWith("WA_WAITING_OPTOUT_IMPORT_")) {
+        if (type !== 'document') return ctx.reply("❌ Envie um arquivo .txt, .csv ou .xlsx.");
+        const instId = session.stage.replace("WA_WAITING_OPTOUT_IMPORT_", "");
+        const { inst: ownershipOk } = await checkOwnership(ctx, instId);
+        if (!ownershipOk) return;
+        try {
+            const link = await ctx.telegram.getFileLink(fileId);
+            const buffer = await (await fetch(link.href)).buffer();
+            return handleOptoutImport(ctx, session, instId, buffer, fileName);
+        } catch (e) {
+            log(`[OPTOUT IMPORT ERR] ${e.message}`);
+            return ctx.reply("❌ Falha ao ler o arquivo. Tente novamente.");
+        }
+    }
+
+    // V1.361: Conteúdo de um modelo (mídia) ou público (arquivo) da biblioteca
+    if (session.stage.startsWith("WA_WAITING_LIB_CONTENT_") && session.temp_lib) {
+        const instId = session.stage.replace("WA_WAITING_LIB_CONTENT_", "");
+        const { inst: ownershipOk } = await checkOwnership(ctx, instId);
+        if (!ownershipOk) return;
+        if (fileSize && fileSize > 20 * 1024 * 1024) return ctx.reply("⚠️ Arquivo muito grande! O limite é de 20MB.");
+
+        try {
+            const link = await ctx.telegram.getFileLink(fileId);
+            const buffer = await (await fetch(link.href)).buffer();
+
+            if (session.temp_lib.kind === 'TEMPLATE') {
+                const variations = (caption || "").split(";;;").map(v => v.trim()).filter(v => v.length > 0);
+                const spin = analyzeSpintax(variations);
+                if (spin.error) return ctx.reply(`❌ *Spintax inválido na legenda:* ${spin.error}`, { parse_mode: "Markdown" });
+                return finishLibraryContent(ctx, session, instId, {
+                    messages: variations.length > 0 ? variations : [""],
+                    mediaType: type,
+                    mediaId: storeCampaignMedia(buffer, type, fileName),
+                    fileName: fileName || "arquivo"
+                });
+            }
+
+            let contacts = [];
+            if (type === 'document' && /\.txt$/i.test(fileName || "")) {
+                contacts = parseContactTxt(buffer.toString('utf-8'));
+            } else if (type === 'document' && /\.(csv|xlsx|xls)$/i.test(fileName || "")) {
+                const sheet = parseContactSheet(buffer, fileName);
+                contacts = sheet ? buildSheetContacts(sheet) : [];
+            } else {
+                return ctx.reply("❌ Para públicos, envie um arquivo .txt, .csv ou .xlsx.");
+            }
+            if (contacts.length === 0) return ctx.reply("❌ Nenhum número válido encontrado no arquivo.");
+            return finishLibraryContent(ctx, session, instId, { contacts });
+        } catch (e) {
+            log(`[LIB MEDIA ERR] ${e.message}`);
+            return ctx.reply("❌ Falha ao processar arquivo. Tente novamente.");
+        }
+    }
+
+    // V1.353: Mídia de uma etapa da sequência
+    if (session.stage.startsWith("WA_WAITING_SEQ_MSG_")) {
+        const instId = session.stage.replace("WA_WAITING_SEQ_MSG_", "");
+        const { inst: ownershipOk } = await checkOwnership(ctx, instId);
+        if (!ownershipOk) return;
+        if (fileSize && fileSize > 20 * 1024 * 1024) return ctx.reply("⚠️ Arquivo muito grande! O limite é de 20MB.");
+
+        const variations = (caption || "").split(";;;").map(v => v.trim()).filter(v => v.length > 0);
+        const spin = analyzeSpintax(variations);
+        if (spin.error) return ctx.reply(`❌ *Spintax inválido na legenda:* ${spin.error}`, { parse_mode: "Markdown" });
+        try {
+            const link = await ctx.telegram.getFileLink(fileId);
+            const buffer = await (await fetch(link.href)).buffer();
+            return addSequenceStep(ctx, session, instId, {
+                messages: variations.length > 0 ? variations : [""],
+                mediaType: type,
+                mediaId: storeCampaignMedia(buffer, type, fileName),
+                fileName: fileName || "arquivo"
+            });
+        } catch (e) {
+            log(`[SEQ MEDIA ERR] ${e.message}`);
+            return ctx.reply("❌ Falha ao processar arquivo. Tente novamente.");
+        }
+    }
+
     // Se estiver na etapa de contatos, só aceita documento .txt
     const isContactImport = session.stage.startsWith("WA_WAITING_MASS_CONTACTS_");
     const isMessageContent = session.stage.startsWith("WA_WAITING_MASS_MSG_");
@@ -3840,21 +8391,11 @@ async function handleMassMedia(ctx, type, fileId, caption, fileName, fileSize) {
         else if (type === 'audio') mimeType = 'audio/ogg';
         else if (type === 'document') mimeType = 'application/octet-stream';
 
-        const base64Data = `data:${mimeType};base64,${buffer.toString('base64')}`;
-
         const variations = (caption || "").split(";;;").map(v => v.trim()).filter(v => v.length > 0);
 
         // --- NOVO: Suporte a arquivo .txt para contatos ---
         if (type === 'document' && (fileName?.toLowerCase().endsWith(".txt") || mimeType === 'text/plain')) {
-            const content = buffer.toString('utf-8');
-            const lines = content.split("\n").map(n => n.trim()).filter(n => n.length > 5);
-            const contacts = lines.map(line => {
-                if (line.includes(";")) {
-                    const [name, phone] = line.split(";").map(p => p.trim());
-                    return { name, phone: phone.replace(/\D/g, "") };
-                }
-                return { name: null, phone: line.replace(/\D/g, "") };
-            }).filter(c => c.phone.length >= 8);
+            const contacts = parseContactTxt(buffer.toString('utf-8'));
 
             if (contacts.length === 0) {
                 try { await ctx.telegram.deleteMessage(ctx.chat.id, processingMsg.message_id); } catch (e) { }
@@ -3868,7 +8409,8 @@ async function handleMassMedia(ctx, type, fileId, caption, fileName, fileSize) {
             try { await ctx.telegram.deleteMessage(ctx.chat.id, processingMsg.message_id); } catch (e) { }
 
             const prompt = `✅ *${contacts.length} contatos importados do arquivo!*\n\n` +
-                `Agora, envie o **conteúdo** que deseja disparar (Texto, Foto, Vídeo, etc):`;
+                `Agora, envie o **conteúdo** que deseja disparar (Texto, Foto, Vídeo, etc):\n\n` +
+                `💡 Também aceita localização, contato, figurinha, enquete do Telegram ou uma lista (\`LISTA: texto do botão\`, a mensagem e as opções com \`-\`).`;
             const sent = await ctx.reply(prompt, {
                 parse_mode: "Markdown",
                 ...Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_init_${instId}`)]])
@@ -3879,9 +8421,36 @@ async function handleMassMedia(ctx, type, fileId, caption, fileName, fileSize) {
         }
         // --- FIM Suporte .txt ---
 
+        // V1.345: Planilhas CSV/XLSX com colunas livres como variáveis
+        if (type === 'document' && isContactImport && /\.(csv|xlsx|xls)$/i.test(fileName || "")) {
+            try { await ctx.telegram.deleteMessage(ctx.chat.id, processingMsg.message_id); } catch (e) { }
+
+            let sheet = null;
+            try {
+                sheet = parseContactSheet(buffer, fileName);
+            } catch (e) {
+                log(`[SHEET ERR] ${e.message}`);
+            }
+            if (!sheet || sheet.rows.length === 0) {
+                return ctx.reply("❌ Não foi possível ler a planilha ou ela está vazia.\n\nVerifique se a primeira aba contém os contatos com uma linha de cabeçalho.");
+            }
+
+            session.temp_sheet = sheet;
+            await syncSession(ctx, session);
+            return renderSheetMapping(ctx, instId);
+        }
+
+        const spin = analyzeSpintax(variations);
+        if (spin.error) {
+            try { await ctx.telegram.deleteMessage(ctx.chat.id, processingMsg.message_id); } catch (e) { }
+            return ctx.reply(`❌ *Spintax inválido na legenda:* ${spin.error}\n\nCorrija e envie a mídia novamente.`, { parse_mode: "Markdown" });
+        }
+
         session.mass_msgs = variations.length > 0 ? variations : [""];
         session.mass_media_type = type;
-        session.mass_media_data = base64Data;
+        session.mass_media_id = storeCampaignMedia(buffer, type, fileName);
+        session.mass_payload = null;
+        delete session.mass_media_data;
         session.mass_msg = caption || ""; // Fallback
         session.mass_file_name = fileName || "arquivo";
         session.stage = `WA_WAITING_MASS_DELAY_${instId}`;
@@ -3889,7 +8458,8 @@ async function handleMassMedia(ctx, type, fileId, caption, fileName, fileSize) {
         // Deletar "Processando..." e enviar próximo passo
         try { await ctx.telegram.deleteMessage(ctx.chat.id, processingMsg.message_id); } catch (e) { }
 
-        const sent = await ctx.reply(`✅ ${type} recebido e processado!\n\nAgora, defina o **intervalo de tempo** (delay) em segundos no formato \`MÍN-MÁX\`.\n\nExemplo: \`10-30\``);
+        const variantInfo = variations.length > 0 ? ` (🎲 ${formatVariantCount(spin.count)} variantes de legenda)` : "";
+        const sent = await ctx.reply(`✅ ${type} recebido e processado${variantInfo}!\n\nAgora, defina o **intervalo de tempo** (delay) em segundos no formato \`MÍN-MÁX\`.\n\nExemplo: \`10-30\``);
         session.last_ui_id = sent.message_id;
         await syncSession(ctx, session);
     } catch (e) {
@@ -3898,6 +8468,83 @@ async function handleMassMedia(ctx, type, fileId, caption, fileName, fileSize) {
     }
 }
 
+const MESSAGE_TYPE_LABELS = { location: "📍 Localização", contact: "👤 Contato", poll: "📊 Enquete", list: "📋 Lista" };
+
+// V1.364: Conteúdo interativo (localização, contato, enquete, lista) na mensagem principal,
+// numa etapa da sequência ou num modelo da biblioteca
+async function applyInteractiveContent(ctx, session, instId, type, payload, message) {
+    const messages = [message || ""];
+    const stage = session.stage || "";
+    if (stage.startsWith("WA_WAITING_SEQ_MSG_")) {
+        return addSequenceStep(ctx, session, instId, { messages, mediaType: type, payload });
+    }
+    if (stage.startsWith("WA_WAITING_LIB_CONTENT_")) {
+        if (session.temp_lib?.kind !== 'TEMPLATE') return ctx.reply("❌ Para públicos, envie a lista de contatos.");
+        return finishLibraryContent(ctx, session, instId, { messages, mediaType: type, mediaId: null, fileName: null, payload });
+    }
+
+    session.mass_msgs = messages;
+    session.mass_media_type = type;
+    session.mass_media_id = null;
+    session.mass_payload = payload;
+    delete session.mass_media_data;
+    session.stage = `WA_WAITING_MASS_DELAY_${instId}`;
+
+    if (session.last_ui_id) try { await ctx.telegram.deleteMessage(ctx.chat.id, session.last_ui_id); } catch (e) { }
+    const sent = await ctx.reply(`✅ Conteúdo salvo: ${MESSAGE_TYPE_LABELS[type]}\n\nAgora, defina o *intervalo de tempo* (delay) em segundos no formato \`MÍN-MÁX\`.\n\nExemplo: \`10-30\``, {
+        parse_mode: "Markdown",
+        ...Markup.inlineKeyboard([[Markup.button.callback("🔙 Voltar", `wa_mass_new_start_${instId}`)]])
+    });
+    session.last_ui_id = sent.message_id;
+    await syncSession(ctx, session);
+}
+
+// Estágios que aceitam o conteúdo de uma mensagem de campanha
+async function getInteractiveTarget(ctx) {
+    const session = await getSession(ctx.chat.id);
+    const stage = session.stage || "";
+    const prefix = ["WA_WAITING_MASS_MSG_", "WA_WAITING_SEQ_MSG_", "WA_WAITING_LIB_CONTENT_"].find(p => stage.startsWith(p));
+    if (!prefix) return null;
+    const instId = stage.replace(prefix, "");
+    const { inst } = await checkOwnership(ctx, instId);
+    return inst ? { session, instId } : null;
+}
+
+async function handleInteractiveMessage(ctx, type, raw, message) {
+    const target = await getInteractiveTarget(ctx);
+    if (!target) return;
+    const { payload, error } = normalizeCampaignPayload(type, raw);
+    if (error) return ctx.reply(`❌ ${error}.`);
+    await applyInteractiveContent(ctx, target.session, target.instId, type, payload, message);
+}
+
+bot.on("location", async (ctx) => {
+    const { latitude, longitude } = ctx.message.location;
+    const venue = ctx.message.venue;
+    await handleInteractiveMessage(ctx, 'location', { latitude, longitude, name: venue?.title || null }, venue ? venue.title : "");
+});
+
+bot.on("contact", async (ctx) => {
+    const c = ctx.message.contact;
+    const name = [c.first_name, c.last_name].filter(Boolean).join(" ");
+    await handleInteractiveMessage(ctx, 'contact', { name, phone: c.phone_number, vcard: c.vcard || null }, "");
+});
+
+// Enquete criada no próprio Telegram vira enquete no WhatsApp
+bot.on("poll", async (ctx) => {
+    const poll = ctx.message.poll;
+    await handleInteractiveMessage(ctx, 'poll', { question: poll.question, options: poll.options.map(o => o.text) }, poll.question);
+});
+
+bot.on("sticker", async (ctx) => {
+    const sticker = ctx.message.sticker;
+    if (sticker.is_animated || sticker.is_video) {
+        if (await getInteractiveTarget(ctx)) return ctx.reply("❌ Figurinhas animadas não são suportadas. Envie uma figurinha estática.");
+        return;
+    }
+    await handleMassMedia(ctx, 'sticker', sticker.file_id, null, "sticker.webp", sticker.file_size);
+});
+
 bot.on("photo", async (ctx) => handleMassMedia(ctx, 'photo', ctx.message.photo[ctx.message.photo.length - 1].file_id, ctx.message.caption, null, ctx.message.photo[ctx.message.photo.length - 1].file_size));
 bot.on("video", async (ctx) => handleMassMedia(ctx, 'video', ctx.message.video.file_id, ctx.message.caption, ctx.message.video.file_name, ctx.message.video.file_size));
 bot.on("audio", async (ctx) => handleMassMedia(ctx, 'audio', ctx.message.audio.file_id, ctx.message.caption, ctx.message.audio.file_name, ctx.message.audio.file_size));
@@ -3915,6 +8562,43 @@ app.get("/qr-client", (req, res) => {
     res.sendFile(path.join(__dirname, "qr-client.html"));
 });
 
+// V1.365: Link rastreado de campanha - conta o clique e redireciona para o endereço original
+const LINK_PREVIEW_UA_RE = /bot|crawler|spider|facebookexternalhit|whatsapp|telegram|preview/i;
+
+let linkClickRpcMissing = false;
+
+// Soma o clique pela função do banco; sem ela (SQL acima não aplicado) lê e grava o contador
+async function countCampaignLinkClick(code) {
+    if (!linkClickRpcMissing) {
+        const { error } = await supabase.rpc('increment_campaign_link_click', { p_code: code });
+        if (!error) return;
+        linkClickRpcMissing = ['PGRST202', '42883'].includes(error.code);
+        log(`[LINK ERR] Função increment_campaign_link_click indisponível (${error.message}); usando contagem simples.`);
+    }
+    const { data: link } = await supabase.from('campaign_links').select('clicks, first_click_at').eq('code', code).maybeSingle();
+    if (!link) return;
+    const now = new Date().toISOString();
+    await supabase.from('campaign_links').update({
+        clicks: (link.clicks || 0) + 1,
+        first_click_at: link.first_click_at || now,
+        last_click_at: now
+    }).eq('code', code);
+}
+
+app.get("/r/:code", async (req, res) => {
+    try {
+        const { data: link } = await supabase.from('campaign_links').select('code, url').eq('code', req.params.code).maybeSingle();
+        if (!link) return res.status(404).send("Link não encontrado ou expirado.");
+
+        // Geradores de pré-visualização não contam como clique
+        if (!LINK_PREVIEW_UA_RE.test(req.get("user-agent") || "")) await countCampaignLinkClick(link.code);
+        res.redirect(302, link.url);
+    } catch (e) {
+        log(`[LINK ERR] ${e.message}`);
+        res.status(500).send("Erro ao abrir o link.");
+    }
+});
+
 // Proxies para evitar CORS no navegador
 app.get("/api/instance/:id/qr-proxy", async (req, res) => {
     // WUZAPI: first connect, then get QR
@@ -4048,8 +8732,19 @@ app.post("/webhook", async (req, res) => {
                     );
                     await saveSession(chatId, s);
                 }
-            } else if (wuzapiEvent === "Disconnected") {
-                bot.telegram.sendMessage(chatId, `⚠️ *WhatsApp Desconectado!*\n\nA instância \`${tokenId}\` foi desconectada. Gere um novo QR Code para reconectar.`, { parse_mode: "Markdown" });
+
+                // V1.366: Campanhas que aguardavam esta instância
+                try {
+                    await resumeCampaignsAfterReconnect(chatId, tokenId);
+                } catch (e) {
+                    log(`[RECONNECT ERR] ${e.message}`);
+                }
+            } else if (wuzapiEvent === "Disconnected" || wuzapiEvent === "LoggedOut" || wuzapiEvent === "TemporaryBan") {
+                // V1.367: Deslogado/banido também tira a instância do ar (e aciona o número reserva das campanhas)
+                const reason = wuzapiEvent === "TemporaryBan" ? 'BANNED' : wuzapiEvent === "LoggedOut" ? 'LOGGED_OUT' : 'DISCONNECTED';
+                bot.telegram.sendMessage(chatId, reason === 'BANNED'
+                    ? `⛔ *WhatsApp Bloqueado!*\n\nA instância \`${tokenId}\` recebeu um banimento temporário do WhatsApp.`
+                    : `⚠️ *WhatsApp Desconectado!*\n\nA instância \`${tokenId}\` foi desconectada. Gere um novo QR Code para reconectar.`, { parse_mode: "Markdown" });
 
                 // V1.319: Persistir status no banco
                 const s = await getSession(chatId);
@@ -4059,6 +8754,25 @@ app.post("/webhook", async (req, res) => {
                     );
                     await saveSession(chatId, s);
                 }
+
+                // V1.366: Disparos desta instância aguardam a reconexão em vez de falhar contato a contato
+                try {
+                    await pauseCampaignsForDisconnect(chatId, tokenId, reason);
+                } catch (e) {
+                    log(`[DISCONNECT ERR] ${e.message}`);
+                }
+            } else if (wuzapiEvent === "ReadReceipt" || wuzapiEvent === "Receipt") {
+                // V1.350: Entregue/Lido para os envios de campanha
+                const rawData = body.event || body.data || {};
+                const messageIds = rawData.MessageIDs || rawData.MessageIds || [];
+                const state = body.state || (rawData.Type === "read" ? "Read" : (rawData.Type === "" || rawData.Type === "delivered") ? "Delivered" : null);
+                if (!rawData.IsFromMe && state) {
+                    try {
+                        await applyCampaignReceipt(tokenId, messageIds, state);
+                    } catch (e) {
+                        log(`[TRACK ERR] Recibo: ${e.message}`);
+                    }
+                }
             } else if (wuzapiEvent === "Message") {
                 const rawData = body.event || body.data || {};
                 const info = rawData.Info || rawData || {};
@@ -4118,6 +8832,17 @@ app.post("/webhook", async (req, res) => {
 
                 log(`[WEBHOOK] Msg from: ${remoteJid} | Group: ${isGroup} | FromMe: ${isFromMe} | Text: ${text.substring(0, 50)}`);
 
+                // V1.364: Voto em enquete / escolha em lista enviada por campanha
+                const interactiveReply = isFromMe ? null : extractInteractiveReply(rawData, messageObj);
+                if (interactiveReply) {
+                    try {
+                        await applyCampaignInteraction(tokenId, isGroup ? (info.Sender || senderAlt) : realPhone, interactiveReply);
+                    } catch (e) {
+                        log(`[TRACK ERR] Interação: ${e.message}`);
+                    }
+                    if (interactiveReply.kind === 'LIST' && !text) text = interactiveReply.answers[0] || "";
+                }
+
                 const isPrivate = remoteJid.endsWith("@s.whatsapp.net") || remoteJid.endsWith("@lid");
                 if (isPrivate && !isGroup) {
                     let session;
@@ -4157,6 +8882,26 @@ app.post("/webhook", async (req, res) => {
                         return res.send({ ok: true });
                     }
 
+                    // V1.350: Resposta a um disparo de campanha
+                    try {
+                        await applyCampaignReply(tokenId, realPhone, text);
+                    } catch (e) {
+                        log(`[TRACK ERR] Resposta: ${e.message}`);
+                    }
+
+                    // V1.349: Descadastro por palavra-chave (não segue para a IA)
+                    const optout = getOptoutConfig(session);
+                    if (text && matchesOptoutKeyword(text, optout)) {
+                        try {
+                            await addSuppressions(chatId, [realPhone], "keyword");
+                            log(`[OPTOUT] ${readableLead} descadastrado via palavra-chave.`);
+                            if (optout.reply) await callWuzapi("/chat/send/text", "POST", { Phone: remoteJid, Body: optout.reply }, tokenId);
+                        } catch (e) {
+                            log(`[OPTOUT ERR] ${e.message}`);
+                        }
+                        return res.send({ ok: true });
+                    }
+
                     const { data: tracking } = await supabase
                         .from("ai_leads_tracking")
                         .select("status")
@@ -4223,7 +8968,8 @@ app.post("/webhook", async (req, res) => {
                                         history: history,
                                         systemPrompt: systemPrompt,
                                         chatId: remoteJid,
-                                        instanceId: tokenId
+                                        instanceId: tokenId,
+                                        inst
                                     });
 
                                     if (aiResponse) {
@@ -4256,7 +9002,7 @@ app.post("/webhook", async (req, res) => {
                                                     // 1. Verificar se rodízio está ativo
                                                     // 2. Se SIM: Enviar para corretor e notificar admin
                                                     // 3. Se NÃO: Notificar admin com botão de retomar e pausar IA no DB
-                                                    await distributeLead(chatId, remoteJid, tokenId, readableLead, finalResponse);
+                                                    await distributeLead(chatId, remoteJid, tokenId, readableLead, finalResponse, realPhone);
                                                 } catch (e) {
                                                     log(`[WEBHOOK AI ERR] Erro ao processar transbordo em background: ${e.message}`);
                                                 }
@@ -4273,12 +9019,13 @@ app.post("/webhook", async (req, res) => {
                                                 status: "TRANSFERRED"
                                             }, { onConflict: "chat_id, instance_id" });
                                             log(`[QUALIFY DEBUG] Upsert TRANSFERRED para ${readableLead}: ${qualifyUpsert.error ? 'ERRO - ' + qualifyUpsert.error.message : 'OK'}`);
+                                            await recordLeadPhone(tokenId, remoteJid, realPhone);
 
                                             log(`[AI QUALIFY] Notificando admin ${chatId} sobre lead ${readableLead}`);
                                             bot.telegram.sendMessage(chatId, `✅ *Lead Qualificado!* **${readableLead}**\n\nEncaminhando para o corretor da vez...`);
 
                                             // Trigger Rodízio Round-Robin com os dados capturados
-                                            await distributeLead(chatId, remoteJid, tokenId, readableLead, finalResponse);
+                                            await distributeLead(chatId, remoteJid, tokenId, readableLead, finalResponse, realPhone);
                                         }
 
                                         const chunks = finalResponse.split("\n\n").filter(c => c.trim().length > 0);
@@ -4347,26 +9094,57 @@ app.post("/webhook", async (req, res) => {
 
 
 async function checkScheduledCampaigns() {
+    // V1.362: Erro nas recorrências não pode travar os disparos agendados avulsos
+    try {
+        await spawnRecurringRuns();
+    } catch (e) {
+        log(`[RECURRENCE ERR] ${e.message}`);
+    }
+
     try {
         const { data, error } = await supabase
             .from('scheduled_campaigns')
             .select('*')
-            .or('status.eq.PENDING,status.eq.RUNNING'); // V1.251: Recuperar também as que pararam no meio
+            .or('status.eq.PENDING,status.eq.RUNNING,status.eq.WAITING_CONNECTION'); // V1.251: Recuperar também as que pararam no meio
 
         if (error) throw error;
 
         for (const item of (data || [])) {
-            // Se já estiver ativa em RAM, pular
-            if (activeCampaigns.has(Number(item.chat_id))) continue;
+            // Se já estiver ativa em RAM, pular (V1.346: uma campanha por instância; as demais aguardam a vez)
+            if (findBusySender({ ...item.campaign_data, instId: item.inst_id })) continue;
 
             // Se for PENDING e tiver horário, respeitar o horário
             const nowIso = new Date().toISOString();
             if (item.status === 'PENDING' && item.scheduled_for > nowIso) continue;
 
+            // V1.366: Aguardando conexão cujo Connected se perdeu (chegou antes de o loop gravar a espera) -> retoma se algum número voltou
+            if (item.status === 'WAITING_CONNECTION') {
+                const ids = [...getCampaignSenderIds({ ...item.campaign_data, instId: item.inst_id }), item.campaign_data.backup?.instId].filter(Boolean);
+                let online = false;
+                for (const id of ids) {
+                    if (await isInstanceOnline(id)) { online = true; break; }
+                }
+                if (!online) continue;
+                if (item.scheduled_for > nowIso) {
+                    await supabase.from('scheduled_campaigns').update({ status: 'PENDING' }).eq('id', item.id);
+                    continue;
+                }
+            }
+
+            // V1.348: Horário agendado caiu fora da janela de envio -> empurra para a próxima abertura
+            const win = item.campaign_data?.window;
+            if (win && !isWithinSendingWindow(win)) {
+                const next = nextSendingWindowOpening(win);
+                if (next && item.status === 'PENDING') {
+                    await supabase.from('scheduled_campaigns').update({ scheduled_for: next.toISOString() }).eq('id', item.id);
+                    continue;
+                }
+            }
+
             log(`[WORKER] Iniciando/Retomando campanha ${item.id} para ${item.chat_id} `);
 
             // Marcar como RUNNING no banco se ainda não estiver
-            if (item.status === 'PENDING') {
+            if (item.status !== 'RUNNING') {
                 await supabase
                     .from('scheduled_campaigns')
                     .update({ status: 'RUNNING' })
@@ -4378,22 +9156,22 @@ async function checkScheduledCampaigns() {
                 ...c,
                 dbId: item.id,
                 instId: item.inst_id,
+                chatId: Number(item.chat_id),
                 total: c.contacts.length,
                 status: 'READY'
             };
 
-            activeCampaigns.set(Number(item.chat_id), camp);
+            claimCampaign(camp);
 
             // Avisar o usuário que retomou (se for RUNNING) ou iniciou (se for PENDING)
-            const text = item.status === 'RUNNING' ? `🔄 *Retomando Disparo Interrompido*\n\nSua campanha para \`${item.inst_id}\` foi retomada a partir do contato ${camp.currentIndex + 1}.` : `⏰ *Agendamento Ativado!*\n\nIniciando agora o disparo para \`${item.inst_id}\`.`;
+            const text = (item.status !== 'PENDING' || camp.currentIndex > 0) ? `🔄 *Retomando Disparo Interrompido*\n\nSua campanha para \`${item.inst_id}\` foi retomada a partir do contato ${camp.currentIndex + 1}.` : `⏰ *Agendamento Ativado!*\n\nIniciando agora o disparo para \`${item.inst_id}\`.`;
 
             try {
                 await bot.telegram.sendMessage(item.chat_id, text, { parse_mode: "Markdown" });
             } catch (e) { }
 
-            runCampaign(Number(item.chat_id), item.inst_id).then(async () => {
-                await supabase.from('scheduled_campaigns').update({ status: 'COMPLETED' }).eq('id', item.id);
-            });
+            // V1.346: runCampaign marca COMPLETED ao terminar; pausas e cancelamentos não devem virar COMPLETED
+            runCampaign(Number(item.chat_id), item.inst_id);
         }
     } catch (e) {
         log(`[WORKER ERR] ${e.message}`);
@@ -4402,6 +9180,7 @@ async function checkScheduledCampaigns() {
 
 // Iniciar worker a cada 1 minuto
 setInterval(checkScheduledCampaigns, 60000);
+setInterval(cleanupCampaignMedia, 6 * 60 * 60 * 1000); // V1.357: Limpeza de mídias sem uso a cada 6h
 
 // --- Background Worker para Follow-ups de IA ---
 async function checkAiFollowups() {
@@ -4441,6 +9220,9 @@ async function checkAiFollowups() {
             const targetHours = inst.fu_hours || 24;
 
             if (diffHours >= targetHours && lead.nudge_count < (inst.fu_max || 1)) {
+                // V1.358: Sem cota agora, o follow-up fica para uma próxima rodada do worker
+                if ((await getQuotaStatus(lead.instance_id, session)).blockedUntil) continue;
+
                 const msgIndex = lead.nudge_count;
                 const messages = inst.fu_msgs || ["Oi! Ainda está por aí?"];
                 const messageToSend = messages[msgIndex] || messages[messages.length - 1];
@@ -4463,6 +9245,8 @@ async function checkAiFollowups() {
                 if (!res.success) {
                     log(`[FU FAIL] Falha ao enviar follow-up para ${lead.chat_id}: ${res.message || 'Erro desconhecido'}`);
                     // Opcional: Reverter o update se falhar? Melhor não, evita flood.
+                } else {
+                    await consumeQuota(lead.instance_id);
                 }
             }
         }
@@ -4614,6 +9398,286 @@ app.get("/api/dashboard/stats", async (req, res) => {
     }
 });
 
+// V1.354: Download do relatório de uma campanha (CSV/XLSX) para os painéis web
+app.get("/api/campaigns/:id/report", async (req, res) => {
+    try {
+        const { data: campaign } = await supabase.from('scheduled_campaigns')
+            .select('id, chat_id')
+            .eq('id', req.params.id)
+            .maybeSingle();
+
+        // Aceita o header x-api-key ou o link assinado gerado pelo bot
+        const signed = req.query.sig && campaign
+            ? await verifyReportLink(String(campaign.chat_id), campaign.id, req.query.expires, req.query.sig)
+            : false;
+        const chatId = signed ? String(campaign.chat_id) : await authenticateApiKey(req);
+        if (!chatId) return res.status(401).json({ error: "Chave de API inválida" });
+        if (!campaign || String(campaign.chat_id) !== chatId) return res.status(404).json({ error: "Campanha não encontrada" });
+
+        const format = req.query.format === 'csv' ? 'csv' : 'xlsx';
+        const file = await buildCampaignReportFile(campaign.id, format);
+        res.setHeader("Content-Type", file.mime);
+        res.setHeader("Content-Disposition", `attachment; filename="${file.filename}"`);
+        res.send(file.buffer);
+    } catch (err) {
+        log(`[API ERR] Relatório: ${err.message}`);
+        res.status(500).json({ error: "Erro interno do servidor" });
+    }
+});
+
+// V1.360: API REST de campanhas (painéis web / n8n). Usa o mesmo runCampaign e a mesma tabela scheduled_campaigns do bot.
+// Autenticação pelo header "x-api-key", a mesma chave do relatório.
+async function requireApiChat(req, res) {
+    const chatId = await authenticateApiKey(req);
+    if (!chatId) res.status(401).json({ error: "Chave de API inválida" });
+    return chatId;
+}
+
+async function getApiCampaignRow(chatId, id) {
+    const { data } = await supabase.from('scheduled_campaigns')
+        .select('*')
+        .eq('id', id)
+        .eq('chat_id', chatId)
+        .maybeSingle();
+    return data;
+}
+
+// Progresso atual: o objeto em memória quando a campanha está rodando, senão o último estado salvo
+function summarizeCampaignRow(row) {
+    const live = findActiveCampaign(row.id);
+    const c = live || row.campaign_data || {};
+    return {
+        id: row.id,
+        instId: row.inst_id,
+        status: row.status,
+        scheduledFor: row.scheduled_for,
+        total: (c.contacts || []).length,
+        processed: c.currentIndex || 0,
+        sent: c.current || 0,
+        failed: (c.failedNumbers || []).length,
+        suppressed: c.suppressed || 0,
+        running: !!live && live.status === 'RUNNING',
+        senders: (c.senders || []).map(s => ({
+            instId: s.instId,
+            name: s.name,
+            status: s.status || null,
+            sent: s.sent || 0,
+            failed: s.failed || 0,
+            remaining: (s.queue || []).length,
+            backup: !!s.backup
+        })),
+        backup: c.backup ? { instId: c.backup.instId, name: c.backup.name, activated: c.backup.activated || null } : null
+    };
+}
+
+// Valida o corpo do POST /api/campaigns e monta a configuração no mesmo formato do assistente do bot
+async function parseApiCampaign(chatId, body) {
+    const session = await getSession(chatId);
+    const findInst = (id) => session.whatsapp.instances.find(i => i.id === id);
+    if (!findInst(body.instId)) return { error: "instId inválido ou não pertence à conta" };
+
+    const contacts = (Array.isArray(body.contacts) ? body.contacts : []).map(c => {
+        const raw = typeof c === 'string' ? c : String(c?.phone || "");
+        return {
+            name: c?.name || null,
+            phone: raw.includes("@g.us") ? raw : raw.replace(/\D/g, ""),
+            vars: c?.vars && typeof c.vars === 'object' ? c.vars : {}
+        };
+    }).filter(c => c.phone.includes("@g.us") || c.phone.length >= 8);
+    if (contacts.length === 0) return { error: "Informe ao menos um contato válido em contacts" };
+
+    const messages = (Array.isArray(body.messages) ? body.messages : [body.message])
+        .filter(m => typeof m === 'string' && m.trim()).map(m => m.trim());
+    const spin = analyzeSpintax(messages);
+    if (spin.error) return { error: `Spintax inválido: ${spin.error}` };
+
+    let media = { mediaType: 'text' };
+    if (body.interactive) {
+        // V1.364: { type: location|contact|poll|list, ...conteúdo }
+        const { type, ...raw } = body.interactive;
+        if (!INTERACTIVE_MESSAGE_TYPES.includes(type)) return { error: `interactive.type deve ser ${INTERACTIVE_MESSAGE_TYPES.join(", ")}` };
+        const { payload, error } = normalizeCampaignPayload(type, raw);
+        if (error) return { error: `interactive: ${error}` };
+        if (type === 'list' && messages.length === 0) return { error: "Informe messages com o texto da lista" };
+        media = { mediaType: type, payload };
+    } else if (body.media) {
+        const { type, url, base64, fileName } = body.media;
+        if (!['photo', 'video', 'audio', 'document', 'sticker'].includes(type)) return { error: "media.type deve ser photo, video, audio, document ou sticker" };
+        if (base64) {
+            const buffer = Buffer.from(String(base64).replace(/^data:[^,]*,/, ""), "base64");
+            media = { mediaType: type, mediaId: storeCampaignMedia(buffer, type, fileName), fileName: fileName || "arquivo" };
+        } else if (url) {
+            media = { mediaType: type, mediaUrl: url, fileName: fileName || "arquivo" };
+        } else {
+            return { error: "Informe media.url ou media.base64" };
+        }
+    } else if (messages.length === 0) {
+        return { error: "Informe messages ou media" };
+    }
+
+    const minDelay = parseInt(body.minDelay ?? 10);
+    const maxDelay = parseInt(body.maxDelay ?? 30);
+    if (isNaN(minDelay) || isNaN(maxDelay) || minDelay < 1 || maxDelay < minDelay) return { error: "minDelay/maxDelay inválidos" };
+
+    const senderCfgs = Array.isArray(body.senders) && body.senders.length > 0
+        ? body.senders
+        : [{ instId: body.instId, minDelay, maxDelay, dailyCap: 0 }];
+    if (senderCfgs.some(sc => !findInst(sc.instId))) return { error: "senders contém instância que não pertence à conta" };
+    const senders = senderCfgs.map(sc => ({
+        instId: sc.instId,
+        name: findInst(sc.instId).name || sc.instId,
+        minDelay: parseInt(sc.minDelay) || minDelay,
+        maxDelay: parseInt(sc.maxDelay) || maxDelay,
+        dailyCap: parseInt(sc.dailyCap) || 0
+    }));
+
+    // V1.367: Número reserva opcional (não pode estar entre os senders)
+    let backup = null;
+    if (body.backupInstId) {
+        const backupInst = findInst(body.backupInstId);
+        if (!backupInst) return { error: "backupInstId inválido ou não pertence à conta" };
+        if (senders.some(sc => sc.instId === backupInst.id)) return { error: "backupInstId não pode ser um dos senders" };
+        backup = { instId: backupInst.id, name: backupInst.name || backupInst.id };
+    }
+
+    let window = null;
+    if (body.window) {
+        window = parseSendingWindow(String(body.window));
+        if (window.error) return { error: `window: ${window.error}` };
+    }
+
+    let scheduledFor = null;
+    if (body.scheduledFor) {
+        scheduledFor = new Date(body.scheduledFor);
+        if (isNaN(scheduledFor.getTime())) return { error: "scheduledFor inválido (use ISO 8601)" };
+        if (scheduledFor <= new Date()) scheduledFor = null;
+    }
+
+    return {
+        scheduledFor,
+        config: {
+            contacts,
+            messages: messages.length > 0 ? messages : [""],
+            ...media,
+            trackLinks: body.trackLinks !== false,
+            minDelay,
+            maxDelay,
+            senders,
+            backup,
+            window,
+            ab: null,
+            sequence: null
+        }
+    };
+}
+
+app.get("/api/campaigns", async (req, res) => {
+    try {
+        const chatId = await requireApiChat(req, res);
+        if (!chatId) return;
+
+        let query = supabase.from('scheduled_campaigns')
+            .select('*')
+            .eq('chat_id', chatId)
+            .order('scheduled_for', { ascending: false })
+            .limit(Math.min(parseInt(req.query.limit) || 20, 100));
+        if (req.query.status) query = query.eq('status', String(req.query.status).toUpperCase());
+
+        const { data, error } = await query;
+        if (error) throw error;
+        res.json({ campaigns: (data || []).map(summarizeCampaignRow) });
+    } catch (err) {
+        log(`[API ERR] Campanhas: ${err.message}`);
+        res.status(500).json({ error: "Erro interno do servidor" });
+    }
+});
+
+app.post("/api/campaigns", async (req, res) => {
+    try {
+        const chatId = await requireApiChat(req, res);
+        if (!chatId) return;
+
+        const parsed = await parseApiCampaign(chatId, req.body || {});
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+        const camp = newCampaign(Number(chatId), req.body.instId, parsed.config);
+        const result = await launchCampaign(chatId, camp, parsed.scheduledFor);
+        if (result.busy) return res.status(409).json({ error: `A instância ${result.busy} já tem um disparo em andamento` });
+        if (result.error) return res.status(500).json({ error: "Erro ao salvar a campanha" });
+
+        if (!parsed.scheduledFor) runCampaign(Number(chatId), camp.instId);
+        log(`[API] Campanha ${result.id} criada para ${chatId} (${camp.total} contatos)`);
+        res.status(201).json({ id: result.id, status: parsed.scheduledFor ? 'PENDING' : 'RUNNING', total: camp.total });
+    } catch (err) {
+        log(`[API ERR] Criar campanha: ${err.message}`);
+        res.status(500).json({ error: "Erro interno do servidor" });
+    }
+});
+
+app.get("/api/campaigns/:id", async (req, res) => {
+    try {
+        const chatId = await requireApiChat(req, res);
+        if (!chatId) return;
+        const row = await getApiCampaignRow(chatId, req.params.id);
+        if (!row) return res.status(404).json({ error: "Campanha não encontrada" });
+
+        res.json({ ...summarizeCampaignRow(row), funnel: await getCampaignFunnel(row.id) });
+    } catch (err) {
+        log(`[API ERR] Campanha: ${err.message}`);
+        res.status(500).json({ error: "Erro interno do servidor" });
+    }
+});
+
+app.post("/api/campaigns/:id/pause", async (req, res) => {
+    try {
+        const chatId = await requireApiChat(req, res);
+        if (!chatId) return;
+        const row = await getApiCampaignRow(chatId, req.params.id);
+        if (!row) return res.status(404).json({ error: "Campanha não encontrada" });
+        if (!['RUNNING', 'PENDING', 'WAITING_CONNECTION'].includes(row.status)) return res.status(409).json({ error: `Campanha está ${row.status}` });
+
+        await pauseCampaign(row.id);
+        res.json({ id: row.id, status: 'PAUSED' });
+    } catch (err) {
+        log(`[API ERR] Pausar campanha: ${err.message}`);
+        res.status(500).json({ error: "Erro interno do servidor" });
+    }
+});
+
+app.post("/api/campaigns/:id/resume", async (req, res) => {
+    try {
+        const chatId = await requireApiChat(req, res);
+        if (!chatId) return;
+        const row = await getApiCampaignRow(chatId, req.params.id);
+        if (!row) return res.status(404).json({ error: "Campanha não encontrada" });
+        if (!['PAUSED', 'WAITING_CONNECTION'].includes(row.status)) return res.status(409).json({ error: `Campanha está ${row.status}` });
+
+        const { busy, scheduled } = await resumeCampaign(chatId, row);
+        if (busy) return res.status(409).json({ error: `A instância ${busy} já tem um disparo em andamento` });
+        if (scheduled) return res.json({ id: row.id, status: 'PENDING', scheduledFor: scheduled.toISOString() });
+        res.json({ id: row.id, status: 'RUNNING' });
+    } catch (err) {
+        log(`[API ERR] Retomar campanha: ${err.message}`);
+        res.status(500).json({ error: "Erro interno do servidor" });
+    }
+});
+
+app.post("/api/campaigns/:id/cancel", async (req, res) => {
+    try {
+        const chatId = await requireApiChat(req, res);
+        if (!chatId) return;
+        const row = await getApiCampaignRow(chatId, req.params.id);
+        if (!row) return res.status(404).json({ error: "Campanha não encontrada" });
+        if (['COMPLETED', 'CANCELLED'].includes(row.status)) return res.status(409).json({ error: `Campanha está ${row.status}` });
+
+        await cancelCampaign(row.id);
+        res.json({ id: row.id, status: 'CANCELLED' });
+    } catch (err) {
+        log(`[API ERR] Cancelar campanha: ${err.message}`);
+        res.status(500).json({ error: "Erro interno do servidor" });
+    }
+});
+
 app.listen(PORT, "0.0.0.0", () => {
     log(`Servidor rodando em: http://0.0.0.0:${PORT}`);
     const publicUrl = process.env.WEBHOOK_URL ? process.env.WEBHOOK_URL.replace("/webhook", "") : `http://localhost:${PORT}`;